@@ -0,0 +1,43 @@
+const FormData = require("form-data");
+const { getJiraClient } = require("./jira-client");
+
+//Large files take longer than the client's timeout for other requests
+const DEFAULT_UPLOAD_TIMEOUT = 10 * 60 * 1000;
+
+//Upload timeout in milliseconds: the given one, else JIRA_UPLOAD_TIMEOUT_MS, else the default
+function uploadTimeout(timeout) {
+  if (timeout !== undefined) {
+    return timeout;
+  }
+  const fromEnv = Number(process.env.JIRA_UPLOAD_TIMEOUT_MS);
+  return process.env.JIRA_UPLOAD_TIMEOUT_MS && Number.isFinite(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_UPLOAD_TIMEOUT;
+}
+
+//Attaches a file to an issue using the Jira Cloud REST API
+//content can be a Buffer or a readable stream; a stream is sent to Jira as it is read
+//options.filename and options.contentType describe the file
+//options.signal (an AbortSignal) cancels the upload, e.g. when the file turns out to be too large
+//options.timeout is the upload timeout in milliseconds, 0 for none
+//(default JIRA_UPLOAD_TIMEOUT_MS, or 10 minutes)
+//Jira refuses multipart uploads without the X-Atlassian-Token: no-check header
+//returns the metadata of the new attachment(s)
+async function addAttachment(issueKey, content, options = {}) {
+  const form = new FormData();
+  form.append("file", content, {
+    filename: options.filename || "attachment",
+    contentType: options.contentType || "application/octet-stream",
+  });
+
+  const response = await getJiraClient().post(`/rest/api/3/issue/${issueKey}/attachments`, form, {
+    headers: { ...form.getHeaders(), "X-Atlassian-Token": "no-check" },
+    maxBodyLength: Infinity,
+    signal: options.signal,
+    timeout: uploadTimeout(options.timeout),
+    // a stream cannot be sent twice, nor is a large upload worth sending again
+    retry: false,
+  });
+  console.log(response.data);
+  return response.data;
+}
+
+module.exports = addAttachment;
@@ -0,0 +1,21 @@
+const { getJiraClient } = require("./jira-client");
+const { textToADF, projectKeysOf } = require("./adf-utils");
+
+//Adds a comment to an issue using the Jira Cloud REST API
+//body can be either plain text (string) or pre-formatted ADF object
+//visibility restricts who can see the comment, e.g. { type: "role", value: "Developers" }
+async function addComment(issueKey, body, visibility) {
+  const client = getJiraClient();
+  const data = {
+    body: typeof body === "string" ? textToADF(body, { siteUrl: client.baseUrl, projectKeys: projectKeysOf(issueKey) }) : body,
+  };
+  if (visibility) {
+    data.visibility = visibility;
+  }
+
+  const response = await client.post(`/rest/api/3/issue/${issueKey}/comment`, data);
+  console.log(response.data);
+  return response.data;
+}
+
+module.exports = addComment;
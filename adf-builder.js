@@ -0,0 +1,443 @@
+/**
+ * Fluent Atlassian Document Format (ADF) Builder
+ *
+ * Builds ADF documents by chaining one call per block instead of writing the
+ * nested JSON by hand:
+ *
+ *   const { doc, strong, link, mention } = require("./adf-builder");
+ *
+ *   const description = doc()
+ *     .heading(2, "Login fails")
+ *     .paragraph("Reported by ", mention("5b10a2844c20165700ede21g", "Jane Doe"), " on Chrome")
+ *     .bulletList(["Open the login page", ["Enter a password with ", strong("%"), bulletList(["nested item"])]])
+ *     .panel("warning", "Blocks new user registration")
+ *     .table([["Browser", "Result"], ["Chrome", "Fails"]])
+ *     .build();
+ *
+ * Wherever a method takes content, it accepts a string (a paragraph), inline
+ * nodes, block nodes, an array mixing those (consecutive inline parts share a
+ * paragraph) or a function that receives a fresh builder for nested blocks.
+ * The node factories are exported too, for use inside that content.
+ *
+ * Learn more: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+
+// Inline node types; anything else is a block
+const INLINE_TYPES = ["text", "hardBreak", "mention", "emoji", "date", "status", "inlineCard", "mediaInline"];
+
+const isInline = (node) => typeof node === "string" || (node && INLINE_TYPES.includes(node.type));
+
+/**
+ * Turns strings and inline nodes into a flat list of inline nodes. Line
+ * breaks in strings become hardBreak nodes and empty strings are dropped,
+ * because ADF does not allow empty text nodes.
+ * @param {Array<string|object|Array>} parts
+ * @returns {Array<object>} ADF inline nodes
+ */
+function toInline(parts) {
+  return parts.flat(Infinity).flatMap((part) => {
+    if (part === null || part === undefined || part === "") {
+      return [];
+    }
+    if (typeof part !== "string") {
+      return [part];
+    }
+    return part.split("\n").flatMap((line, index) => [
+      ...(index > 0 ? [hardBreak()] : []),
+      ...(line !== "" ? [text(line)] : []),
+    ]);
+  });
+}
+
+/**
+ * Turns content into a list of block nodes, see the module description
+ * @param {string|object|Array|function|ADFBuilder} content
+ * @returns {Array<object>} ADF block nodes
+ */
+function toBlocks(content) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+  if (content instanceof ADFBuilder) {
+    return content.content;
+  }
+  if (typeof content === "function") {
+    const builder = new ADFBuilder();
+    content(builder);
+    return builder.content;
+  }
+
+  const blocks = [];
+  let inline = [];
+  const flushInline = () => {
+    if (inline.length > 0) {
+      blocks.push(paragraph(...inline));
+      inline = [];
+    }
+  };
+  (Array.isArray(content) ? content : [content]).forEach((part) => {
+    if (isInline(part) || (Array.isArray(part) && part.flat(Infinity).every(isInline))) {
+      inline.push(part);
+    } else if (part === null || part === undefined) {
+      return;
+    } else {
+      flushInline();
+      const isNode = !Array.isArray(part) && typeof part !== "function" && !(part instanceof ADFBuilder);
+      blocks.push(...(isNode ? [part] : toBlocks(part)));
+    }
+  });
+  flushInline();
+  return blocks;
+}
+
+// --- Inline nodes ---
+
+/**
+ * @param {string} value - Text, must not be empty
+ * @param {Array<object>} [marks] - ADF marks
+ * @returns {object} text node
+ */
+function text(value, marks) {
+  return { type: "text", text: value, ...(marks && marks.length > 0 && { marks }) };
+}
+
+/**
+ * Adds a mark to every text node in the content
+ * @param {object} mark - ADF mark
+ * @param {Array<string|object>} content - Strings or inline nodes
+ * @returns {object|Array<object>} A single node for a single part, otherwise a list
+ */
+function withMark(mark, content) {
+  const nodes = toInline(content).map((node) =>
+    node.type === "text" ? { ...node, marks: [...(node.marks || []), mark] } : node
+  );
+  return nodes.length === 1 ? nodes[0] : nodes;
+}
+
+const strong = (...content) => withMark({ type: "strong" }, content);
+const em = (...content) => withMark({ type: "em" }, content);
+const strike = (...content) => withMark({ type: "strike" }, content);
+const underline = (...content) => withMark({ type: "underline" }, content);
+const code = (...content) => withMark({ type: "code" }, content);
+
+/**
+ * @param {string|object|Array} content - Link text
+ * @param {string} href - Target URL
+ * @returns {object|Array<object>} Linked text node(s)
+ */
+function link(content, href) {
+  return withMark({ type: "link", attrs: { href } }, [content]);
+}
+
+/**
+ * Colors text
+ * @param {string} hex - Hex color, e.g. "#ff5630"
+ * @param {...(string|object)} content
+ * @returns {object|Array<object>}
+ */
+function color(hex, ...content) {
+  return withMark({ type: "textColor", attrs: { color: hex } }, content);
+}
+
+/**
+ * @returns {object} hardBreak node (a line break inside a paragraph)
+ */
+function hardBreak() {
+  return { type: "hardBreak" };
+}
+
+/**
+ * Mentions a user, who gets notified
+ * @param {string} accountId - Atlassian account ID
+ * @param {string} [displayName] - Name shown until JIRA resolves the account
+ * @returns {object} mention node
+ */
+function mention(accountId, displayName) {
+  const attrs = { id: accountId };
+  if (displayName) {
+    attrs.text = displayName.startsWith("@") ? displayName : "@" + displayName;
+  }
+  return { type: "mention", attrs };
+}
+
+/**
+ * @param {string} shortName - Emoji short name, e.g. "smile" or ":smile:"
+ * @param {string} [fallback] - Unicode character shown where emoji images are not available
+ * @returns {object} emoji node
+ */
+function emoji(shortName, fallback) {
+  const name = shortName.startsWith(":") ? shortName : `:${shortName}:`;
+  return { type: "emoji", attrs: { shortName: name, ...(fallback && { text: fallback }) } };
+}
+
+/**
+ * Status lozenge, e.g. status("IN REVIEW", "blue")
+ * @param {string} label
+ * @param {string} [lozengeColor] - neutral, purple, blue, red, yellow or green
+ * @returns {object} status node
+ */
+function status(label, lozengeColor = "neutral") {
+  return { type: "status", attrs: { text: label, color: lozengeColor } };
+}
+
+/**
+ * @param {Date|string|number} value - Date, date string or milliseconds since the epoch
+ * @returns {object} date node
+ */
+function date(value) {
+  const timestamp = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date '${value}'`);
+  }
+  return { type: "date", attrs: { timestamp: String(timestamp) } };
+}
+
+/**
+ * Smart link shown as a card with the page title, e.g. for JIRA issues
+ * @param {string} url
+ * @returns {object} inlineCard node
+ */
+function inlineCard(url) {
+  return { type: "inlineCard", attrs: { url } };
+}
+
+// --- Block nodes ---
+
+/**
+ * @param {...(string|object|Array)} content - Strings and inline nodes
+ * @returns {object} paragraph node
+ */
+function paragraph(...content) {
+  return { type: "paragraph", content: toInline(content) };
+}
+
+/**
+ * @param {number} level - 1 to 6
+ * @param {...(string|object|Array)} content - Strings and inline nodes
+ * @returns {object} heading node
+ */
+function heading(level, ...content) {
+  return { type: "heading", attrs: { level: Math.max(1, Math.min(6, level)) }, content: toInline(content) };
+}
+
+/**
+ * Builds a list item. Strings and inline nodes form the item's paragraph;
+ * block nodes (e.g. a nested bulletList) follow it.
+ * @param {string|object|Array|function} content
+ * @returns {object} listItem node
+ */
+function listItem(content) {
+  const blocks = toBlocks(content);
+  if (blocks.length === 0 || !["paragraph", "codeBlock", "mediaSingle"].includes(blocks[0].type)) {
+    blocks.unshift(paragraph());
+  }
+  return { type: "listItem", content: blocks };
+}
+
+/**
+ * @param {Array<string|object|Array>} items - Content of each item, see listItem
+ * @returns {object} bulletList node
+ */
+function bulletList(items) {
+  return { type: "bulletList", content: items.map(listItem) };
+}
+
+/**
+ * @param {Array<string|object|Array>} items - Content of each item, see listItem
+ * @param {number} [order] - Number of the first item
+ * @returns {object} orderedList node
+ */
+function orderedList(items, order = 1) {
+  return { type: "orderedList", ...(order !== 1 && { attrs: { order } }), content: items.map(listItem) };
+}
+
+/**
+ * @param {string} source - Code
+ * @param {string} [language] - Language for syntax highlighting
+ * @returns {object} codeBlock node
+ */
+function codeBlock(source, language) {
+  return {
+    type: "codeBlock",
+    attrs: language ? { language } : {},
+    content: source ? [text(source)] : [],
+  };
+}
+
+/**
+ * @param {string|object|Array|function} content
+ * @returns {object} blockquote node
+ */
+function blockquote(content) {
+  return { type: "blockquote", content: toBlocks(content) };
+}
+
+/**
+ * Colored box with an icon
+ * @param {string} panelType - info, note, warning, success or error
+ * @param {string|object|Array|function} content
+ * @returns {object} panel node
+ */
+function panel(panelType, content) {
+  return { type: "panel", attrs: { panelType }, content: toBlocks(content) };
+}
+
+/**
+ * Collapsible section
+ * @param {string} title - Always visible title
+ * @param {string|object|Array|function} content - Hidden until expanded
+ * @returns {object} expand node
+ */
+function expand(title, content) {
+  return { type: "expand", attrs: { title }, content: toBlocks(content) };
+}
+
+/**
+ * @returns {object} rule node (horizontal line)
+ */
+function rule() {
+  return { type: "rule" };
+}
+
+/**
+ * Table cell with options, for use in table rows
+ * @param {string|object|Array|function} content
+ * @param {object} [attrs] - colspan, rowspan, background
+ * @returns {object} tableCell node
+ */
+function cell(content, attrs = {}) {
+  const blocks = toBlocks(content);
+  return { type: "tableCell", attrs, content: blocks.length > 0 ? blocks : [paragraph()] };
+}
+
+/**
+ * @param {Array<Array>} rows - Rows of cell contents (or cell() nodes)
+ * @param {object} [options]
+ * @param {boolean} [options.header] - Whether the first row is a header row, true by default
+ * @returns {object} table node
+ */
+function table(rows, { header = true } = {}) {
+  return {
+    type: "table",
+    attrs: { isNumberColumnEnabled: false, layout: "default" },
+    content: rows.map((row, rowIndex) => ({
+      type: "tableRow",
+      content: row.map((content) => {
+        const node = content && content.type === "tableCell" ? content : cell(content);
+        return header && rowIndex === 0 ? { ...node, type: "tableHeader" } : node;
+      }),
+    })),
+  };
+}
+
+/**
+ * Chainable builder for an ADF document. Every block method appends a node
+ * and returns the builder; build() returns the document.
+ */
+class ADFBuilder {
+  constructor() {
+    this.content = [];
+  }
+
+  /**
+   * Appends content, see the module description
+   * @param {...(string|object|Array|function)} content
+   * @returns {ADFBuilder}
+   */
+  add(...content) {
+    content.forEach((part) => this.content.push(...toBlocks(part)));
+    return this;
+  }
+
+  paragraph(...content) {
+    return this.add(paragraph(...content));
+  }
+
+  heading(level, ...content) {
+    return this.add(heading(level, ...content));
+  }
+
+  bulletList(items) {
+    return this.add(bulletList(items));
+  }
+
+  orderedList(items, order) {
+    return this.add(orderedList(items, order));
+  }
+
+  codeBlock(source, language) {
+    return this.add(codeBlock(source, language));
+  }
+
+  blockquote(content) {
+    return this.add(blockquote(content));
+  }
+
+  panel(panelType, content) {
+    return this.add(panel(panelType, content));
+  }
+
+  expand(title, content) {
+    return this.add(expand(title, content));
+  }
+
+  table(rows, options) {
+    return this.add(table(rows, options));
+  }
+
+  rule() {
+    return this.add(rule());
+  }
+
+  /**
+   * @returns {object} ADF document
+   */
+  build() {
+    return { type: "doc", version: 1, content: [...this.content] };
+  }
+
+  // JSON.stringify(builder) gives the document
+  toJSON() {
+    return this.build();
+  }
+}
+
+/**
+ * Starts a new document
+ * @param {...(string|object|Array|function)} content - Optional initial content
+ * @returns {ADFBuilder}
+ */
+function doc(...content) {
+  return new ADFBuilder().add(...content);
+}
+
+module.exports = {
+  ADFBuilder,
+  doc,
+  text,
+  strong,
+  em,
+  strike,
+  underline,
+  code,
+  link,
+  color,
+  hardBreak,
+  mention,
+  emoji,
+  status,
+  date,
+  inlineCard,
+  paragraph,
+  heading,
+  listItem,
+  bulletList,
+  orderedList,
+  codeBlock,
+  blockquote,
+  panel,
+  expand,
+  rule,
+  cell,
+  table,
+};
@@ -14,10 +14,23 @@ const {
   createHeadingWithContentADF,
   createCodeBlockADF,
   createLinkADF,
-  combineADFContent,
-  isValidADF
+  isValidADF,
+  markdownToADF
 } = require('./adf-utils');
+const {
+  doc,
+  strong,
+  em,
+  link,
+  mention,
+  emoji,
+  status,
+  date,
+  hardBreak,
+  bulletList
+} = require('./adf-builder');
 const createIssue = require('./create-issue');
+const { withMockJira } = require('./mock-jira-server');
 
 // Example 1: Simple text description
 const simpleTextExample = () => {
@@ -111,50 +124,59 @@ const linkExample = () => {
 
 // Example 8: Complex combined description
 const complexExample = () => {
-  const heading = {
-    type: "heading",
-    attrs: { level: 2 },
-    content: [{ type: "text", text: "Issue Description" }]
-  };
+  const adf = doc()
+    .heading(2, "Issue Description")
+    .paragraph("This is a ", strong("critical"), " issue that needs immediate attention.")
+    .bulletList([
+      "Affects user authentication",
+      "Blocks new user registration"
+    ])
+    .codeBlock("console.log('Debug info');", "javascript")
+    .build();
+  console.log('\n=== Complex Combined Example ===');
+  console.log('Complex ADF:', JSON.stringify(adf, null, 2));
+  return adf;
+};
 
-  const paragraph1 = {
-    type: "paragraph",
-    content: [
-      { type: "text", text: "This is a " },
-      { type: "text", text: "critical", marks: [{ type: "strong" }] },
-      { type: "text", text: " issue that needs immediate attention." }
-    ]
-  };
+// Example 9: Markdown description
+const markdownExample = () => {
+  const markdown = `## Steps to reproduce
 
-  const bulletList = {
-    type: "bulletList",
-    content: [
-      {
-        type: "listItem",
-        content: [{
-          type: "paragraph",
-          content: [{ type: "text", text: "Affects user authentication" }]
-        }]
-      },
-      {
-        type: "listItem",
-        content: [{
-          type: "paragraph",
-          content: [{ type: "text", text: "Blocks new user registration" }]
-        }]
-      }
-    ]
-  };
+1. Open the **login** page
+2. Enter a password containing \`%\`
+   - happens in Chrome
+   - and in Firefox
 
-  const codeBlock = {
-    type: "codeBlock",
-    attrs: { language: "javascript" },
-    content: [{ type: "text", text: "console.log('Debug info');" }]
-  };
+> Reported by [support](https://support.atlassian.com)`;
 
-  const adf = combineADFContent([heading, paragraph1, bulletList, codeBlock]);
-  console.log('\n=== Complex Combined Example ===');
-  console.log('Complex ADF:', JSON.stringify(adf, null, 2));
+  const adf = markdownToADF(markdown);
+  console.log('\n=== Markdown Example ===');
+  console.log('Markdown ADF:', JSON.stringify(adf, null, 2));
+  return adf;
+};
+
+// Example 10: Builder with panels, tables, mentions and other rich nodes
+const builderExample = () => {
+  const adf = doc()
+    .heading(2, "Release checklist ", status("IN PROGRESS", "blue"))
+    .paragraph("Owner: ", mention("5b10a2844c20165700ede21g", "Jane Doe"), " ", emoji("rocket", "🚀"), " due ", date("2024-12-31"))
+    .panel("warning", ["Do not deploy on ", strong("Fridays"), "."])
+    .orderedList([
+      "Run the test suite",
+      ["Update the changelog", bulletList(["Features", "Bug fixes"])],
+      ["Tag the release", hardBreak(), em("git tag v1.2.0")]
+    ])
+    .table([
+      ["Environment", "Status"],
+      ["Staging", "Deployed"],
+      ["Production", "Pending"]
+    ])
+    .expand("Rollback steps", builder => builder.codeBlock("git revert HEAD", "bash"))
+    .rule()
+    .paragraph("See ", link("the runbook", "https://example.com/runbook"))
+    .build();
+  console.log('\n=== Builder Example ===');
+  console.log('Builder ADF:', JSON.stringify(adf, null, 2));
   return adf;
 };
 
@@ -172,7 +194,9 @@ const validateADFExamples = () => {
     { name: 'Heading', adf: headingExample() },
     { name: 'Code Block', adf: codeBlockExample() },
     { name: 'Link', adf: linkExample() },
-    { name: 'Complex Combined', adf: complexExample() }
+    { name: 'Complex Combined', adf: complexExample() },
+    { name: 'Markdown', adf: markdownExample() },
+    { name: 'Builder', adf: builderExample() }
   ];
 
   examples.forEach(example => {
@@ -197,6 +221,12 @@ const testADFWithJIRA = async () => {
       summary: 'ADF Test - Simple Text',
       description: 'This is a simple description.\n\nWith multiple paragraphs.'
     },
+    {
+      name: 'Markdown Issue',
+      summary: 'ADF Test - Markdown',
+      description: '## Details\n\nThis issue uses **Markdown**:\n\n- first point\n- second point',
+      descriptionFormat: 'markdown'
+    },
     {
       name: 'Bullet List Issue',
       summary: 'ADF Test - Bullet List',
@@ -226,7 +256,9 @@ const testADFWithJIRA = async () => {
         // Note: This would require modifying createIssue to accept pre-formatted ADF
         console.log('⚠️  Custom ADF test skipped - would need modified createIssue function');
       } else {
-        issueKey = await createIssue(projectKey, 'Task', testCase.summary, testCase.description);
+        issueKey = await createIssue(projectKey, 'Task', testCase.summary, testCase.description, {
+          descriptionFormat: testCase.descriptionFormat
+        });
         console.log(`✅ Created issue: ${issueKey}`);
       }
     } catch (error) {
@@ -267,12 +299,16 @@ module.exports = {
   codeBlockExample,
   linkExample,
   complexExample,
+  markdownExample,
+  builderExample,
   validateADFExamples,
   testADFWithJIRA,
   runADFExamples
 };
 
 // Run examples if this file is executed directly
+// Pass --mock to run the live API tests against the local mock JIRA
 if (require.main === module) {
-  runADFExamples().catch(console.error);
+  const run = process.argv.includes('--mock') ? () => withMockJira(runADFExamples) : runADFExamples;
+  run().catch(console.error);
 }
@@ -0,0 +1,405 @@
+/**
+ * Atlassian Document Format (ADF) Schema Validation
+ *
+ * JIRA rejects any description that does not follow the ADF schema with the
+ * same vague "Operation value must be an Atlassian Document" error, no matter
+ * which node is wrong. validateADF checks a document against the schema
+ * before it is sent and reports every problem with the JSON path of the node
+ * it was found in, e.g. "$.content[1].content[0]".
+ *
+ * Learn more: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+
+/**
+ * Attribute rule for a string attribute
+ * @returns {{check: function, expected: string}}
+ */
+function string() {
+  return { check: (value) => typeof value === "string" && value !== "", expected: "a non-empty string" };
+}
+
+/**
+ * Attribute rule for one of a fixed set of values
+ * @param {Array<*>} values - Allowed values
+ * @returns {{check: function, expected: string}}
+ */
+function oneOf(values) {
+  return {
+    check: (value) => values.includes(value),
+    expected: "one of " + values.map((value) => JSON.stringify(value)).join(", "),
+  };
+}
+
+/**
+ * Attribute rule for an integer within a range
+ * @param {number} min
+ * @param {number} [max]
+ * @returns {{check: function, expected: string}}
+ */
+function integer(min, max = Infinity) {
+  return {
+    check: (value) => Number.isInteger(value) && value >= min && value <= max,
+    expected: max === Infinity ? `an integer of at least ${min}` : `an integer from ${min} to ${max}`,
+  };
+}
+
+// Makes a rule apply only when the attribute is present
+const optional = (rule) => ({ ...rule, optional: true });
+
+const ANY_STRING = { check: (value) => typeof value === "string", expected: "a string" };
+
+const HEX_COLOR = { check: (value) => /^#[0-9a-fA-F]{6}$/.test(value), expected: 'a hex color like "#ff5630"' };
+const TIMESTAMP = { check: (value) => /^\d+$/.test(String(value)), expected: "milliseconds since the epoch" };
+
+// Nodes that may appear where ADF expects blocks (document, panels...) or inline content
+const BLOCK_NODES = [
+  "paragraph",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "codeBlock",
+  "blockquote",
+  "rule",
+  "panel",
+  "table",
+  "mediaSingle",
+  "mediaGroup",
+  "expand",
+  "blockCard",
+  "embedCard",
+  "taskList",
+  "decisionList",
+];
+const INLINE_NODES = ["text", "hardBreak", "mention", "emoji", "date", "status", "inlineCard", "mediaInline"];
+
+// Blocks allowed inside table cells, and inside panels and nested expands
+const CELL_NODES = [
+  "paragraph",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "codeBlock",
+  "blockquote",
+  "rule",
+  "panel",
+  "mediaSingle",
+  "mediaGroup",
+  "blockCard",
+  "embedCard",
+  "taskList",
+  "decisionList",
+  "nestedExpand",
+];
+const PANEL_NODES = [
+  "paragraph",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "codeBlock",
+  "rule",
+  "mediaSingle",
+  "mediaGroup",
+  "blockCard",
+  "taskList",
+  "decisionList",
+];
+
+const MEDIA_LAYOUTS = ["wrap-left", "center", "wrap-right", "wide", "full-width", "align-start", "align-end"];
+
+const CELL_ATTRS = {
+  colspan: optional(integer(1)),
+  rowspan: optional(integer(1)),
+  background: optional(string()),
+};
+
+/**
+ * What every node type may contain:
+ *   content      - allowed child node types; leaf nodes have none
+ *   minContent   - fewest children the node must have
+ *   maxContent   - most children the node may have
+ *   firstContent - allowed types for the first child
+ *   attrs        - attribute rules, required unless optional
+ *   marks        - marks the node may carry
+ */
+const NODE_SPECS = {
+  doc: { content: BLOCK_NODES },
+  paragraph: { content: INLINE_NODES, marks: ["alignment", "indentation"] },
+  heading: {
+    content: INLINE_NODES,
+    attrs: { level: integer(1, 6) },
+    marks: ["alignment", "indentation"],
+  },
+  bulletList: { content: ["listItem"], minContent: 1 },
+  orderedList: { content: ["listItem"], minContent: 1, attrs: { order: optional(integer(0)) } },
+  listItem: {
+    content: ["paragraph", "bulletList", "orderedList", "codeBlock", "mediaSingle"],
+    firstContent: ["paragraph", "codeBlock", "mediaSingle"],
+    minContent: 1,
+  },
+  codeBlock: { content: ["text"], attrs: { language: optional(string()) }, marks: ["breakout"] },
+  blockquote: {
+    content: ["paragraph", "bulletList", "orderedList", "codeBlock", "mediaSingle", "mediaGroup"],
+    minContent: 1,
+  },
+  rule: {},
+  panel: {
+    content: PANEL_NODES,
+    minContent: 1,
+    attrs: { panelType: oneOf(["info", "note", "warning", "success", "error", "custom"]) },
+  },
+  table: {
+    content: ["tableRow"],
+    minContent: 1,
+    attrs: {
+      isNumberColumnEnabled: optional({ check: (value) => typeof value === "boolean", expected: "a boolean" }),
+      layout: optional(oneOf(["default", "center", "align-start", "align-end", "wide", "full-width"])),
+    },
+  },
+  tableRow: { content: ["tableHeader", "tableCell"], minContent: 1 },
+  tableHeader: { content: CELL_NODES, minContent: 1, attrs: CELL_ATTRS },
+  tableCell: { content: CELL_NODES, minContent: 1, attrs: CELL_ATTRS },
+  mediaSingle: {
+    content: ["media"],
+    minContent: 1,
+    maxContent: 1,
+    attrs: { layout: oneOf(MEDIA_LAYOUTS) },
+  },
+  mediaGroup: { content: ["media"], minContent: 1 },
+  media: {
+    attrs: {
+      type: oneOf(["file", "link", "external"]),
+      id: optional(string()),
+      collection: optional(ANY_STRING),
+      url: optional(string()),
+    },
+  },
+  expand: {
+    content: [...CELL_NODES, "table"],
+    minContent: 1,
+    attrs: { title: optional(ANY_STRING) },
+    marks: ["breakout"],
+  },
+  nestedExpand: { content: PANEL_NODES, minContent: 1, attrs: { title: optional(ANY_STRING) } },
+  blockCard: { attrs: { url: string() } },
+  embedCard: {
+    attrs: { url: string(), layout: oneOf(MEDIA_LAYOUTS) },
+  },
+  taskList: { content: ["taskItem", "taskList"], minContent: 1, firstContent: ["taskItem"], attrs: { localId: string() } },
+  taskItem: { content: INLINE_NODES, attrs: { localId: string(), state: oneOf(["TODO", "DONE"]) } },
+  decisionList: { content: ["decisionItem"], minContent: 1, attrs: { localId: string() } },
+  decisionItem: { content: INLINE_NODES, attrs: { localId: string(), state: oneOf(["DECIDED"]) } },
+  text: { marks: ["strong", "em", "strike", "underline", "code", "link", "subsup", "textColor", "backgroundColor"] },
+  hardBreak: {},
+  mention: { attrs: { id: string(), text: optional(ANY_STRING) } },
+  emoji: { attrs: { shortName: string() } },
+  date: { attrs: { timestamp: TIMESTAMP } },
+  status: {
+    attrs: { text: string(), color: oneOf(["neutral", "purple", "blue", "red", "yellow", "green"]) },
+  },
+  inlineCard: { attrs: { url: string() } },
+  mediaInline: { attrs: { id: string(), collection: optional(ANY_STRING) } },
+};
+
+// Attribute rules per mark type
+const MARK_SPECS = {
+  strong: {},
+  em: {},
+  strike: {},
+  underline: {},
+  code: {},
+  link: { attrs: { href: string() } },
+  subsup: { attrs: { type: oneOf(["sub", "sup"]) } },
+  textColor: { attrs: { color: HEX_COLOR } },
+  backgroundColor: { attrs: { color: HEX_COLOR } },
+  alignment: { attrs: { align: oneOf(["center", "end"]) } },
+  indentation: { attrs: { level: integer(1, 6) } },
+  breakout: { attrs: { mode: oneOf(["wide", "full-width"]) } },
+};
+
+// The code mark can only be combined with links
+const CODE_COMPATIBLE_MARKS = ["code", "link"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks the attributes of a node or mark against its rules
+ * @param {object} item - Node or mark
+ * @param {object} rules - Attribute name -> rule
+ * @param {string} path - JSON path of the item
+ * @param {Array<object>} errors - Collected errors
+ */
+function validateAttrs(item, rules = {}, path, errors) {
+  if (item.attrs !== undefined && !isObject(item.attrs)) {
+    errors.push({ path: `${path}.attrs`, message: "attrs must be an object" });
+    return;
+  }
+  const attrs = item.attrs || {};
+  Object.entries(rules).forEach(([name, rule]) => {
+    const value = attrs[name];
+    if (value === undefined || value === null) {
+      if (!rule.optional) {
+        errors.push({ path: `${path}.attrs.${name}`, message: `'${item.type}' requires attrs.${name}, ${rule.expected}` });
+      }
+    } else if (!rule.check(value)) {
+      errors.push({ path: `${path}.attrs.${name}`, message: `attrs.${name} must be ${rule.expected}, got ${JSON.stringify(value)}` });
+    }
+  });
+}
+
+/**
+ * Checks the marks of a node: known types, allowed on the node, valid
+ * attributes, no duplicates and code only combined with links
+ * @param {object} node - ADF node
+ * @param {Array<string>} allowed - Mark types the node may carry
+ * @param {string} path - JSON path of the node
+ * @param {Array<object>} errors - Collected errors
+ */
+function validateMarks(node, allowed, path, errors) {
+  if (node.marks === undefined) {
+    return;
+  }
+  if (!Array.isArray(node.marks)) {
+    errors.push({ path: `${path}.marks`, message: "marks must be an array" });
+    return;
+  }
+
+  const seen = [];
+  node.marks.forEach((mark, index) => {
+    const markPath = `${path}.marks[${index}]`;
+    if (!isObject(mark) || typeof mark.type !== "string") {
+      errors.push({ path: markPath, message: "Mark must be an object with a type" });
+      return;
+    }
+    if (!MARK_SPECS[mark.type]) {
+      errors.push({ path: `${markPath}.type`, message: `Unknown mark type '${mark.type}'` });
+      return;
+    }
+    if (!allowed.includes(mark.type)) {
+      errors.push({ path: `${markPath}.type`, message: `Mark '${mark.type}' is not allowed on '${node.type}'` });
+    }
+    if (seen.includes(mark.type)) {
+      errors.push({ path: `${markPath}.type`, message: `Mark '${mark.type}' is applied more than once` });
+    }
+    seen.push(mark.type);
+    validateAttrs(mark, MARK_SPECS[mark.type].attrs, markPath, errors);
+  });
+
+  if (seen.includes("code")) {
+    const incompatible = [...new Set(seen)].filter((type) => !CODE_COMPATIBLE_MARKS.includes(type));
+    if (incompatible.length > 0) {
+      errors.push({
+        path: `${path}.marks`,
+        message: `Mark 'code' cannot be combined with ${incompatible.map((type) => `'${type}'`).join(", ")}`,
+      });
+    }
+  }
+}
+
+/**
+ * Validates a node and, recursively, its children
+ * @param {object} node - ADF node
+ * @param {string} path - JSON path of the node
+ * @param {Array<object>} errors - Collected errors
+ * @param {object} [parent] - Parent node, used for the allowed marks of text in code blocks
+ */
+function validateNode(node, path, errors, parent) {
+  if (!isObject(node)) {
+    errors.push({ path, message: "Node must be an object" });
+    return;
+  }
+  if (typeof node.type !== "string") {
+    errors.push({ path: `${path}.type`, message: "Node must have a type" });
+    return;
+  }
+  const spec = NODE_SPECS[node.type];
+  if (!spec) {
+    errors.push({ path: `${path}.type`, message: `Unknown node type '${node.type}'` });
+    return;
+  }
+
+  validateAttrs(node, spec.attrs, path, errors);
+
+  if (node.type === "text" && (typeof node.text !== "string" || node.text === "")) {
+    errors.push({ path: `${path}.text`, message: "Text nodes must have non-empty text" });
+  }
+
+  // Code blocks hold unformatted text only
+  const allowedMarks = parent && parent.type === "codeBlock" ? [] : spec.marks || [];
+  validateMarks(node, allowedMarks, path, errors);
+
+  if (!spec.content) {
+    if (node.content !== undefined && !(Array.isArray(node.content) && node.content.length === 0)) {
+      errors.push({ path: `${path}.content`, message: `'${node.type}' cannot have content` });
+    }
+    return;
+  }
+  if (node.content === undefined && !spec.minContent) {
+    return;
+  }
+  if (!Array.isArray(node.content)) {
+    errors.push({ path: `${path}.content`, message: `'${node.type}' must have a content array` });
+    return;
+  }
+
+  const count = node.content.length;
+  if (spec.minContent && count < spec.minContent) {
+    errors.push({ path: `${path}.content`, message: `'${node.type}' must contain at least ${spec.minContent} node(s)` });
+  }
+  if (spec.maxContent && count > spec.maxContent) {
+    errors.push({ path: `${path}.content`, message: `'${node.type}' can contain at most ${spec.maxContent} node(s)` });
+  }
+
+  node.content.forEach((child, index) => {
+    const childPath = `${path}.content[${index}]`;
+    if (isObject(child) && NODE_SPECS[child.type]) {
+      const allowed = index === 0 && spec.firstContent ? spec.firstContent : spec.content;
+      if (child.type === "doc") {
+        errors.push({ path: childPath, message: "'doc' can only be the root node" });
+      } else if (!allowed.includes(child.type)) {
+        errors.push({
+          path: childPath,
+          message:
+            index === 0 && spec.firstContent
+              ? `'${node.type}' must start with one of ${spec.firstContent.join(", ")}, not '${child.type}'`
+              : `'${child.type}' is not allowed inside '${node.type}'`,
+        });
+      }
+    }
+    validateNode(child, childPath, errors, node);
+  });
+}
+
+/**
+ * Validates an ADF document against the ADF schema: node types, allowed
+ * children, required attributes, mark compatibility and empty text nodes
+ * @param {object} adf - ADF document
+ * @returns {Array<{path: string, message: string}>} Errors with the JSON path
+ *   of the offending node, empty when the document is valid
+ *
+ * Example:
+ * validateADF({ type: "doc", version: 1, content: [{ type: "paragraph", content: [{ type: "text", text: "" }] }] })
+ * // [{ path: "$.content[0].content[0].text", message: "Text nodes must have non-empty text" }]
+ */
+function validateADF(adf) {
+  if (!isObject(adf)) {
+    return [{ path: "$", message: "An ADF document must be an object" }];
+  }
+
+  const errors = [];
+  if (adf.type !== "doc") {
+    errors.push({ path: "$.type", message: `The root node must be 'doc', got ${JSON.stringify(adf.type)}` });
+  }
+  if (adf.version !== 1) {
+    errors.push({ path: "$.version", message: `version must be 1, got ${JSON.stringify(adf.version)}` });
+  }
+  if (!Array.isArray(adf.content)) {
+    errors.push({ path: "$.content", message: "The document must have a content array" });
+  } else if (adf.type === "doc") {
+    validateNode(adf, "$", errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  validateADF,
+};
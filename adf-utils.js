@@ -6,50 +6,151 @@
  *
  * ADF is a JSON-based document format used by Atlassian products.
  * Learn more: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ *
+ * The create*ADF helpers produce complete single-purpose documents; use the
+ * chainable builder in adf-builder.js to combine several blocks.
+ */
+
+const { doc, text: textNode, link, inlineCard } = require('./adf-builder');
+
+// Plain text lines that start a list item: "- item", "* item", "1. item", "2) item"
+const TEXT_BULLET_ITEM = /^\s*[-*\u2022]\s+(.*)$/;
+const TEXT_ORDERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+// URLs, email addresses and issue keys (PROJ-123) that plain text is linked on
+const TEXT_LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+|\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b|\b[A-Z][A-Z0-9_]+-[1-9]\d*\b/g;
+
+// An issue key, with its project key in the first group
+const ISSUE_KEY = /^([A-Z][A-Z0-9_]+)-[1-9]\d*$/i;
+
+/**
+ * Returns the project key of an issue key, for the projectKeys option of textToADF
+ * @param {string} issueKey - e.g. "PROJ-123"; a numeric issue ID has no project key
+ * @returns {Array<string>} e.g. ["PROJ"], or [] when issueKey is not an issue key
+ */
+function projectKeysOf(issueKey) {
+  const match = String(issueKey || '').match(ISSUE_KEY);
+  return match ? [match[1].toUpperCase()] : [];
+}
+
+/**
+ * Splits a line of plain text into text and linked parts. URLs and email
+ * addresses become links; issue keys of the given projects become inline
+ * cards (or links) to the issue when a site URL is known. Other words shaped
+ * like issue keys, e.g. "UTF-8" or "SHA-256", stay text.
+ * @param {string} line - Plain text
+ * @param {object} options - See textToADF
+ * @returns {Array<string|object>} Strings and ADF inline nodes
  */
+function linkifyText(line, options) {
+  const parts = [];
+  let last = 0;
+  line.replace(TEXT_LINK_PATTERN, (match, offset) => {
+    let value = match;
+    let node = null;
+
+    if (/^(https?:\/\/|www\.)/.test(value)) {
+      // Sentence punctuation after a URL is not part of it, nor is an unbalanced ")"
+      value = value.replace(/[.,;:!?'"]+$/, '');
+      while (value.endsWith(')') && value.split('(').length < value.split(')').length) {
+        value = value.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+      }
+      node = link(value, value.startsWith('www.') ? 'https://' + value : value);
+    } else if (value.includes('@')) {
+      node = link(value, 'mailto:' + value);
+    } else if (options.siteUrl && options.issueKeys !== false && options.projectKeys) {
+      const projectKey = value.slice(0, value.lastIndexOf('-'));
+      if (options.projectKeys.includes(projectKey)) {
+        const url = `${options.siteUrl.replace(/\/+$/, '')}/browse/${value}`;
+        node = options.issueKeys === 'link' ? link(value, url) : inlineCard(url);
+      }
+    }
+
+    if (node) {
+      parts.push(line.slice(last, offset), node);
+      last = offset + value.length;
+    }
+    return match;
+  });
+  parts.push(line.slice(last));
+  return parts.filter(part => part !== '');
+}
 
 /**
- * Converts plain text to ADF format
+ * Converts plain text to ADF format. The layout of the text is kept:
+ * blank lines separate paragraphs, the lines of a paragraph are joined with
+ * line breaks and runs of "- item" or "1. item" lines become lists. URLs and
+ * email addresses are linked, and so are issue keys like PROJ-123 of the
+ * projects in options.projectKeys when options.siteUrl is given.
  * @param {string} text - Plain text to convert
+ * @param {object} [options]
+ * @param {string} [options.siteUrl] - JIRA site issue keys link to, e.g. https://your-domain.atlassian.net
+ * @param {string|boolean} [options.issueKeys] - 'inlineCard' (default) shows issue keys as smart
+ *   cards, 'link' as plain links, false leaves them as text
+ * @param {Array<string>} [options.projectKeys] - Projects whose issue keys are linked; no issue
+ *   keys are linked without it
  * @returns {object} ADF document object
  */
-function textToADF(text) {
+function textToADF(text, options = {}) {
   if (!text || typeof text !== 'string') {
-    return {
-      type: "doc",
-      version: 1,
-      content: []
-    };
+    return doc().build();
   }
 
-  // Split text by line breaks to create separate paragraphs
-  const paragraphs = text.split('\n').filter(line => line.trim() !== '');
+  const builder = doc();
+  let paragraph = [];
+  let list = null;
 
-  const content = paragraphs.map(paragraph => ({
-    type: "paragraph",
-    content: [
-      {
-        type: "text",
-        text: paragraph.trim()
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      builder.paragraph(...paragraph.flatMap((line, index) => [index > 0 ? '\n' : '', ...linkifyText(line, options)]));
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map(item => linkifyText(item, options));
+      if (list.ordered) {
+        builder.orderedList(items, list.start);
+      } else {
+        builder.bulletList(items);
       }
-    ]
-  }));
+      list = null;
+    }
+  };
 
-  return {
-    type: "doc",
-    version: 1,
-    content: content.length > 0 ? content : [
-      {
-        type: "paragraph",
-        content: [
-          {
-            type: "text",
-            text: text
-          }
-        ]
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\s+$/, '');
+    const bullet = line.match(TEXT_BULLET_ITEM);
+    const ordered = !bullet && line.match(TEXT_ORDERED_ITEM);
+
+    if (line === '') {
+      // Blank lines separate paragraphs (and lists)
+      flushParagraph();
+      flushList();
+    } else if (bullet || ordered) {
+      flushParagraph();
+      const isOrdered = Boolean(ordered);
+      if (list && list.ordered !== isOrdered) {
+        flushList();
       }
-    ]
-  };
+      if (!list) {
+        list = { ordered: isOrdered, start: isOrdered ? parseInt(ordered[1], 10) : 1, items: [] };
+      }
+      list.items.push(bullet ? bullet[1] : ordered[2]);
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+  flushParagraph();
+  flushList();
+
+  const adf = builder.build();
+  if (adf.content.length === 0) {
+    // Whitespace only - keep it as a single paragraph
+    return doc().paragraph(textNode(text)).build();
+  }
+  return adf;
 }
 
 /**
@@ -66,20 +167,9 @@ function textToADF(text) {
  * ]
  */
 function createFormattedADF(textNodes) {
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "paragraph",
-        content: textNodes.map(node => ({
-          type: "text",
-          text: node.text,
-          ...(node.marks && { marks: node.marks })
-        }))
-      }
-    ]
-  };
+  return doc()
+    .paragraph(...textNodes.map(node => textNode(node.text, node.marks)))
+    .build();
 }
 
 /**
@@ -92,29 +182,7 @@ function createBulletListADF(items) {
     return textToADF('');
   }
 
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "bulletList",
-        content: items.map(item => ({
-          type: "listItem",
-          content: [
-            {
-              type: "paragraph",
-              content: [
-                {
-                  type: "text",
-                  text: item
-                }
-              ]
-            }
-          ]
-        }))
-      }
-    ]
-  };
+  return doc().bulletList(items).build();
 }
 
 /**
@@ -127,29 +195,7 @@ function createOrderedListADF(items) {
     return textToADF('');
   }
 
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "orderedList",
-        content: items.map(item => ({
-          type: "listItem",
-          content: [
-            {
-              type: "paragraph",
-              content: [
-                {
-                  type: "text",
-                  text: item
-                }
-              ]
-            }
-          ]
-        }))
-      }
-    ]
-  };
+  return doc().orderedList(items).build();
 }
 
 /**
@@ -160,40 +206,13 @@ function createOrderedListADF(items) {
  * @returns {object} ADF document object
  */
 function createHeadingWithContentADF(headingText, level = 1, content = '') {
-  const validLevel = Math.max(1, Math.min(6, level)); // Ensure level is between 1-6
-
-  const adfContent = [
-    {
-      type: "heading",
-      attrs: {
-        level: validLevel
-      },
-      content: [
-        {
-          type: "text",
-          text: headingText
-        }
-      ]
-    }
-  ];
+  const builder = doc().heading(level, headingText); // The builder keeps the level between 1-6
 
   if (content) {
-    adfContent.push({
-      type: "paragraph",
-      content: [
-        {
-          type: "text",
-          text: content
-        }
-      ]
-    });
+    builder.paragraph(content);
   }
 
-  return {
-    type: "doc",
-    version: 1,
-    content: adfContent
-  };
+  return builder.build();
 }
 
 /**
@@ -203,22 +222,7 @@ function createHeadingWithContentADF(headingText, level = 1, content = '') {
  * @returns {object} ADF document object
  */
 function createCodeBlockADF(code, language = '') {
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "codeBlock",
-        attrs: language ? { language } : {},
-        content: [
-          {
-            type: "text",
-            text: code
-          }
-        ]
-      }
-    ]
-  };
+  return doc().codeBlock(code, language).build();
 }
 
 /**
@@ -228,29 +232,7 @@ function createCodeBlockADF(code, language = '') {
  * @returns {object} ADF document object
  */
 function createLinkADF(text, url) {
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "paragraph",
-        content: [
-          {
-            type: "text",
-            text: text,
-            marks: [
-              {
-                type: "link",
-                attrs: {
-                  href: url
-                }
-              }
-            ]
-          }
-        ]
-      }
-    ]
-  };
+  return doc().paragraph(link(text, url)).build();
 }
 
 /**
@@ -259,15 +241,12 @@ function createLinkADF(text, url) {
  * @returns {object} Combined ADF document object
  */
 function combineADFContent(contentBlocks) {
-  return {
-    type: "doc",
-    version: 1,
-    content: contentBlocks.filter(block => block != null)
-  };
+  return doc(...contentBlocks.filter(block => block != null)).build();
 }
 
 /**
- * Validates if an object is a valid ADF document structure
+ * Validates if an object is a valid ADF document structure. Only the root
+ * node is checked; use validateADF from adf-schema.js to check every node.
  * @param {object} adf - Object to validate
  * @returns {boolean} True if valid ADF structure
  */
@@ -281,8 +260,974 @@ function isValidADF(adf) {
   );
 }
 
+/**
+ * Parses inline Markdown (emphasis, code spans, links...) into ADF text nodes
+ * @param {string} text - Inline Markdown
+ * @param {Array<object>} marks - Marks inherited from enclosing syntax
+ * @returns {Array<object>} ADF inline nodes
+ */
+function parseInlineMarkdown(text, marks = []) {
+  const nodes = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer !== '') {
+      nodes.push({ type: "text", text: buffer, ...(marks.length > 0 && { marks }) });
+      buffer = '';
+    }
+  };
+  const wrap = (inner, mark) => {
+    flush();
+    nodes.push(...parseInlineMarkdown(inner, [...marks, mark]));
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    if (rest[0] === '\\' && /^\\[!-/:-@[-`{-~]/.test(rest)) {
+      // Backslash escape - keep the punctuation character literally
+      buffer += rest[1];
+      i += 2;
+    } else if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+      // Code spans only combine with links in ADF
+      flush();
+      const codeMarks = [...marks.filter(mark => mark.type === 'link'), { type: "code" }];
+      nodes.push({ type: "text", text: match[2].replace(/^ (.*) $/, '$1'), marks: codeMarks });
+      i += match[0].length;
+    } else if ((match = readMarkdownLink(rest))) {
+      // Links and images; images have no ADF media to point to, so they become links.
+      // Links to scripts (javascript:, data: URLs...) keep their label as text
+      const label = match.label || match.href;
+      if (isSafeHref(match.href)) {
+        wrap(label, { type: "link", attrs: { href: match.href } });
+      } else {
+        flush();
+        nodes.push(...parseInlineMarkdown(label, marks));
+      }
+      i += match.length;
+    } else if ((match = rest.match(/^<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/))) {
+      flush();
+      const href = match[1];
+      nodes.push({ type: "text", text: href.replace(/^mailto:/, ''), marks: [...marks, { type: "link", attrs: { href } }] });
+      i += match[0].length;
+    } else if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+      wrap(match[1], { type: "strike" });
+      i += match[0].length;
+    } else if ((match = rest.match(/^(\*\*\*|___)(?=\S)([\s\S]*?\S)\1/)) && isEmphasisBoundary(text, i, match)) {
+      flush();
+      nodes.push(...parseInlineMarkdown(match[2], [...marks, { type: "strong" }, { type: "em" }]));
+      i += match[0].length;
+    } else if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/)) && isEmphasisBoundary(text, i, match)) {
+      wrap(match[2], { type: "strong" });
+      i += match[0].length;
+    } else if ((match = rest.match(/^([*_])(?=\S)((?:\*\*[\s\S]*?\*\*|__[\s\S]*?__|[^*_]|(?!\1)[*_])*?\S)\1(?!\1)/)) && isEmphasisBoundary(text, i, match)) {
+      wrap(match[2], { type: "em" });
+      i += match[0].length;
+    } else {
+      buffer += rest[0];
+      i += 1;
+    }
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Reads an inline link or image, [label](destination "title"), at the start of
+ * the text. The destination may contain balanced parentheses, as in
+ * https://en.wikipedia.org/wiki/Foo_(bar), or be written in <angle brackets>.
+ * @param {string} text - Inline Markdown starting with "[" or "!["
+ * @returns {{label: string, href: string, length: number}|null} null when the text does not start with a link
+ */
+function readMarkdownLink(text) {
+  const start = text.match(/^!?\[((?:\\.|[^\]\\])*)\]\(\s*/);
+  if (!start) {
+    return null;
+  }
+  let i = start[0].length;
+  let href = '';
+
+  if (text[i] === '<') {
+    const end = text.indexOf('>', i);
+    if (end === -1 || /[\n<]/.test(text.slice(i + 1, end))) {
+      return null;
+    }
+    href = text.slice(i + 1, end);
+    i = end + 1;
+  } else {
+    let depth = 0;
+    for (; i < text.length && !/\s/.test(text[i]); i++) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        href += text[++i];
+        continue;
+      }
+      if (text[i] === '(') {
+        depth++;
+      } else if (text[i] === ')') {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      }
+      href += text[i];
+    }
+    if (depth !== 0) {
+      return null;
+    }
+  }
+
+  const end = text.slice(i).match(/^(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/);
+  if (!href || !end) {
+    return null;
+  }
+  return { label: start[1], href, length: i + end[0].length };
+}
+
+/**
+ * Underscore emphasis must not start or end inside a word, so snake_case
+ * identifiers stay as they are
+ * @param {string} text - Whole inline text
+ * @param {number} index - Position of the match in text
+ * @param {Array<string>} match - Emphasis match
+ * @returns {boolean}
+ */
+function isEmphasisBoundary(text, index, match) {
+  if (match[1][0] !== '_') {
+    return true;
+  }
+  const before = text[index - 1] || '';
+  const after = text[index + match[0].length] || '';
+  return !/\w/.test(before) && !/\w/.test(after);
+}
+
+/**
+ * Builds the inline content of a paragraph from its Markdown lines. Lines
+ * ending with two spaces or a backslash keep their line break.
+ * @param {Array<string>} lines - Paragraph lines
+ * @returns {Array<object>} ADF inline nodes
+ */
+function paragraphContent(lines) {
+  const segments = [[]];
+  lines.forEach((line, index) => {
+    const hardBreak = index < lines.length - 1 && /( {2,}|\\)$/.test(line);
+    segments[segments.length - 1].push(hardBreak ? line.replace(/\\$/, '').trim() : line.trim());
+    if (hardBreak) {
+      segments.push([]);
+    }
+  });
+
+  return segments.flatMap((segment, index) => [
+    ...(index > 0 ? [{ type: "hardBreak" }] : []),
+    ...parseInlineMarkdown(segment.join(' '))
+  ]);
+}
+
+// Block-level Markdown syntax
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE = /^ {0,3}> ?/;
+const MARKDOWN_LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+// Block nodes ADF allows inside list items and blockquotes
+const LIST_ITEM_BLOCKS = ['paragraph', 'bulletList', 'orderedList', 'codeBlock'];
+const BLOCKQUOTE_BLOCKS = ['paragraph', 'bulletList', 'orderedList', 'codeBlock'];
+
+/**
+ * Splits a Markdown table row into its cell texts
+ * @param {string} line - Table row
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i += 1;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Turns blocks ADF does not allow in a container (headings, rules, tables...)
+ * into paragraphs with the same text
+ * @param {Array<object>} blocks - ADF block nodes
+ * @param {Array<string>} allowed - Block types the container accepts
+ * @returns {Array<object>}
+ */
+function restrictBlocks(blocks, allowed) {
+  return blocks.flatMap(block => {
+    if (allowed.includes(block.type)) {
+      return [block];
+    }
+    if (block.type === 'heading') {
+      return [{ type: "paragraph", content: block.content }];
+    }
+    if (block.type === 'blockquote') {
+      return restrictBlocks(block.content, allowed);
+    }
+    if (block.type === 'table') {
+      return block.content.map(row => ({
+        type: "paragraph",
+        content: parseInlineMarkdown(row.content.map(cell => adfToText(cell)).join(' | '))
+      }));
+    }
+    return [];
+  });
+}
+
+/**
+ * Parses a list starting at lines[start]. Items of the same kind at the same
+ * indentation belong to the list; more deeply indented lines belong to the
+ * item above them and are parsed as blocks of their own, which gives nested
+ * lists.
+ * @param {Array<string>} lines - All lines
+ * @param {number} start - Index of the first list item
+ * @returns {{node: object, end: number}} List node and index of the next line
+ */
+function parseMarkdownList(lines, start) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(MARKDOWN_LIST_ITEM);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) {
+      break;
+    }
+
+    const contentIndent = indent + match[2].length + Math.max(1, Math.min(match[3].length, 4));
+    const itemLines = [match[4]];
+    i += 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const lineIndent = line.match(/^ */)[0].length;
+      if (line.trim() === '') {
+        // A blank line only continues the item if indented content follows
+        const next = lines.slice(i + 1).find(candidate => candidate.trim() !== '');
+        if (next === undefined || next.match(/^ */)[0].length <= indent) {
+          break;
+        }
+        itemLines.push('');
+      } else if (lineIndent > indent) {
+        itemLines.push(line.slice(Math.min(lineIndent, contentIndent)));
+      } else if (!MARKDOWN_LIST_ITEM.test(line) && !isMarkdownBlockStart(lines, i) && itemLines[itemLines.length - 1] !== '') {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i += 1;
+    }
+
+    const blocks = restrictBlocks(parseMarkdownBlocks(itemLines), LIST_ITEM_BLOCKS);
+    if (blocks.length === 0 || blocks[0].type !== 'paragraph') {
+      blocks.unshift({ type: "paragraph", content: [] });
+    }
+    items.push({ type: "listItem", content: blocks });
+
+    // Items separated by blank lines still belong to the same list
+    let next = i;
+    while (next < lines.length && lines[next].trim() === '') {
+      next += 1;
+    }
+    const nextMatch = next < lines.length && lines[next].match(MARKDOWN_LIST_ITEM);
+    if (nextMatch && nextMatch[1].length === indent && /\d/.test(nextMatch[2]) === ordered) {
+      i = next;
+    }
+  }
+
+  const node = { type: ordered ? "orderedList" : "bulletList", content: items };
+  const order = ordered ? parseInt(first[2], 10) : 1;
+  if (order !== 1) {
+    node.attrs = { order };
+  }
+  return { node, end: i };
+}
+
+/**
+ * Checks whether lines[index] starts a block other than a paragraph
+ * @param {Array<string>} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {boolean}
+ */
+function isMarkdownBlockStart(lines, index) {
+  const line = lines[index];
+  return (
+    MARKDOWN_FENCE.test(line) ||
+    MARKDOWN_HEADING.test(line) ||
+    MARKDOWN_RULE.test(line) ||
+    MARKDOWN_QUOTE.test(line) ||
+    (line.includes('|') && index + 1 < lines.length && MARKDOWN_TABLE_DIVIDER.test(lines[index + 1]) && lines[index + 1].includes('-'))
+  );
+}
+
+/**
+ * Parses Markdown lines into ADF block nodes
+ * @param {Array<string>} lines - Markdown lines with tabs expanded
+ * @returns {Array<object>} ADF block nodes
+ */
+function parseMarkdownBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (line.trim() === '') {
+      i += 1;
+    } else if ((match = line.match(MARKDOWN_FENCE))) {
+      // Fenced code block, closed by a fence at least as long as the opening one
+      const fence = match[1];
+      const codeLines = [];
+      i += 1;
+      while (i < lines.length && !new RegExp('^ {0,3}' + fence[0] + '{' + fence.length + ',}\\s*$').test(lines[i])) {
+        codeLines.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      const code = codeLines.join('\n');
+      blocks.push({
+        type: "codeBlock",
+        attrs: match[2] ? { language: match[2] } : {},
+        content: code ? [{ type: "text", text: code }] : []
+      });
+    } else if ((match = line.match(MARKDOWN_HEADING))) {
+      blocks.push({
+        type: "heading",
+        attrs: { level: match[1].length },
+        content: parseInlineMarkdown(match[2] || '')
+      });
+      i += 1;
+    } else if (MARKDOWN_RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+    } else if (MARKDOWN_QUOTE.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && lines[i].trim() !== '' && (MARKDOWN_QUOTE.test(lines[i]) || !isMarkdownBlockStart(lines, i))) {
+        quoteLines.push(lines[i].replace(MARKDOWN_QUOTE, ''));
+        i += 1;
+      }
+      // A quote with no text still needs a block inside it
+      const quoteBlocks = restrictBlocks(parseMarkdownBlocks(quoteLines), BLOCKQUOTE_BLOCKS);
+      blocks.push({
+        type: "blockquote",
+        content: quoteBlocks.length > 0 ? quoteBlocks : [{ type: "paragraph", content: [] }]
+      });
+    } else if (MARKDOWN_LIST_ITEM.test(line)) {
+      const list = parseMarkdownList(lines, i);
+      blocks.push(list.node);
+      i = list.end;
+    } else if (isMarkdownBlockStart(lines, i)) {
+      // Table: header row, divider row, then body rows until a blank line
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i += 1;
+      }
+      const toRow = (cells, cellType) => ({
+        type: "tableRow",
+        content: header.map((_, column) => ({
+          type: cellType,
+          attrs: {},
+          content: [{ type: "paragraph", content: parseInlineMarkdown(cells[column] || '') }]
+        }))
+      });
+      blocks.push({
+        type: "table",
+        attrs: { isNumberColumnEnabled: false, layout: "default" },
+        content: [toRow(header, 'tableHeader'), ...rows.map(row => toRow(row, 'tableCell'))]
+      });
+    } else {
+      const paragraphLines = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() !== '' &&
+        (paragraphLines.length === 0 || (!isMarkdownBlockStart(lines, i) && !MARKDOWN_LIST_ITEM.test(lines[i])))
+      ) {
+        paragraphLines.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: "paragraph", content: paragraphContent(paragraphLines) });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Converts Markdown to ADF. Supports headings, paragraphs, bold, italic,
+ * strikethrough, inline code, links, fenced code blocks with a language,
+ * nested bullet and numbered lists, blockquotes, tables and horizontal rules.
+ * Images become links because ADF media has to be uploaded to JIRA first.
+ * @param {string} markdown - Markdown text
+ * @returns {object} ADF document object
+ *
+ * Example:
+ * markdownToADF('## Steps\n1. Open **Settings**\n2. Run `npm test`')
+ */
+function markdownToADF(markdown) {
+  if (!markdown || typeof markdown !== 'string') {
+    return textToADF('');
+  }
+
+  const lines = markdown
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+
+  return {
+    type: "doc",
+    version: 1,
+    content: parseMarkdownBlocks(lines)
+  };
+}
+
+/**
+ * Converts an issue description to ADF: text is converted according to its
+ * format, valid ADF is used as is, other objects are serialized to text and
+ * anything else becomes an empty document
+ * @param {string|object} description - Plain text, Markdown or ADF document
+ * @param {string} format - How to read a text description: 'text' (default) or 'markdown'
+ * @param {object} [textOptions] - Options for textToADF, e.g. { siteUrl, projectKeys } to link issue keys
+ * @returns {object} ADF document object
+ */
+function descriptionToADF(description, format = 'text', textOptions = {}) {
+  if (typeof description === 'string') {
+    // Text - convert to ADF
+    return format === 'markdown' ? markdownToADF(description) : textToADF(description, textOptions);
+  }
+  if (description && typeof description === 'object' && (isValidADF(description) || description.type === 'doc')) {
+    // Already in ADF format - use as is, validateADF in adf-schema.js reports any mistakes in it
+    return description;
+  }
+  if (description && typeof description === 'object') {
+    // Object but not valid ADF - try to convert to string first
+    return textToADF(JSON.stringify(description));
+  }
+  // Null, undefined, or other - create empty ADF
+  return textToADF('');
+}
+
+// Panel types JIRA supports, used for labels and CSS classes
+const PANEL_TYPES = ['info', 'note', 'warning', 'success', 'error'];
+
+/**
+ * Text shown for a media node, which cannot be rendered without downloading
+ * the attachment from JIRA
+ * @param {object} node - media or mediaInline node
+ * @returns {string}
+ */
+function mediaPlaceholder(node) {
+  const attrs = node.attrs || {};
+  return `[attachment: ${attrs.alt || attrs.id || attrs.url || 'file'}]`;
+}
+
+/**
+ * Formats a date node's timestamp (milliseconds since the epoch) as YYYY-MM-DD
+ * @param {object} node - date node
+ * @returns {string}
+ */
+function dateText(node) {
+  const date = new Date(Number(node.attrs && node.attrs.timestamp));
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Text of an inline node that is not a text node (mentions, emoji, cards...)
+ * @param {object} node - ADF inline node
+ * @returns {string|null} Text, or null for nodes that are not inline atoms
+ */
+function inlineAtomText(node) {
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case 'mention': {
+      const text = attrs.text || attrs.id || 'unknown';
+      return text.startsWith('@') ? text : '@' + text;
+    }
+    case 'emoji':
+      return attrs.text || attrs.shortName || '';
+    case 'inlineCard':
+      return attrs.url || '';
+    case 'status':
+      return `[${attrs.text || ''}]`;
+    case 'date':
+      return dateText(node);
+    case 'mediaInline':
+      return mediaPlaceholder(node);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Renders an ADF document or node as plain text. Blocks (paragraphs,
+ * headings, lists...) are separated by a blank line and line breaks within a
+ * paragraph are kept, so the text reads like textToADF's input. List items
+ * are prefixed with "- " or their number and table cells are separated by " | ".
+ * @param {object} adf - ADF document or node
+ * @returns {string} Plain text
+ */
+function adfToText(adf) {
+  if (!adf || typeof adf !== 'object') {
+    return '';
+  }
+
+  const atom = inlineAtomText(adf);
+  if (atom !== null) {
+    return atom;
+  }
+
+  const children = adf.content || [];
+  switch (adf.type) {
+    case 'text':
+      return adf.text || '';
+    case 'hardBreak':
+      return '\n';
+    case 'rule':
+      return '----';
+    case 'media':
+      return mediaPlaceholder(adf);
+    case 'blockCard':
+    case 'embedCard':
+      return (adf.attrs && adf.attrs.url) || '';
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+    case 'decisionList': {
+      const start = adf.type === 'orderedList' && adf.attrs && adf.attrs.order ? adf.attrs.order : 1;
+      return children.map((item, index) => {
+        let marker = '- ';
+        if (adf.type === 'orderedList') {
+          marker = `${start + index}. `;
+        } else if (item.type === 'taskItem') {
+          marker = item.attrs && item.attrs.state === 'DONE' ? '[x] ' : '[ ] ';
+        }
+        // Continuation lines (e.g. nested lists) are indented under the marker
+        return marker + adfToText(item).split('\n').join('\n' + ' '.repeat(marker.length));
+      }).join('\n');
+    }
+    case 'tableRow':
+      return children.map(cell => adfToText(cell).replace(/\n/g, ' ')).join(' | ').trimEnd();
+    case 'expand':
+    case 'nestedExpand': {
+      const title = adf.attrs && adf.attrs.title;
+      return [title, ...children.map(adfToText)].filter(part => part).join('\n\n');
+    }
+    default: {
+      const isBlockContainer = children.length > 0 && !['paragraph', 'heading', 'taskItem', 'decisionItem'].includes(adf.type) && isBlockNode(children[0]);
+      if (!isBlockContainer) {
+        return children.map(adfToText).join('');
+      }
+      // Paragraphs and other blocks are separated by a blank line, so they stay
+      // apart from the lines of one paragraph; rows, list items and media are not
+      return children.map(adfToText).join(TIGHT_BLOCK_CONTAINERS.includes(adf.type) ? '\n' : '\n\n');
+    }
+  }
+}
+
+// Block containers whose children are laid out on consecutive lines
+const TIGHT_BLOCK_CONTAINERS = ['table', 'listItem', 'tableCell', 'tableHeader', 'mediaGroup', 'mediaSingle'];
+
+// Inline node types; everything else inside a container is laid out as a block
+const INLINE_NODE_TYPES = ['text', 'hardBreak', 'mention', 'emoji', 'inlineCard', 'status', 'date', 'mediaInline', 'placeholder'];
+
+/**
+ * @param {object} node - ADF node
+ * @returns {boolean} True for block nodes (paragraphs, lists, tables...)
+ */
+function isBlockNode(node) {
+  return Boolean(node) && !INLINE_NODE_TYPES.includes(node.type);
+}
+
+// Schemes links may use; URLs without a scheme are relative and allowed too
+const SAFE_HREF_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Only http, https, mailto and relative URLs are rendered as links, so
+ * scripts (javascript:, data: URLs...) never are. Browsers ignore tabs, line
+ * breaks and other control characters in a URL, so they are removed before
+ * reading its scheme: "java\tscript:" is a javascript: URL.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeHref(url) {
+  if (typeof url !== 'string') {
+    return false;
+  }
+  const cleaned = url.replace(/[\u0000- \u007f]/g, '');
+  const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+  return cleaned !== '' && (!scheme || SAFE_HREF_SCHEMES.includes(scheme[1].toLowerCase()));
+}
+
+/**
+ * Escapes characters that Markdown would otherwise read as formatting
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  // Underscores inside words (snake_case) are not emphasis and stay as they are
+  return text.replace(/[\\`*[\]~<>]|(?<!\w)_|_(?!\w)/g, '\\$&');
+}
+
+/**
+ * Renders inline ADF nodes (text with marks, mentions, emoji...) as Markdown
+ * @param {Array<object>} nodes - ADF inline nodes
+ * @returns {string}
+ */
+function inlineToMarkdown(nodes) {
+  return (nodes || []).map(node => {
+    if (node.type === 'hardBreak') {
+      return '\\\n';
+    }
+    if (node.type === 'inlineCard' && node.attrs && node.attrs.url) {
+      return `<${node.attrs.url}>`;
+    }
+    if (node.type !== 'text') {
+      const atom = inlineAtomText(node);
+      return atom === null ? inlineToMarkdown(node.content) : escapeMarkdown(atom);
+    }
+
+    const marks = node.marks || [];
+    const code = marks.find(mark => mark.type === 'code');
+    let text;
+    if (code) {
+      // Use a backtick fence longer than any backtick run in the code
+      const longestRun = Math.max(0, ...(node.text.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      const padding = node.text.startsWith('`') || node.text.endsWith('`') ? ' ' : '';
+      text = fence + padding + node.text + padding + fence;
+    } else {
+      text = escapeMarkdown(node.text);
+    }
+
+    // Emphasis delimiters must touch the text, so surrounding spaces stay outside
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (core === '') {
+      return text;
+    }
+    let result = core;
+    marks.forEach(mark => {
+      if (mark.type === 'strong') {
+        result = `**${result}**`;
+      } else if (mark.type === 'em') {
+        result = `_${result}_`;
+      } else if (mark.type === 'strike') {
+        result = `~~${result}~~`;
+      }
+    });
+    const link = marks.find(mark => mark.type === 'link');
+    if (link && link.attrs && isSafeHref(link.attrs.href)) {
+      const href = link.attrs.href.replace(/[()\s]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+      result = `[${result}](${href})`;
+    }
+    return leading + result + trailing;
+  }).join('');
+}
+
+/**
+ * Prefixes every line after the first with the given indentation
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+function indentLines(text, indent) {
+  return text.split('\n').map((line, index) => (index === 0 || line === '' ? line : indent + line)).join('\n');
+}
+
+/**
+ * Renders ADF block nodes as Markdown, separated by blank lines
+ * @param {Array<object>} nodes - ADF block nodes
+ * @returns {string}
+ */
+function blocksToMarkdown(nodes) {
+  return (nodes || []).map(blockToMarkdown).filter(block => block !== '').join('\n\n');
+}
+
+/**
+ * Renders a single ADF block node as Markdown
+ * @param {object} node - ADF block node
+ * @returns {string}
+ */
+function blockToMarkdown(node) {
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case 'paragraph': {
+      // Keep text that looks like block syntax (headings, list markers) literal
+      return inlineToMarkdown(node.content).replace(/^(#{1,6}\s|[-+]\s|\d+(?=[.)]\s))/, '\\$1');
+    }
+    case 'heading':
+      return '#'.repeat(Math.max(1, Math.min(6, attrs.level || 1))) + ' ' + inlineToMarkdown(node.content);
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+    case 'decisionList': {
+      const start = node.type === 'orderedList' && attrs.order ? attrs.order : 1;
+      return (node.content || []).map((item, index) => {
+        let marker = '- ';
+        if (node.type === 'orderedList') {
+          marker = `${start + index}. `;
+        } else if (item.type === 'taskItem') {
+          marker = item.attrs && item.attrs.state === 'DONE' ? '- [x] ' : '- [ ] ';
+        }
+        const body = item.type === 'taskItem' || item.type === 'decisionItem'
+          ? inlineToMarkdown(item.content)
+          : (item.content || []).map(blockToMarkdown).join('\n');
+        return marker + indentLines(body, ' '.repeat(marker.length));
+      }).join('\n');
+    }
+    case 'codeBlock': {
+      const code = (node.content || []).map(child => child.text || '').join('');
+      const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `${fence}${attrs.language || ''}\n${code}\n${fence}`;
+    }
+    case 'blockquote':
+      return blocksToMarkdown(node.content).split('\n').map(line => (line ? '> ' + line : '>')).join('\n');
+    case 'panel': {
+      // Markdown has no panels, so they become blockquotes labelled with their type
+      const type = PANEL_TYPES.includes(attrs.panelType) ? attrs.panelType : 'info';
+      const label = `**${type[0].toUpperCase()}${type.slice(1)}:**`;
+      return (label + '\n' + blocksToMarkdown(node.content)).split('\n').map(line => (line ? '> ' + line : '>')).join('\n');
+    }
+    case 'rule':
+      return '---';
+    case 'table':
+      return tableToMarkdown(node);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return (node.content || []).map(media => escapeMarkdown(mediaPlaceholder(media))).join(' ');
+    case 'blockCard':
+    case 'embedCard':
+      return attrs.url ? `<${attrs.url}>` : '';
+    case 'expand':
+    case 'nestedExpand':
+      return [attrs.title ? `**${escapeMarkdown(attrs.title)}**` : '', blocksToMarkdown(node.content)].filter(part => part).join('\n\n');
+    default:
+      return isBlockNode((node.content || [])[0]) ? blocksToMarkdown(node.content) : inlineToMarkdown(node.content);
+  }
+}
+
+/**
+ * Renders an ADF table as a GitHub flavoured Markdown table. The first row
+ * becomes the header row; merged cells are not supported by Markdown and
+ * are rendered as single cells.
+ * @param {object} table - ADF table node
+ * @returns {string}
+ */
+function tableToMarkdown(table) {
+  const rows = (table.content || []).map(row => (row.content || []).map(cell =>
+    (cell.content || []).map(block => inlineToMarkdown(block.content)).join(' ').replace(/\n/g, ' ').replace(/\|/g, '\\|')
+  ));
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const toLine = cells => '| ' + Array.from({ length: columns }, (_, index) => cells[index] || '').join(' | ') + ' |';
+  return [toLine(rows[0]), toLine(Array(columns).fill('---')), ...rows.slice(1).map(toLine)].join('\n');
+}
+
+/**
+ * Renders an ADF document or node as Markdown
+ * @param {object} adf - ADF document or node
+ * @returns {string} Markdown text
+ *
+ * Example:
+ * adfToMarkdown(createHeadingWithContentADF('Bug Report', 2, 'Login fails'))
+ * // "## Bug Report\n\nLogin fails"
+ */
+function adfToMarkdown(adf) {
+  if (!adf || typeof adf !== 'object') {
+    return '';
+  }
+  if (adf.type === 'doc') {
+    return blocksToMarkdown(adf.content);
+  }
+  return isBlockNode(adf) ? blockToMarkdown(adf) : inlineToMarkdown([adf]);
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes a URL for an href attribute, dropping scripts
+ * @param {string} url
+ * @returns {string}
+ */
+function safeHref(url) {
+  return isSafeHref(url) ? escapeHTML(url) : '#';
+}
+
+/**
+ * Wraps rendered text in the HTML elements for its marks
+ * @param {string} html - Escaped text
+ * @param {Array<object>} marks - ADF marks
+ * @returns {string}
+ */
+function applyHTMLMarks(html, marks) {
+  return (marks || []).reduce((result, mark) => {
+    const attrs = mark.attrs || {};
+    switch (mark.type) {
+      case 'strong':
+        return `<strong>${result}</strong>`;
+      case 'em':
+        return `<em>${result}</em>`;
+      case 'strike':
+        return `<s>${result}</s>`;
+      case 'underline':
+        return `<u>${result}</u>`;
+      case 'code':
+        return `<code>${result}</code>`;
+      case 'subsup':
+        return attrs.type === 'sup' ? `<sup>${result}</sup>` : `<sub>${result}</sub>`;
+      case 'textColor':
+        return /^#[0-9a-f]{3,8}$/i.test(attrs.color || '') ? `<span style="color: ${attrs.color}">${result}</span>` : result;
+      case 'link':
+        return `<a href="${safeHref(attrs.href)}">${result}</a>`;
+      default:
+        return result;
+    }
+  }, html);
+}
+
+/**
+ * Renders the children of an ADF node as HTML
+ * @param {object} node - ADF node
+ * @returns {string}
+ */
+function childrenToHTML(node) {
+  return (node.content || []).map(adfToHTML).join('');
+}
+
+/**
+ * Renders an ADF document or node as an HTML fragment, e.g. for emails. All
+ * text is escaped and links to scripts are dropped, so the result can be
+ * embedded in a page as is. Elements without a standard HTML equivalent
+ * (panels, mentions, media...) get "adf-" CSS classes for styling.
+ * @param {object} adf - ADF document or node
+ * @returns {string} HTML fragment
+ */
+function adfToHTML(adf) {
+  if (!adf || typeof adf !== 'object') {
+    return '';
+  }
+
+  const attrs = adf.attrs || {};
+  const cellAttrs = () => ['colspan', 'rowspan']
+    .filter(name => Number.isInteger(attrs[name]) && attrs[name] > 1)
+    .map(name => ` ${name}="${attrs[name]}"`)
+    .join('');
+
+  switch (adf.type) {
+    case 'doc':
+      return childrenToHTML(adf);
+    case 'text':
+      return applyHTMLMarks(escapeHTML(adf.text || ''), adf.marks);
+    case 'hardBreak':
+      return '<br>';
+    case 'paragraph':
+      return `<p>${childrenToHTML(adf)}</p>`;
+    case 'heading': {
+      const level = Math.max(1, Math.min(6, attrs.level || 1));
+      return `<h${level}>${childrenToHTML(adf)}</h${level}>`;
+    }
+    case 'bulletList':
+      return `<ul>${childrenToHTML(adf)}</ul>`;
+    case 'orderedList':
+      return attrs.order && attrs.order !== 1
+        ? `<ol start="${Number(attrs.order)}">${childrenToHTML(adf)}</ol>`
+        : `<ol>${childrenToHTML(adf)}</ol>`;
+    case 'listItem':
+    case 'decisionItem':
+      return `<li>${childrenToHTML(adf)}</li>`;
+    case 'taskList':
+      return `<ul class="adf-task-list">${childrenToHTML(adf)}</ul>`;
+    case 'taskItem':
+      return `<li><input type="checkbox" disabled${attrs.state === 'DONE' ? ' checked' : ''}> ${childrenToHTML(adf)}</li>`;
+    case 'decisionList':
+      return `<ul class="adf-decision-list">${childrenToHTML(adf)}</ul>`;
+    case 'codeBlock': {
+      const language = attrs.language ? ` class="language-${escapeHTML(attrs.language)}"` : '';
+      return `<pre><code${language}>${(adf.content || []).map(child => escapeHTML(child.text || '')).join('')}</code></pre>`;
+    }
+    case 'blockquote':
+      return `<blockquote>${childrenToHTML(adf)}</blockquote>`;
+    case 'panel': {
+      const type = PANEL_TYPES.includes(attrs.panelType) ? attrs.panelType : 'info';
+      return `<div class="adf-panel adf-panel-${type}">${childrenToHTML(adf)}</div>`;
+    }
+    case 'rule':
+      return '<hr>';
+    case 'table':
+      return `<table>${childrenToHTML(adf)}</table>`;
+    case 'tableRow':
+      return `<tr>${childrenToHTML(adf)}</tr>`;
+    case 'tableHeader':
+      return `<th${cellAttrs()}>${childrenToHTML(adf)}</th>`;
+    case 'tableCell':
+      return `<td${cellAttrs()}>${childrenToHTML(adf)}</td>`;
+    case 'mention':
+      return `<span class="adf-mention" data-account-id="${escapeHTML(attrs.id || '')}">${escapeHTML(inlineAtomText(adf))}</span>`;
+    case 'emoji':
+      return `<span class="adf-emoji" title="${escapeHTML(attrs.shortName || '')}">${escapeHTML(inlineAtomText(adf))}</span>`;
+    case 'status':
+      return `<span class="adf-status adf-status-${escapeHTML(attrs.color || 'neutral')}">${escapeHTML(attrs.text || '')}</span>`;
+    case 'date':
+      return `<time datetime="${dateText(adf)}">${dateText(adf)}</time>`;
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard': {
+      const link = `<a href="${safeHref(attrs.url)}">${escapeHTML(attrs.url || '')}</a>`;
+      return adf.type === 'inlineCard' ? link : `<p>${link}</p>`;
+    }
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return `<div class="adf-media">${childrenToHTML(adf)}</div>`;
+    case 'media':
+    case 'mediaInline':
+      return `<span class="adf-media-placeholder">${escapeHTML(mediaPlaceholder(adf))}</span>`;
+    case 'expand':
+    case 'nestedExpand':
+      return `<details><summary>${escapeHTML(attrs.title || '')}</summary>${childrenToHTML(adf)}</details>`;
+    default:
+      return childrenToHTML(adf);
+  }
+}
+
 module.exports = {
   textToADF,
+  projectKeysOf,
   createFormattedADF,
   createBulletListADF,
   createOrderedListADF,
@@ -290,5 +1235,10 @@ module.exports = {
   createCodeBlockADF,
   createLinkADF,
   combineADFContent,
-  isValidADF
+  isValidADF,
+  markdownToADF,
+  descriptionToADF,
+  adfToText,
+  adfToMarkdown,
+  adfToHTML
 };
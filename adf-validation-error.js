@@ -0,0 +1,23 @@
+/**
+ * Error thrown when a document does not follow the ADF schema
+ *
+ * Raised by create-issue.js before anything is sent to JIRA, so callers get
+ * the JSON path of every invalid node instead of JIRA's generic "Operation
+ * value must be an Atlassian Document" error.
+ */
+
+class ADFValidationError extends Error {
+  /**
+   * @param {string} field - Field that holds the document, e.g. "description"
+   * @param {Array<{path: string, message: string}>} errors - Errors from validateADF
+   */
+  constructor(field, errors) {
+    super(`The ${field} is not a valid Atlassian Document: ${errors[0].path}: ${errors[0].message}` +
+      (errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""));
+    this.name = "ADFValidationError";
+    this.field = field;
+    this.errors = errors;
+  }
+}
+
+module.exports = ADFValidationError;
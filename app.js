@@ -2,20 +2,87 @@
 const express = require("express");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJSDoc = require("swagger-jsdoc");
+const { pipeline } = require("stream");
 
 // Import JIRA service functions
 const createIssue = require("./create-issue");
+const createIssuesBulk = require("./create-issues-bulk");
 const createProject = require("./create-project");
 const getIssues = require("./get-issues");
+const iterateIssues = require("./iterate-issues");
+const validateJql = require("./validate-jql");
+const { buildIssueSearchJql } = require("./jql-builder");
 const getProjects = require("./get-projects");
 const getUsers = require("./get-users");
 const getIssueByID = require("./get-issue-by-id");
+const { COMPACT_FIELDS, DOCUMENT_FORMATS, renderIssueDocuments, toCompactIssue } = require("./issue-views");
+const { isValidADF } = require("./adf-utils");
 const deleteIssueByID = require("./delete-issue-by-id");
+const updateIssue = require("./update-issue");
+const getComments = require("./get-comments");
+const addComment = require("./add-comment");
+const updateComment = require("./update-comment");
+const deleteComment = require("./delete-comment");
 const getTransitions = require("./get-transitions");
 const updateStatus = require("./update-status");
+const transitionIssue = require("./transition-issue");
+const TransitionNotAvailableError = require("./transition-not-available-error");
+const ADFValidationError = require("./adf-validation-error");
+const { loadTemplates, listTemplates, getTemplate, missingVariables, renderTemplate } = require("./issue-templates");
+const { JiraApiError } = require("./jira-client");
+const addAttachment = require("./add-attachment");
+const getAttachments = require("./get-attachments");
+const downloadAttachment = require("./download-attachment");
+const deleteAttachment = require("./delete-attachment");
+const { receiveUpload } = require("./attachment-upload");
+const AttachmentUploadError = require("./attachment-upload-error");
+const getIssueLinkTypes = require("./get-issue-link-types");
+const getIssueLinks = require("./get-issue-links");
+const createIssueLink = require("./create-issue-link");
+const deleteIssueLink = require("./delete-issue-link");
+const getIssueChildren = require("./get-issue-children");
+const bulkTransitionIssues = require("./bulk-transition-issues");
+const bulkDeleteIssues = require("./bulk-delete-issues");
+const { MAX_BULK_ISSUES, DEFAULT_CONCURRENCY: DEFAULT_BULK_CONCURRENCY, MAX_CONCURRENCY } = require("./bulk-operations");
+const BulkLimitError = require("./bulk-limit-error");
+const importIssues = require("./import-issues");
+const { IMPORT_FIELDS, parseImportData } = require("./issue-import");
+const ImportFileError = require("./import-file-error");
+const InvalidRequestError = require("./invalid-request-error");
+const getFields = require("./get-fields");
+const {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  DEFAULT_EXPORT_COLUMNS,
+  OPTIONAL_DEFAULT_COLUMNS,
+  BUILT_IN_COLUMNS,
+  needsFieldList,
+  resolveColumns,
+  exportFields,
+  writeExport,
+} = require("./issue-export");
+const { WEBHOOK_EVENTS, webhookSecretFromEnv, verifySignature, deliveryId, parseWebhookEvent } = require("./jira-webhooks");
+const WebhookEventLog = require("./webhook-event-log");
+const { loadWebhookHandlers, dispatchWebhookEvent } = require("./webhook-handlers");
+const { EVENT_TYPES, SubscriptionRegistry, publicSubscription } = require("./subscription-registry");
+const { EventPublisher } = require("./event-publisher");
+const { checkSubscriptionUrl } = require("./subscription-targets");
+const { getResponseCache } = require("./response-cache");
+const IssueLinkTypeNotFoundError = require("./issue-link-type-not-found-error");
 
 const app = express();
-app.use(express.json()); // Middleware to parse JSON bodies
+// Middleware to parse JSON bodies; bulk requests carry up to 1000 issues. Webhook
+// deliveries keep their raw body too, because their signature is computed over it.
+app.use(
+  express.json({
+    limit: "5mb",
+    verify: (req, res, buffer) => {
+      if (req.originalUrl.startsWith("/webhooks/")) {
+        req.rawBody = buffer;
+      }
+    },
+  }),
+);
 
 const PORT = process.env.PORT || 3000;
 
@@ -66,7 +133,122 @@ const swaggerOptions = {
             },
             fields: {
               type: "object",
-              description: "Issue fields including summary, description, status, etc.",
+              description:
+                "Issue fields including summary, description, status, etc. The description and comment bodies are ADF unless another descriptionFormat is requested",
+            },
+          },
+        },
+        CompactIssue: {
+          type: "object",
+          description: "Flattened issue returned with view=compact",
+          properties: {
+            id: { type: "string", example: "10001" },
+            key: { type: "string", example: "PROJ-123" },
+            summary: { type: "string", example: "Implement new login button" },
+            status: { type: "string", description: "Status name", example: "In Progress" },
+            issueType: { type: "string", example: "Task" },
+            assignee: { type: "string", nullable: true, description: "Assignee display name", example: "John Doe" },
+            reporter: { type: "string", nullable: true, description: "Reporter display name", example: "Jane Doe" },
+            priority: { type: "string", nullable: true, example: "Medium" },
+            labels: { type: "array", items: { type: "string" }, example: ["frontend"] },
+            parent: { type: "string", nullable: true, description: "Key of the parent issue or epic", example: "PROJ-100" },
+            description: {
+              type: "string",
+              description: "Description as plain text, or in the requested descriptionFormat",
+              example: "The login button on the main page needs to be updated.",
+            },
+            created: { type: "string", format: "date-time" },
+            updated: { type: "string", format: "date-time" },
+          },
+        },
+        Comment: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Comment ID",
+              example: "10010",
+            },
+            author: {
+              $ref: "#/components/schemas/User",
+            },
+            body: {
+              type: "object",
+              description: "Comment body in Atlassian Document Format",
+            },
+            created: {
+              type: "string",
+              format: "date-time",
+            },
+            updated: {
+              type: "string",
+              format: "date-time",
+            },
+            visibility: {
+              $ref: "#/components/schemas/CommentVisibility",
+            },
+          },
+        },
+        Attachment: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "10020" },
+            filename: { type: "string", example: "screenshot.png" },
+            author: { $ref: "#/components/schemas/User" },
+            created: { type: "string", format: "date-time" },
+            size: { type: "integer", description: "Size in bytes", example: 23123 },
+            mimeType: { type: "string", example: "image/png" },
+            content: {
+              type: "string",
+              description: "JIRA URL of the content; download it through GET /attachments/{attachmentId}/content",
+            },
+            thumbnail: { type: "string", description: "JIRA URL of a thumbnail, for images" },
+          },
+        },
+        IssueLink: {
+          type: "object",
+          description: "A link as seen from the requested issue: <issue> <relationship> <linked issue>",
+          properties: {
+            id: { type: "string", example: "10030" },
+            type: { type: "string", description: "Link type name", example: "Blocks" },
+            relationship: { type: "string", example: "is blocked by" },
+            issue: {
+              type: "object",
+              description: "The linked issue, with its summary, status, priority and issue type",
+              properties: {
+                id: { type: "string", example: "10002" },
+                key: { type: "string", example: "PROJ-2" },
+                fields: { type: "object" },
+              },
+            },
+          },
+        },
+        IssueLinkType: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "10000" },
+            name: { type: "string", example: "Blocks" },
+            inward: { type: "string", example: "is blocked by" },
+            outward: { type: "string", example: "blocks" },
+          },
+        },
+        CommentVisibility: {
+          type: "object",
+          description: "Restricts the comment to members of a project role or group",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["role", "group"],
+              example: "role",
+            },
+            value: {
+              type: "string",
+              description: "Role or group name",
+              example: "Developers",
+            },
+            identifier: {
+              type: "string",
+              description: "Group ID, may be used instead of the group name",
             },
           },
         },
@@ -162,8 +344,308 @@ const swaggerOptions = {
               description: "Detailed error information",
               example: "Field 'summary' is required",
             },
+            errorMessages: {
+              type: "array",
+              description: "General error messages returned by JIRA",
+              items: {
+                type: "string",
+              },
+              example: ["Issue does not exist or you do not have permission to see it."],
+            },
+            errors: {
+              type: "object",
+              description: "Field-level errors returned by JIRA, keyed by field id",
+              additionalProperties: {
+                type: "string",
+              },
+              example: { summary: "You must specify a summary of the issue." },
+            },
+          },
+        },
+        ADFValidationError: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "Failed to create issue" },
+            error: {
+              type: "string",
+              example:
+                "The description is not a valid Atlassian Document: $.content[0].content[0].text: Text nodes must have non-empty text",
+            },
+            field: { type: "string", description: "Field holding the invalid document", example: "description" },
+            adfErrors: {
+              type: "array",
+              description: "Every schema violation, with the JSON path of the offending node",
+              items: {
+                type: "object",
+                properties: {
+                  path: { type: "string", example: "$.content[0].content[0].text" },
+                  message: { type: "string", example: "Text nodes must have non-empty text" },
+                },
+              },
+            },
+          },
+        },
+        BulkCreateResult: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "48 of 50 issues created" },
+            status: { type: "string", enum: ["success", "partial", "failed"], example: "partial" },
+            created: { type: "integer", example: 48 },
+            failed: { type: "integer", example: 2 },
+            results: {
+              type: "array",
+              description: "One result per issue, in the order they were sent",
+              items: {
+                type: "object",
+                properties: {
+                  index: { type: "integer", description: "Position of the issue in the request", example: 3 },
+                  created: { type: "boolean" },
+                  key: { type: "string", description: "Key of the created issue", example: "PROJ-124" },
+                  id: { type: "string", example: "10124" },
+                  status: { type: "integer", description: "HTTP status of the failure", example: 400 },
+                  error: { type: "string", example: "Specify a valid issue type" },
+                  errorMessages: { type: "array", items: { type: "string" } },
+                  errors: { type: "object", description: "Field errors from JIRA", example: { issuetype: "Specify a valid issue type" } },
+                },
+              },
+            },
+          },
+        },
+        BulkSelection: {
+          type: "object",
+          description: "Select the issues with either issueKeys or jql",
+          properties: {
+            issueKeys: { type: "array", maxItems: 1000, items: { type: "string" }, example: ["PROJ-1", "PROJ-2", "PROJ-3"] },
+            jql: {
+              type: "string",
+              description: "JQL query selecting at most 1000 issues",
+              example: "project = PROJ AND status = 'In Review' AND updated < -30d",
+            },
+            dryRun: {
+              type: "boolean",
+              default: true,
+              description: "Only preview what would happen. Set to false to change the issues",
+            },
+            concurrency: {
+              type: "integer",
+              minimum: 1,
+              maximum: 10,
+              default: 5,
+              description: "How many issues are handled at the same time",
+            },
+          },
+        },
+        BulkOperationResult: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "12 of 14 issues would be transitioned" },
+            dryRun: { type: "boolean", description: "True when nothing was changed and the results are a preview" },
+            status: { type: "string", enum: ["success", "partial", "failed"], example: "partial" },
+            total: { type: "integer", example: 14 },
+            succeeded: { type: "integer", description: "Issues that can be (dry run) or were changed", example: 12 },
+            failed: { type: "integer", example: 2 },
+            results: {
+              type: "array",
+              description: "One result per selected issue",
+              items: {
+                type: "object",
+                properties: {
+                  key: { type: "string", example: "PROJ-123" },
+                  summary: { type: "string", nullable: true, example: "Fix login redirect" },
+                  status: { type: "string", nullable: true, description: "Status of the issue before the operation", example: "In Review" },
+                  ok: { type: "boolean" },
+                  transition: {
+                    type: "object",
+                    description: "The transition that applies (bulk transition only)",
+                    properties: {
+                      id: { type: "string", example: "31" },
+                      name: { type: "string", example: "Done" },
+                      toStatus: { type: "string", example: "Done" },
+                    },
+                  },
+                  subtasks: { type: "array", items: { type: "string" }, description: "Keys of the sub-tasks (bulk delete only)" },
+                  deletedWith: { type: "string", description: "Selected parent this sub-task is deleted with (bulk delete only)", example: "PROJ-120" },
+                  error: { type: "string", example: "Issue PROJ-124 cannot be moved using status 'Done' from its current status" },
+                  errors: { type: "object", description: "Field errors from JIRA" },
+                  availableTransitions: { type: "array", items: { type: "object" } },
+                },
+              },
+            },
+          },
+        },
+        ImportReport: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "38 of 40 rows imported" },
+            status: { type: "string", enum: ["success", "partial", "failed", "invalid"], example: "partial" },
+            dryRun: { type: "boolean" },
+            total: { type: "integer", example: 40 },
+            created: { type: "integer", example: 30 },
+            skipped: { type: "integer", description: "Rows created by the previous run", example: 8 },
+            invalid: { type: "integer", example: 0 },
+            failed: { type: "integer", example: 2 },
+            results: {
+              type: "array",
+              description: "One result per row. Send the whole report back as previousReport to resume the import",
+              items: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", description: "Row number, from 1, not counting the CSV header", example: 3 },
+                  fingerprint: { type: "string", description: "Fingerprint of the row contents", example: "9f2c4e0a1b7d3c55" },
+                  status: { type: "string", enum: ["created", "skipped", "valid", "invalid", "failed"] },
+                  key: { type: "string", example: "PROJ-124" },
+                  error: { type: "string", example: "Specify a valid issue type" },
+                  errors: { type: "object", description: "Problems by field", example: { assignee: "No Jira user has the email address jane@example.com" } },
+                },
+              },
+            },
+          },
+        },
+        Subscription: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "0b8e4c1a-7d2f-4a51-9a63-5c1f2e9d8b70" },
+            url: { type: "string", example: "https://ci.example.com/hooks/jira" },
+            events: { type: "array", items: { type: "string", enum: EVENT_TYPES }, example: ["issue.created", "issue.deleted"] },
+            description: { type: "string", example: "Keeps the release dashboard in sync" },
+            active: { type: "boolean", description: "False once the subscription was disabled" },
+            consecutiveFailures: { type: "integer", description: "Deliveries in a row that failed all their attempts", example: 0 },
+            disabledAt: { type: "string", format: "date-time", nullable: true },
+            disabledReason: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+            pendingRetries: { type: "integer", description: "Retries waiting to be sent", example: 0 },
+          },
+        },
+        SubscriptionDelivery: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            subscriptionId: { type: "string" },
+            eventId: { type: "string" },
+            eventType: { type: "string", example: "issue.transitioned" },
+            attempt: { type: "integer", example: 1 },
+            ok: { type: "boolean" },
+            status: { type: "integer", nullable: true, description: "HTTP status the URL answered with", example: 200 },
+            error: { type: "string", nullable: true, example: "The URL answered 503" },
+            durationMs: { type: "integer", example: 84 },
+            at: { type: "string", format: "date-time" },
+          },
+        },
+        WebhookEvent: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "JIRA's webhook identifier of the delivery", example: "a3c9f1e2-5d1b-4c1e-9b7a-2f0d7e8c1a44" },
+            type: { type: "string", enum: WEBHOOK_EVENTS, example: "jira:issue_updated" },
+            receivedAt: { type: "string", format: "date-time" },
+            timestamp: { type: "string", format: "date-time", nullable: true, description: "When JIRA sent the event" },
+            user: {
+              type: "object",
+              nullable: true,
+              properties: { accountId: { type: "string" }, displayName: { type: "string", example: "Jane Doe" } },
+            },
+            issue: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", example: "10123" },
+                key: { type: "string", example: "PROJ-123" },
+                summary: { type: "string", example: "Fix login redirect" },
+                status: { type: "string", example: "In Progress" },
+                issueType: { type: "string", example: "Bug" },
+                project: { type: "string", example: "PROJ" },
+              },
+            },
+            changes: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", example: "status" },
+                  from: { type: "string", nullable: true, example: "To Do" },
+                  to: { type: "string", nullable: true, example: "In Progress" },
+                },
+              },
+            },
+            comment: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", example: "10050" },
+                author: { type: "object", properties: { accountId: { type: "string" }, displayName: { type: "string" } } },
+                body: { type: "string", example: "Fixed on staging." },
+              },
+            },
           },
         },
+        IssueTemplate: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "Template ID, the file name without extension", example: "bug" },
+            name: { type: "string", example: "Bug report" },
+            about: { type: "string", example: "Something is not working as expected" },
+            format: { type: "string", enum: ["markdown", "adf"], description: "Format of the template file" },
+            issueType: { type: "string", nullable: true, example: "Bug" },
+            priority: { type: "string", nullable: true, example: "High" },
+            labels: { type: "array", items: { type: "string" }, example: ["bug"] },
+            summary: { type: "string", nullable: true, description: "Summary pattern", example: "{{title}}" },
+            variables: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", example: "environment" },
+                  required: { type: "boolean", example: false },
+                  default: { description: "Value used when the variable is not given", example: "Production" },
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        BadRequest: {
+          description: "Bad Request - JIRA rejected the request, see errors for field-level details",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        Unauthorized: {
+          description: "Unauthorized - JIRA credentials are missing or invalid",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        Forbidden: {
+          description: "Forbidden - The JIRA user lacks permission for this operation",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        NotFound: {
+          description: "Not Found - The resource does not exist in JIRA or is not visible to the user",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        NotModified: {
+          description: "Not Modified - The response still has the ETag sent in If-None-Match",
+        },
+        Conflict: {
+          description: "Conflict - The request conflicts with the current state of the resource",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        PayloadTooLarge: {
+          description: "Payload Too Large - A file is larger than ATTACHMENT_MAX_FILE_SIZE or there are more than ATTACHMENT_MAX_FILES files",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        UnsupportedMediaType: {
+          description: "Unsupported Media Type - The file type is not in ATTACHMENT_ALLOWED_TYPES",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        UnprocessableEntity: {
+          description: "Unprocessable Entity - A rich text field is not a valid Atlassian Document, nothing was sent to JIRA",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/ADFValidationError" } } },
+        },
+        TooManyRequests: {
+          description: "Too Many Requests - JIRA rate limit reached, see the Retry-After header",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        BadGateway: {
+          description: "Bad Gateway - JIRA could not be reached or answered with an unexpected error",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
       },
     },
   },
@@ -175,150 +657,2934 @@ const swaggerSpec = swaggerJSDoc(swaggerOptions);
 // --- Serve Swagger UI Documentation ---
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// --- API Endpoints with JSDoc for Swagger ---
+// Content-Disposition header for a download, with the file name readable by
+// old browsers (ASCII only) and by current ones (RFC 5987)
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase(),
+  )}`;
+}
 
-/**
- * @swagger
- * tags:
- *   - name: Issues
- *     description: API for managing JIRA issues
- *   - name: Projects
- *     description: API for managing JIRA projects
- *   - name: Users
- *     description: API for managing JIRA users
- *   - name: Workflows
- *     description: API for managing issue workflows and transitions
- */
+// --- Error Handling ---
 
-/**
- * @swagger
- * /issues:
- *   post:
- *     summary: Create a new JIRA issue
- *     tags: [Issues]
- *     description: Creates a new issue within a specified project. All fields in the request body are required.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - projectKey
- *               - issueType
- *               - summary
- *               - description
- *             properties:
- *               projectKey:
- *                 type: string
- *                 description: The key of the project where the issue will be created
- *                 example: "PROJ"
- *               issueType:
- *                 type: string
- *                 description: The type of the issue (e.g., Task, Bug, Story)
- *                 example: "Task"
- *               summary:
- *                 type: string
- *                 description: A brief, one-line summary of the issue
- *                 example: "Implement new login button"
- *               description:
- *                 type: string
- *                 description: A detailed description of the issue (plain text will be automatically converted to Atlassian Document Format)
- *                 example: "The login button on the main page needs to be updated to the new brand color and font."
- *     responses:
- *       '201':
- *         description: Issue created successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Issue created successfully"
- *                 issueKey:
- *                   type: string
- *                   example: "PROJ-123"
- *       '400':
- *         description: Bad Request - Missing required fields
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       '500':
- *         description: Internal Server Error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-app.post("/issues", async (req, res) => {
-  const { projectKey, issueType, summary, description } = req.body;
+// JIRA statuses that are passed through to our callers unchanged. Any other
+// JIRA failure (5xx, timeouts, unreachable host) is reported as 502.
+const JIRA_PASSTHROUGH_STATUSES = [400, 401, 403, 404, 409, 429];
 
-  // Comprehensive validation
-  const missingFields = [];
-  if (!projectKey) missingFields.push("projectKey");
-  if (!issueType) missingFields.push("issueType");
-  if (!summary) missingFields.push("summary");
-  if (!description) missingFields.push("description");
+// Sends the error response for a failed service call. JiraApiErrors keep the
+// status and field errors reported by JIRA, unreachable transitions answer 409
+// with the available ones and invalid ADF answers 422 with the path of every
+// invalid node; anything else is a bug in the wrapper itself and answers 500.
+function sendError(res, error, message) {
+  if (error instanceof ADFValidationError) {
+    return res.status(422).json({
+      message,
+      error: error.message,
+      field: error.field,
+      adfErrors: error.errors,
+    });
+  }
 
-  if (missingFields.length > 0) {
+  if (error instanceof AttachmentUploadError) {
+    return res.status(error.status).json({
+      message,
+      error: error.message,
+      ...error.details,
+    });
+  }
+
+  if (error instanceof IssueLinkTypeNotFoundError) {
     return res.status(400).json({
-      message: `Bad Request. Missing required fields: ${missingFields.join(", ")}`,
+      message,
+      error: error.message,
+      availableLinkTypes: error.availableLinkTypes,
     });
   }
 
-  try {
-    const issueKey = await createIssue(projectKey, issueType, summary, description);
-    res.status(201).json({
-      message: "Issue created successfully",
-      issueKey: issueKey,
+  if (error instanceof InvalidRequestError) {
+    return res.status(400).json({
+      message,
+      error: error.message,
+      ...error.details,
     });
-  } catch (error) {
-    console.error("Error creating issue:", error);
-    res.status(500).json({
-      message: "Internal Server Error. Failed to create issue.",
+  }
+
+  if (error instanceof ImportFileError) {
+    return res.status(400).json({
+      message,
       error: error.message,
+      ...error.details,
     });
   }
-});
 
-/**
- * @swagger
- * /issues:
- *   get:
- *     summary: Retrieve all issues
- *     tags: [Issues]
- *     description: Retrieves a list of all issues from JIRA using the search endpoint. Optionally filter by project ID.
- *     parameters:
- *       - in: query
- *         name: projectId
- *         schema:
- *           type: string
- *         required: false
- *         description: Project ID or key to filter issues by specific project
- *         example: "PROJ"
- *     responses:
- *       '200':
- *         description: Successfully retrieved issues
- *         content:
- *           application/json:
- *             schema:
- *               type: object
+  if (error instanceof BulkLimitError) {
+    return res.status(400).json({
+      message,
+      error: error.message,
+      limit: error.limit,
+    });
+  }
+
+  if (error instanceof TransitionNotAvailableError) {
+    return res.status(409).json({
+      message,
+      error: error.message,
+      availableTransitions: error.availableTransitions,
+    });
+  }
+
+  if (error instanceof JiraApiError) {
+    const status = JIRA_PASSTHROUGH_STATUSES.includes(error.status) ? error.status : 502;
+    if (status === 429 && error.headers["retry-after"]) {
+      res.set("Retry-After", error.headers["retry-after"]);
+    }
+    return res.status(status).json({
+      message,
+      error: error.message,
+      errorMessages: error.errorMessages,
+      errors: error.errors,
+    });
+  }
+
+  res.status(500).json({
+    message,
+    error: error.message,
+  });
+}
+
+// Text formats a new issue's description may be written in
+const DESCRIPTION_FORMATS = ["text", "markdown"];
+
+// Values accepted by the expand parameter of GET /issues/:issueKey
+const ISSUE_EXPANSIONS = ["renderedFields", "changelog", "transitions", "names", "schema"];
+
+// Query parameters of GET /issues passed to the JQL builder as filters
+const ISSUE_FILTERS = [
+  "status",
+  "assignee",
+  "reporter",
+  "issueType",
+  "labels",
+  "priority",
+  "parent",
+  "createdFrom",
+  "createdTo",
+  "updatedFrom",
+  "updatedTo",
+  "text",
+  "orderBy",
+];
+
+// Reads the projectId, filter and jql query parameters of an issue search.
+// Returns { projectId, filters, jql } or { error } with the body of the 400
+// response when the filters are invalid or jql is combined with them.
+function readIssueSearch(query) {
+  const { projectId, jql } = query;
+  const filters = {};
+  ISSUE_FILTERS.forEach((name) => {
+    if (query[name] !== undefined) {
+      filters[name] = query[name];
+    }
+  });
+
+  if (jql !== undefined) {
+    if (projectId !== undefined || Object.keys(filters).length > 0) {
+      return { error: { message: "The jql parameter cannot be combined with projectId or other filters" } };
+    }
+    return { projectId, filters, jql };
+  }
+  try {
+    // Build once up front so invalid dates or ordering answer 400
+    buildIssueSearchJql({ project: projectId, ...filters });
+  } catch (error) {
+    return { error: { message: "Invalid issue filter", error: error.message } };
+  }
+  return { projectId, filters };
+}
+
+// Answers a read from the response cache, loading it from JIRA when it is not
+// cached. Sends ETag and Cache-Control headers, and 304 when If-None-Match
+// still matches. X-Cache tells whether JIRA was asked.
+async function sendCachedRead(req, res, kind, id, load) {
+  const entry = await getResponseCache().read(kind, id, load);
+  const maxAge = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+  res.set({
+    ETag: entry.etag,
+    "Cache-Control": maxAge > 0 ? `private, max-age=${maxAge}` : "private, no-cache",
+    "X-Cache": entry.hit ? "HIT" : "MISS",
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(entry.value);
+}
+
+// Drops a cached read after a write route changed it. A failing cache store
+// does not fail the write; the entry then expires with its TTL.
+async function invalidateCached(kind, id) {
+  try {
+    await getResponseCache().invalidate(kind, id);
+  } catch (error) {
+    console.error(`Error invalidating cached ${kind}:`, error.message);
+  }
+}
+
+// Cache id of an issue's reads: its key in capitals. An issue addressed by its
+// numeric ID returns null, as the key it would be cached under is not known.
+function issueCacheId(issueIdOrKey) {
+  return /^\d+$/.test(issueIdOrKey) ? null : issueIdOrKey.toUpperCase();
+}
+
+// Drops the cached transitions of an issue. For an issue addressed by its
+// numeric ID, the cached transitions of every issue are dropped.
+function invalidateTransitions(issueIdOrKey) {
+  return invalidateCached("transitions", issueCacheId(issueIdOrKey) || undefined);
+}
+
+// Subscriptions of downstream services and the callbacks sent to them
+const subscriptions = new SubscriptionRegistry();
+const eventPublisher = new EventPublisher(subscriptions);
+
+// Tells subscribers about an issue created through the app
+function publishIssueCreated(key, issue) {
+  eventPublisher.publish("issue.created", {
+    issue: { key, projectKey: issue.projectKey, issueType: issue.issueType, summary: issue.summary },
+  });
+}
+
+// Reads a new issue from a POST /issues body, filled in from a template when
+// one is named. Returns { issue } with the createIssue arguments, or { error }
+// with the body of the 400 response when the request is invalid.
+function readNewIssue(body) {
+  const { projectKey, parentKey, template: templateId, variables = {} } = body;
+  let { issueType, summary, description, descriptionFormat = "text", labels, priority } = body;
+
+  if (templateId !== undefined) {
+    const template = getTemplate(templateId);
+    if (!template) {
+      return {
+        error: {
+          message: `Bad Request. Unknown template '${templateId}'. Available templates: ${
+            listTemplates()
+              .map((t) => t.id)
+              .join(", ") || "none"
+          }`,
+        },
+      };
+    }
+    if (description !== undefined) {
+      return { error: { message: "Bad Request. description cannot be combined with template; pass variables instead" } };
+    }
+    if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+      return { error: { message: "Bad Request. variables must be an object" } };
+    }
+    const missing = missingVariables(template, variables);
+    if (missing.length > 0) {
+      return {
+        error: {
+          message: `Bad Request. Template '${template.id}' is missing variables: ${missing.join(", ")}`,
+          missingVariables: missing,
+        },
+      };
+    }
+
+    // Values in the request take precedence over the template's defaults
+    const rendered = renderTemplate(template, variables);
+    issueType = issueType || rendered.issueType;
+    summary = summary || rendered.summary;
+    description = rendered.description;
+    descriptionFormat = rendered.descriptionFormat;
+    labels = labels || rendered.labels;
+    priority = priority || rendered.priority;
+  } else if (!DESCRIPTION_FORMATS.includes(descriptionFormat)) {
+    return { error: { message: `Bad Request. descriptionFormat must be one of: ${DESCRIPTION_FORMATS.join(", ")}` } };
+  }
+
+  // Comprehensive validation
+  const missingFields = [];
+  if (!projectKey) missingFields.push("projectKey");
+  if (!issueType) missingFields.push("issueType");
+  if (!summary) missingFields.push("summary");
+  if (!description) missingFields.push("description");
+
+  if (missingFields.length > 0) {
+    return { error: { message: `Bad Request. Missing required fields: ${missingFields.join(", ")}` } };
+  }
+  if (labels !== undefined && (!Array.isArray(labels) || labels.some((label) => typeof label !== "string"))) {
+    return { error: { message: "Bad Request. labels must be an array of strings" } };
+  }
+  if (parentKey !== undefined && (typeof parentKey !== "string" || parentKey.trim() === "")) {
+    return { error: { message: "Bad Request. parentKey must be an issue key" } };
+  }
+
+  return {
+    issue: { projectKey, issueType, summary, description, descriptionFormat, labels, priority, parentKey },
+  };
+}
+
+// Reads the issue selection and run settings shared by the bulk transition and
+// delete requests. Returns { selection, options } or { error } with the body of
+// the 400 response. Issues are only changed when dryRun is explicitly false.
+function readBulkRequest(body) {
+  const { issueKeys, jql, dryRun = true, concurrency = DEFAULT_BULK_CONCURRENCY } = body;
+
+  if ((issueKeys === undefined) === (jql === undefined)) {
+    return { error: { message: "Bad Request. Select the issues with either issueKeys or jql" } };
+  }
+  if (issueKeys !== undefined) {
+    if (
+      !Array.isArray(issueKeys) ||
+      issueKeys.length === 0 ||
+      issueKeys.some((key) => typeof key !== "string" || key.trim() === "")
+    ) {
+      return { error: { message: "Bad Request. issueKeys must be a non-empty array of issue keys" } };
+    }
+    if (issueKeys.length > MAX_BULK_ISSUES) {
+      return { error: { message: `Bad Request. At most ${MAX_BULK_ISSUES} issues can be changed at once` } };
+    }
+  }
+  if (jql !== undefined && (typeof jql !== "string" || jql.trim() === "")) {
+    return { error: { message: "Bad Request. jql must be a non-empty JQL query" } };
+  }
+  if (typeof dryRun !== "boolean") {
+    return { error: { message: "Bad Request. dryRun must be true or false" } };
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return { error: { message: `Bad Request. concurrency must be an integer from 1 to ${MAX_CONCURRENCY}` } };
+  }
+
+  return {
+    selection: issueKeys !== undefined ? { issueKeys } : { jql },
+    options: { dryRun, concurrency },
+  };
+}
+
+// Sends the report of a bulk transition or delete. A dry run answers 200;
+// otherwise 200 when every issue was changed and 207 when some were not.
+function sendBulkReport(res, results, dryRun, action) {
+  const succeeded = results.filter((result) => result.ok).length;
+  const failed = results.length - succeeded;
+  res.status(dryRun || failed === 0 ? 200 : 207).json({
+    message: `${succeeded} of ${results.length} issues ${dryRun ? "would be" : "were"} ${action}`,
+    dryRun,
+    status: failed === 0 ? "success" : succeeded > 0 ? "partial" : "failed",
+    total: results.length,
+    succeeded,
+    failed,
+    results,
+  });
+}
+
+// Checks the JQL of a bulk request with JIRA's parser. Returns the body of the
+// 400 response, or null when the query is valid or the issues are selected by key.
+async function checkBulkJql(selection) {
+  if (selection.jql === undefined) {
+    return null;
+  }
+  const jqlErrors = await validateJql(selection.jql);
+  return jqlErrors.length > 0 ? { message: "Invalid JQL query", errorMessages: jqlErrors } : null;
+}
+
+// Checks the body of PATCH /issues/:issueKey and returns the field-level
+// errors, keyed like JIRA keys its field errors
+function validateIssueChanges(body) {
+  const errors = {};
+  const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+  const isLabel = (label) => typeof label === "string" && label !== "" && !/\s/.test(label);
+
+  if (body.summary !== undefined) {
+    if (typeof body.summary !== "string" || body.summary.trim() === "") {
+      errors.summary = "summary must be a non-empty string";
+    } else if (body.summary.length > 255) {
+      errors.summary = "summary must be less than 255 characters";
+    }
+  }
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== "string" && typeof body.description !== "object") {
+      errors.description = "description must be plain text or an ADF document";
+    }
+  }
+  if (body.labels !== undefined) {
+    if (Array.isArray(body.labels)) {
+      if (!body.labels.every(isLabel)) {
+        errors.labels = "labels must be strings without spaces";
+      }
+    } else if (body.labels && typeof body.labels === "object") {
+      const { add = [], remove = [] } = body.labels;
+      if (!isStringList(add) || !isStringList(remove) || ![...add, ...remove].every(isLabel)) {
+        errors.labels = "labels.add and labels.remove must be arrays of labels without spaces";
+      }
+    } else {
+      errors.labels = "labels must be an array or an object with add/remove arrays";
+    }
+  }
+  if (body.priority !== undefined && (typeof body.priority !== "string" || body.priority === "")) {
+    errors.priority = "priority must be a priority name, e.g. High";
+  }
+  if (body.assignee !== undefined && body.assignee !== null && typeof body.assignee !== "string") {
+    errors.assignee = "assignee must be an account ID, or null to unassign";
+  }
+  if (body.dueDate !== undefined && body.dueDate !== null) {
+    const parts = typeof body.dueDate === "string" && body.dueDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    // Date.parse accepts days a month does not have (2026-02-30), so the date must survive a round trip
+    const date = parts && new Date(Date.UTC(parts[1], parts[2] - 1, parts[3]));
+    if (!date || date.toISOString().slice(0, 10) !== body.dueDate) {
+      errors.dueDate = "dueDate must be a date in YYYY-MM-DD format, or null to clear it";
+    }
+  }
+  ["fields", "update"].forEach((name) => {
+    if (body[name] !== undefined && (!body[name] || typeof body[name] !== "object" || Array.isArray(body[name]))) {
+      errors[name] = `${name} must be an object`;
+    }
+  });
+  if (body.notifyUsers !== undefined && typeof body.notifyUsers !== "boolean") {
+    errors.notifyUsers = "notifyUsers must be true or false";
+  }
+
+  return errors;
+}
+
+// Checks a comment body and visibility, returning an error message or null
+function validateComment(body, visibility) {
+  if (typeof body === "string" ? body.trim() === "" : !isValidADF(body)) {
+    return "body must be non-empty plain text or an ADF document";
+  }
+  if (visibility !== undefined && visibility !== null) {
+    if (typeof visibility !== "object" || !["role", "group"].includes(visibility.type)) {
+      return 'visibility.type must be "role" or "group"';
+    }
+    if (!visibility.value && !(visibility.type === "group" && visibility.identifier)) {
+      return "visibility.value must name the role or group";
+    }
+  }
+  return null;
+}
+
+// Splits a comma-separated (or repeated) query parameter into a list
+function toList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((item) => item.trim()).filter((item) => item !== "");
+}
+
+// --- API Endpoints with JSDoc for Swagger ---
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Issues
+ *     description: API for managing JIRA issues
+ *   - name: Projects
+ *     description: API for managing JIRA projects
+ *   - name: Users
+ *     description: API for managing JIRA users
+ *   - name: Workflows
+ *     description: API for managing issue workflows and transitions
+ *   - name: Comments
+ *     description: API for managing issue comments
+ *   - name: Attachments
+ *     description: API for uploading, downloading and deleting issue attachments
+ *   - name: Links
+ *     description: API for linking issues and following parent/child relationships
+ *   - name: Templates
+ *     description: Issue description templates
+ *   - name: Webhooks
+ *     description: Receiving and inspecting events JIRA sends when issues and comments change
+ *   - name: Subscriptions
+ *     description: Callbacks to downstream services when issues are created, transitioned or deleted through this API
+ */
+
+/**
+ * @swagger
+ * /issues:
+ *   post:
+ *     summary: Create a new JIRA issue
+ *     tags: [Issues]
+ *     description: Creates a new issue within a specified project. projectKey, issueType, summary and description are required, unless a template is used - then the template fills in the description and its defaults for issue type, summary, labels and priority. Values in the request override the template's defaults.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - projectKey
+ *             properties:
+ *               projectKey:
+ *                 type: string
+ *                 description: The key of the project where the issue will be created
+ *                 example: "PROJ"
+ *               issueType:
+ *                 type: string
+ *                 description: The type of the issue (e.g., Task, Bug, Story)
+ *                 example: "Task"
+ *               summary:
+ *                 type: string
+ *                 description: A brief, one-line summary of the issue
+ *                 example: "Implement new login button"
+ *               description:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: A detailed description of the issue (plain text or Markdown will be automatically converted to Atlassian Document Format). ADF documents are checked against the ADF schema before the issue is created
+ *                 example: "The login button on the main page needs to be updated to the new brand color and font."
+ *               descriptionFormat:
+ *                 type: string
+ *                 enum: [text, markdown]
+ *                 default: text
+ *                 description: How to read a text description. With markdown, headings, lists, code blocks, links, emphasis, blockquotes, tables and rules become their ADF equivalents
+ *                 example: "markdown"
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["frontend"]
+ *               priority:
+ *                 type: string
+ *                 description: Priority name
+ *                 example: "High"
+ *               parentKey:
+ *                 type: string
+ *                 description: Key of the parent issue. Required for sub-task issue types; for other issue types, the epic the issue belongs to
+ *                 example: "PROJ-100"
+ *               template:
+ *                 type: string
+ *                 description: ID of an issue template (see GET /templates) to build the description from. Cannot be combined with description
+ *                 example: "bug"
+ *               variables:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values for the template's {{variable}} placeholders. Variables without a default are required
+ *                 example: { title: "Login fails", steps: "1. Open the login page", expected: "Logged in", actual: "Error 500" }
+ *     responses:
+ *       '201':
+ *         description: Issue created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Issue created successfully"
+ *                 issueKey:
+ *                   type: string
+ *                   example: "PROJ-123"
+ *       '400':
+ *         description: Bad Request - Missing required fields, an unknown template or missing template variables (listed in missingVariables)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '409':
+ *         $ref: '#/components/responses/Conflict'
+ *       '422':
+ *         $ref: '#/components/responses/UnprocessableEntity'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues", async (req, res) => {
+  const { issue, error } = readNewIssue(req.body || {});
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  try {
+    const { projectKey, issueType, summary, description, ...options } = issue;
+    const issueKey = await createIssue(projectKey, issueType, summary, description, options);
+    publishIssueCreated(issueKey, issue);
+    res.status(201).json({
+      message: "Issue created successfully",
+      issueKey: issueKey,
+    });
+  } catch (error) {
+    console.error("Error creating issue:", error);
+    sendError(res, error, "Failed to create issue");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/bulk:
+ *   post:
+ *     summary: Create many issues at once
+ *     tags: [Issues]
+ *     description: Creates up to 1000 issues, each in the same shape as the body of POST /issues (templates included). Descriptions are converted to ADF and the issues are sent to JIRA's bulk create endpoint 50 at a time. Every issue gets its own result, so some can be created while others fail.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - issues
+ *             properties:
+ *               issues:
+ *                 type: array
+ *                 description: The issues to create. A plain array is accepted as the body too
+ *                 items:
+ *                   type: object
+ *                 example:
+ *                   - { projectKey: "PROJ", issueType: "Task", summary: "Set up CI", description: "Run the tests on every push" }
+ *                   - { projectKey: "PROJ", template: "bug", variables: { title: "Login fails", steps: "...", expected: "...", actual: "..." } }
+ *     responses:
+ *       '201':
+ *         description: All issues were created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkCreateResult'
+ *       '207':
+ *         description: Some issues were created, see the results of the others
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkCreateResult'
+ *       '400':
+ *         description: Bad Request - No issues were given, or none of them could be created (see results)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkCreateResult'
+ *       '502':
+ *         description: JIRA failed for every issue, see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkCreateResult'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/bulk", async (req, res) => {
+  const issues = Array.isArray(req.body) ? req.body : req.body && req.body.issues;
+
+  if (!Array.isArray(issues) || issues.length === 0) {
+    return res.status(400).json({
+      message: "Bad Request. issues must be a non-empty array",
+    });
+  }
+  if (issues.length > MAX_BULK_ISSUES) {
+    return res.status(400).json({
+      message: `Bad Request. At most ${MAX_BULK_ISSUES} issues can be created at once`,
+    });
+  }
+
+  // Invalid issues fail on their own; the others are sent to JIRA
+  const results = new Array(issues.length);
+  const valid = [];
+  issues.forEach((body, index) => {
+    const { issue, error } =
+      body && typeof body === "object" && !Array.isArray(body)
+        ? readNewIssue(body)
+        : { error: { message: "Bad Request. Each issue must be an object" } };
+    if (error) {
+      const { message, ...details } = error;
+      results[index] = { index, created: false, status: 400, error: message, errorMessages: [], errors: {}, ...details };
+    } else {
+      valid.push({ index, issue });
+    }
+  });
+
+  try {
+    const created = valid.length > 0 ? await createIssuesBulk(valid.map(({ issue }) => issue)) : [];
+    created.forEach((result, position) => {
+      const { index, issue } = valid[position];
+      results[index] = { ...result, index };
+      if (result.created) {
+        publishIssueCreated(result.key, issue);
+      }
+    });
+  } catch (error) {
+    console.error("Error creating issues in bulk:", error);
+    return sendError(res, error, "Failed to create issues");
+  }
+
+  const createdCount = results.filter((result) => result.created).length;
+  const failedCount = results.length - createdCount;
+  let status = 207;
+  if (failedCount === 0) {
+    status = 201;
+  } else if (createdCount === 0) {
+    status = results.some((result) => result.status >= 500) ? 502 : 400;
+  }
+  res.status(status).json({
+    message: `${createdCount} of ${results.length} issues created`,
+    status: failedCount === 0 ? "success" : createdCount > 0 ? "partial" : "failed",
+    created: createdCount,
+    failed: failedCount,
+    results,
+  });
+});
+
+/**
+ * @swagger
+ * /issues/bulk/transition:
+ *   post:
+ *     summary: Transition many issues at once
+ *     tags: [Workflows]
+ *     description: Moves the issues selected by key or JQL to the same status. By default this is a dry run that reports, for every issue, the transition that would apply or why it cannot be moved, without changing anything. Send the same request with dryRun false to apply the transitions, a few issues at a time; the report then tells which issues were moved.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkSelection'
+ *               - type: object
+ *                 description: One of transitionId, transitionName or toStatus is required
+ *                 properties:
+ *                   transitionId:
+ *                     type: string
+ *                     example: "31"
+ *                   transitionName:
+ *                     type: string
+ *                     description: The name of the transition (case-insensitive)
+ *                     example: "Done"
+ *                   toStatus:
+ *                     type: string
+ *                     description: The status the issues should be moved to (case-insensitive)
+ *                     example: "Done"
+ *                   resolution:
+ *                     type: string
+ *                     example: "Done"
+ *                   fields:
+ *                     type: object
+ *                     description: Other fields on the transition screen to set
+ *                   comment:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: object
+ *                     description: Comment to add to every issue, plain text or ADF
+ *                     example: "Closed in the quarterly cleanup."
+ *     responses:
+ *       '200':
+ *         description: The preview of a dry run, or every issue was transitioned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       '207':
+ *         description: Some issues could not be transitioned, see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       '400':
+ *         description: Bad Request - Invalid selection, JQL or transition, or the query matches more than 1000 issues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/bulk/transition", async (req, res) => {
+  const { selection, options, error } = readBulkRequest(req.body || {});
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { transitionId, transitionName, toStatus, resolution, fields, comment } = req.body;
+  if (!transitionId && !transitionName && !toStatus) {
+    return res.status(400).json({
+      message: "One of transitionId, transitionName or toStatus is required",
+    });
+  }
+  if (fields !== undefined && (!fields || typeof fields !== "object" || Array.isArray(fields))) {
+    return res.status(400).json({
+      message: "fields must be an object",
+    });
+  }
+  if (comment !== undefined && (typeof comment === "string" ? comment.trim() === "" : !isValidADF(comment))) {
+    return res.status(400).json({
+      message: "comment must be non-empty plain text or an ADF document",
+    });
+  }
+
+  try {
+    const jqlError = await checkBulkJql(selection);
+    if (jqlError) {
+      return res.status(400).json(jqlError);
+    }
+    const results = await bulkTransitionIssues(
+      selection,
+      { transitionId, transitionName, toStatus },
+      { ...options, resolution, fields, comment },
+    );
+    if (!options.dryRun) {
+      const transitioned = results.filter((result) => result.ok);
+      await Promise.all(transitioned.map((result) => invalidateTransitions(result.key)));
+      transitioned.forEach((result) =>
+        eventPublisher.publish("issue.transitioned", { issue: { key: result.key }, transition: result.transition }),
+      );
+    }
+    sendBulkReport(res, results, options.dryRun, "transitioned");
+  } catch (error) {
+    console.error("Error transitioning issues in bulk:", error);
+    sendError(res, error, "Error transitioning issues");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/bulk/delete:
+ *   post:
+ *     summary: Delete many issues at once
+ *     tags: [Issues]
+ *     description: Deletes the issues selected by key or JQL. By default this is a dry run that reports which issues would be deleted and which would not, without deleting anything. Issues with sub-tasks are only deleted when deleteSubtasks is true; selected sub-tasks of a selected parent are then deleted with it. Send the same request with dryRun false to delete the issues, a few at a time.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkSelection'
+ *               - type: object
+ *                 properties:
+ *                   deleteSubtasks:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Also delete the sub-tasks of the selected issues
+ *     responses:
+ *       '200':
+ *         description: The preview of a dry run, or every issue was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       '207':
+ *         description: Some issues could not be deleted, see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       '400':
+ *         description: Bad Request - Invalid selection or JQL, or the query matches more than 1000 issues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/bulk/delete", async (req, res) => {
+  const { selection, options, error } = readBulkRequest(req.body || {});
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { deleteSubtasks = false } = req.body;
+  if (typeof deleteSubtasks !== "boolean") {
+    return res.status(400).json({
+      message: "Bad Request. deleteSubtasks must be true or false",
+    });
+  }
+
+  try {
+    const jqlError = await checkBulkJql(selection);
+    if (jqlError) {
+      return res.status(400).json(jqlError);
+    }
+    const results = await bulkDeleteIssues(selection, { ...options, deleteSubtasks });
+    if (!options.dryRun) {
+      await Promise.all(results.filter((result) => result.ok).map((result) => invalidateTransitions(result.key)));
+      // Sub-tasks deleted with their parent are covered by the parent's event, as with DELETE /issues/:issueKey
+      results
+        .filter((result) => result.ok && !result.deletedWith)
+        .forEach((result) => eventPublisher.publish("issue.deleted", { issue: { key: result.key }, deleteSubtasks }));
+    }
+    sendBulkReport(res, results, options.dryRun, "deleted");
+  } catch (error) {
+    console.error("Error deleting issues in bulk:", error);
+    sendError(res, error, "Error deleting issues");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/import:
+ *   post:
+ *     summary: Import issues from CSV or JSON
+ *     tags: [Issues]
+ *     description: |
+ *       Creates issues from the rows of a CSV file (send its text as csv; the first line is the header) or from JSON objects (rows). The mapping tells which column holds each field; fields that are not mapped are read from a column with the same name, ignoring case and spaces. Descriptions are converted from plain text or Markdown to ADF, assignees are looked up by email address and parents are issue keys.
+ *
+ *       Every row is checked before anything is sent to JIRA. When a row is invalid nothing is created (400) unless skipInvalid is set. The report lists every row with its created key or its errors. To resume after a partial failure, fix the failed rows and send the same import again with the report as previousReport: rows it created are skipped.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: One of csv or rows is required
+ *             required:
+ *               - projectKey
+ *             properties:
+ *               projectKey:
+ *                 type: string
+ *                 example: "PROJ"
+ *               csv:
+ *                 type: string
+ *                 example: "Title,Type,Owner,Tags\nSet up CI,Task,jane@example.com,devops ci\n"
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example: [{ summary: "Set up CI", issueType: "Task", labels: ["devops"] }]
+ *               mapping:
+ *                 type: object
+ *                 description: Column of each field. Fields are summary, description, issueType, labels, priority, assignee (email address) and parent (issue key)
+ *                 example: { summary: "Title", issueType: "Type", assignee: "Owner", labels: "Tags" }
+ *               defaults:
+ *                 type: object
+ *                 description: Values for empty cells. Labels are added to every issue
+ *                 example: { issueType: "Task", labels: ["imported"] }
+ *               descriptionFormat:
+ *                 type: string
+ *                 enum: [text, markdown]
+ *                 default: text
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only check the rows
+ *               skipInvalid:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create the valid rows even when some rows are invalid
+ *               previousReport:
+ *                 $ref: '#/components/schemas/ImportReport'
+ *     responses:
+ *       '200':
+ *         description: The dry run report, or every row had been imported before
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '201':
+ *         description: Every row was imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '207':
+ *         description: Some rows were not imported, see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '400':
+ *         description: Bad Request - The import cannot be read, or rows are invalid and nothing was created (the report lists them)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/import", async (req, res) => {
+  const {
+    projectKey,
+    csv,
+    rows,
+    mapping = {},
+    defaults = {},
+    descriptionFormat = "text",
+    dryRun = false,
+    skipInvalid = false,
+    previousReport,
+  } = req.body || {};
+  const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+
+  if (!projectKey || typeof projectKey !== "string") {
+    return res.status(400).json({
+      message: "Bad Request. projectKey is required",
+    });
+  }
+  if ((csv === undefined) === (rows === undefined) || (csv !== undefined && typeof csv !== "string")) {
+    return res.status(400).json({
+      message: "Bad Request. Send the issues as csv text or as an array of rows",
+    });
+  }
+  if (!isObject(mapping) || Object.values(mapping).some((column) => typeof column !== "string")) {
+    return res.status(400).json({
+      message: `Bad Request. mapping must map fields (${IMPORT_FIELDS.join(", ")}) to column names`,
+    });
+  }
+  if (
+    !isObject(defaults) ||
+    ["issueType", "priority"].some((field) => defaults[field] !== undefined && typeof defaults[field] !== "string") ||
+    (defaults.labels !== undefined && (!Array.isArray(defaults.labels) || defaults.labels.some((label) => typeof label !== "string")))
+  ) {
+    return res.status(400).json({
+      message: "Bad Request. defaults may set issueType and priority names and a list of labels",
+    });
+  }
+  if (!DESCRIPTION_FORMATS.includes(descriptionFormat)) {
+    return res.status(400).json({
+      message: `Bad Request. descriptionFormat must be one of: ${DESCRIPTION_FORMATS.join(", ")}`,
+    });
+  }
+  if (typeof dryRun !== "boolean" || typeof skipInvalid !== "boolean") {
+    return res.status(400).json({
+      message: "Bad Request. dryRun and skipInvalid must be true or false",
+    });
+  }
+  if (previousReport !== undefined && (!isObject(previousReport) || !Array.isArray(previousReport.results))) {
+    return res.status(400).json({
+      message: "Bad Request. previousReport must be the report of an earlier import",
+    });
+  }
+
+  try {
+    const importRows = parseImportData(csv !== undefined ? csv : rows, csv !== undefined ? "csv" : "json");
+    if (importRows.length > MAX_BULK_ISSUES) {
+      return res.status(400).json({
+        message: `Bad Request. At most ${MAX_BULK_ISSUES} rows can be imported at once; split the file or use run-import.js`,
+      });
+    }
+
+    const report = await importIssues(importRows, {
+      projectKey,
+      mapping,
+      defaults,
+      descriptionFormat,
+      dryRun,
+      skipInvalid,
+      previousReport,
+    });
+    report.results
+      .filter((result) => result.status === "created")
+      .forEach((result) => publishIssueCreated(result.key, { projectKey, ...result }));
+
+    // Invalid rows block the import unless skipInvalid is set
+    const imported = report.created + report.skipped;
+    let outcome = "success";
+    if (report.invalid > 0 && (dryRun || !skipInvalid)) {
+      outcome = "invalid";
+    } else if (!dryRun && imported < report.total) {
+      outcome = imported > 0 ? "partial" : "failed";
+    }
+    let status = 207;
+    if (dryRun) {
+      status = 200;
+    } else if (outcome === "invalid") {
+      status = 400;
+    } else if (outcome === "success") {
+      status = report.created > 0 ? 201 : 200;
+    }
+
+    let message = `${imported} of ${report.total} rows imported`;
+    if (dryRun) {
+      message = `${report.total - report.invalid} of ${report.total} rows are valid`;
+    } else if (outcome === "invalid") {
+      message = `${report.invalid} of ${report.total} rows are invalid; nothing was imported`;
+    }
+    res.status(status).json({
+      message,
+      status: outcome,
+      ...report,
+    });
+  } catch (error) {
+    console.error("Error importing issues:", error);
+    sendError(res, error, "Failed to import issues");
+  }
+});
+
+/**
+ * @swagger
+ * /issues:
+ *   get:
+ *     summary: Retrieve issues page by page
+ *     tags: [Issues]
+ *     description: Retrieves issues from JIRA using the enhanced JQL search endpoint, one page at a time. Pass the nextPageToken of a response (or follow links.next) to get the next page, or set fetchAll to retrieve every page at once. Filters are combined with AND; list filters accept comma-separated values or repeated parameters and match any of them. Power users can pass a raw jql query instead of filters, which is validated with JIRA's JQL parser first.
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Project ID or key to filter issues by specific project
+ *         example: "PROJ"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Status names
+ *         example: "To Do,In Progress"
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Assignee account IDs, "unassigned" or "currentUser()"
+ *         example: "unassigned"
+ *       - in: query
+ *         name: reporter
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Reporter account IDs or "currentUser()"
+ *       - in: query
+ *         name: issueType
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Issue type names
+ *         example: "Bug"
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Issues with any of these labels
+ *         example: "frontend,urgent"
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Priority names
+ *         example: "High"
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Parent issue keys, to find sub-tasks or the issues in an epic
+ *         example: "PROJ-100"
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Created on or after this date (YYYY-MM-DD, "YYYY-MM-DD HH:mm" or relative like -7d)
+ *         example: "2024-01-01"
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Created on or before this date
+ *       - in: query
+ *         name: updatedFrom
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Updated on or after this date
+ *         example: "-7d"
+ *       - in: query
+ *         name: updatedTo
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Updated on or before this date
+ *       - in: query
+ *         name: text
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Full text search over summary, description and comments
+ *         example: "login button"
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Sort fields, "field", "field DESC" or "-field", comma-separated
+ *         example: "-created"
+ *       - in: query
+ *         name: jql
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Raw JQL query, cannot be combined with projectId or filters
+ *         example: "project = PROJ AND sprint in openSprints()"
+ *       - in: query
+ *         name: maxResults
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         required: false
+ *         description: Page size
+ *       - in: query
+ *         name: nextPageToken
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: fetchAll
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Follow every page and return all matching issues in one response
+ *       - in: query
+ *         name: descriptionFormat
+ *         schema:
+ *           type: string
+ *           enum: [adf, markdown, text, html]
+ *           default: adf
+ *         required: false
+ *         description: Format of descriptions and comment bodies. adf returns them as JIRA sends them, the others render them to a string
+ *         example: "markdown"
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved issues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 issues:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Issue'
+ *                 nextPageToken:
+ *                   type: string
+ *                   description: Cursor for the next page, absent on the last page
+ *                 isLast:
+ *                   type: boolean
+ *                   description: Whether this is the last page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of issues returned, only set with fetchAll
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: string
+ *                       description: URL of the next page, absent on the last page
+ *                       example: "/issues?projectId=PROJ&maxResults=50&nextPageToken=CAEaAggD"
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues", async (req, res) => {
+  const { nextPageToken, descriptionFormat = "adf" } = req.query;
+  const fetchAll = req.query.fetchAll === "true";
+  const maxResults = req.query.maxResults === undefined ? 50 : Number(req.query.maxResults);
+
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 100) {
+    return res.status(400).json({
+      message: "maxResults must be an integer between 1 and 100",
+    });
+  }
+  if (!DOCUMENT_FORMATS.includes(descriptionFormat)) {
+    return res.status(400).json({
+      message: `descriptionFormat must be one of: ${DOCUMENT_FORMATS.join(", ")}`,
+    });
+  }
+
+  const { projectId, filters, jql, error } = readIssueSearch(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+  const options = { maxResults, nextPageToken, filters, jql };
+
+  try {
+    if (jql !== undefined) {
+      const jqlErrors = await validateJql(jql);
+      if (jqlErrors.length > 0) {
+        return res.status(400).json({
+          message: "Invalid JQL query",
+          errorMessages: jqlErrors,
+        });
+      }
+    }
+
+    if (fetchAll) {
+      const issues = [];
+      for await (const issue of iterateIssues(projectId, options)) {
+        issues.push(renderIssueDocuments(issue, descriptionFormat));
+      }
+      return res.json({ issues, isLast: true, total: issues.length });
+    }
+
+    const page = await getIssues(projectId, options);
+    page.issues = page.issues.map((issue) => renderIssueDocuments(issue, descriptionFormat));
+    const links = {};
+    if (!page.isLast) {
+      const query = new URLSearchParams({ ...req.query, maxResults, nextPageToken: page.nextPageToken });
+      links.next = `${req.baseUrl}${req.path}?${query}`;
+    }
+    res.json({ ...page, links });
+  } catch (error) {
+    console.error("Error getting issues:", error);
+    sendError(res, error, "Error getting issues");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/export:
+ *   get:
+ *     summary: Export issues to CSV, JSON or NDJSON
+ *     tags: [Issues]
+ *     description: Streams every issue matching the filters (the same as GET /issues) or a raw jql query as a file download, reading JIRA page by page so large projects are not held in memory. Choose the columns with columns; besides the built-in columns, any JIRA field can be exported by id or by name. Values are flattened to names and plain text, and lists are joined with ", " in CSV. If JIRA fails part way through, the download is cut off instead of ending normally.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: csv
+ *         required: false
+ *         description: csv, a JSON array, or NDJSON with one JSON object per line
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: |
+ *           Comma-separated columns. Built in are key, id, project, summary, description (as plain text), issueType, status, statusCategory, resolution, priority, assignee, reporter, labels, components, fixVersions, parent, sprint, duedate, created, updated and resolutiondate. Other columns are JIRA field ids or names.
+ *           Default: key, summary, issueType, status, priority, assignee, reporter, labels, parent, sprint, created, updated. The default sprint column is left out on sites without sprints.
+ *         example: "key,summary,status,assignee,sprint,Story point estimate"
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Project ID or key
+ *         example: "PROJ"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Status names; the other filters of GET /issues work too
+ *         example: "Done"
+ *       - in: query
+ *         name: jql
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Raw JQL query, cannot be combined with projectId or filters
+ *         example: "project = PROJ AND resolved >= -30d"
+ *     responses:
+ *       '200':
+ *         description: The exported issues, as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Bad Request - Unknown format or columns, invalid filters or JQL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/export", async (req, res) => {
+  const { format = "csv" } = req.query;
+  const columnNames = req.query.columns === undefined ? DEFAULT_EXPORT_COLUMNS : toList(req.query.columns);
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    });
+  }
+  if (columnNames.length === 0) {
+    return res.status(400).json({
+      message: "columns must name at least one column",
+    });
+  }
+
+  const { projectId, filters, jql, error } = readIssueSearch(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  try {
+    if (jql !== undefined) {
+      const jqlErrors = await validateJql(jql);
+      if (jqlErrors.length > 0) {
+        return res.status(400).json({
+          message: "Invalid JQL query",
+          errorMessages: jqlErrors,
+        });
+      }
+    }
+
+    const { columns, unknown } = resolveColumns(
+      columnNames,
+      needsFieldList(columnNames) ? await getFields() : [],
+      req.query.columns === undefined ? OPTIONAL_DEFAULT_COLUMNS : [],
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown columns: ${unknown.join(", ")}. Use built-in columns, or JIRA field ids or names`,
+        builtInColumns: [...Object.keys(BUILT_IN_COLUMNS), "sprint"],
+      });
+    }
+
+    res.set("Content-Type", CONTENT_TYPES[format]);
+    res.set("Content-Disposition", contentDisposition(`issues-${projectId || "export"}.${format}`));
+    const issues = iterateIssues(projectId, { filters, jql, fields: exportFields(columns), maxResults: 100 });
+    const count = await writeExport(issues, res, format, columns);
+    console.log(`Exported ${count} issues as ${format}`);
+  } catch (error) {
+    console.error("Error exporting issues:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      return sendError(res, error, "Error exporting issues");
+    }
+    // Part of the file was sent already; cut the download off so it is not mistaken for a complete one
+    res.destroy(error);
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}:
+ *   get:
+ *     summary: Retrieve a specific issue by key
+ *     tags: [Issues]
+ *     description: Retrieves detailed information about a specific issue using its key. Use fields and expand to control how much JIRA returns, or view=compact for a flattened summary of the issue.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma-separated fields to return. Cannot be combined with view=compact
+ *         example: "summary,status,assignee"
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma-separated expansions, any of renderedFields, changelog, transitions, names, schema
+ *         example: "renderedFields,changelog"
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [full, compact]
+ *           default: full
+ *         required: false
+ *         description: Return the issue as JIRA sends it (full) or flattened (compact)
+ *       - in: query
+ *         name: descriptionFormat
+ *         schema:
+ *           type: string
+ *           enum: [adf, markdown, text, html]
+ *         required: false
+ *         description: Format of the description and comment bodies. Defaults to adf (as JIRA sends them) for view=full and to text for view=compact
+ *         example: "html"
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved issue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/Issue'
+ *                 - $ref: '#/components/schemas/CompactIssue'
+ *       '400':
+ *         description: Bad Request - Invalid fields, expand or view parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '404':
+ *         description: Issue not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/:issueKey", async (req, res) => {
+  const { issueKey } = req.params;
+
+  if (!issueKey) {
+    return res.status(400).json({
+      message: "Issue key is required",
+    });
+  }
+
+  const { view = "full" } = req.query;
+  const { descriptionFormat = view === "compact" ? "text" : "adf" } = req.query;
+  const fields = toList(req.query.fields);
+  const expand = toList(req.query.expand);
+
+  if (view !== "full" && view !== "compact") {
+    return res.status(400).json({
+      message: "view must be either full or compact",
+    });
+  }
+  if (!DOCUMENT_FORMATS.includes(descriptionFormat)) {
+    return res.status(400).json({
+      message: `descriptionFormat must be one of: ${DOCUMENT_FORMATS.join(", ")}`,
+    });
+  }
+  if (view === "compact" && fields.length > 0) {
+    return res.status(400).json({
+      message: "fields cannot be combined with view=compact",
+    });
+  }
+  const unknownExpansions = expand.filter((name) => !ISSUE_EXPANSIONS.includes(name));
+  if (unknownExpansions.length > 0) {
+    return res.status(400).json({
+      message: `Unknown expand value(s): ${unknownExpansions.join(", ")}. Allowed: ${ISSUE_EXPANSIONS.join(", ")}`,
+    });
+  }
+
+  try {
+    const issue = await getIssueByID(issueKey, {
+      fields: view === "compact" ? COMPACT_FIELDS : fields,
+      expand,
+    });
+    if (!issue) {
+      return res.status(404).json({
+        message: "Issue not found",
+      });
+    }
+    if (view === "compact") {
+      // Expansions are kept next to the flattened fields
+      const expanded = {};
+      expand.forEach((name) => {
+        if (issue[name] !== undefined) {
+          expanded[name] = issue[name];
+        }
+      });
+      return res.json({ ...toCompactIssue(issue, descriptionFormat), ...expanded });
+    }
+    res.json(renderIssueDocuments(issue, descriptionFormat));
+  } catch (error) {
+    console.error("Error getting issue:", error);
+    sendError(res, error, "Error getting issue");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}:
+ *   patch:
+ *     summary: Edit an existing issue
+ *     tags: [Issues]
+ *     description: Updates the given fields of an issue. Only the properties present in the body are changed. Descriptions can be plain text or ADF, like when creating an issue. Use fields for any other (e.g. custom) fields and update for raw JIRA update operations.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               summary:
+ *                 type: string
+ *                 example: "Implement new login button"
+ *               description:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: Plain text (converted to ADF) or an ADF document, null clears it
+ *                 example: "Updated acceptance criteria."
+ *               labels:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: object
+ *                     properties:
+ *                       add:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       remove:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 description: An array replaces all labels, add/remove change only the given ones
+ *                 example: { add: ["frontend"], remove: ["triage"] }
+ *               priority:
+ *                 type: string
+ *                 example: "High"
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Account ID of the new assignee, null to unassign
+ *                 example: "5b10a2844c20165700ede21g"
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: "2024-12-31"
+ *               fields:
+ *                 type: object
+ *                 description: Other fields to set, sent to JIRA as is
+ *                 example: { customfield_10020: 42 }
+ *               update:
+ *                 type: object
+ *                 description: JIRA update operations (add, remove, set) per field
+ *                 example: { components: [{ add: { name: "UI" } }] }
+ *               notifyUsers:
+ *                 type: boolean
+ *                 description: Set to false to skip email notifications to watchers
+ *                 default: true
+ *     responses:
+ *       '204':
+ *         description: Issue updated successfully
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '422':
+ *         $ref: '#/components/responses/UnprocessableEntity'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.patch("/issues/:issueKey", async (req, res) => {
+  const { issueKey } = req.params;
+  const { notifyUsers, ...changes } = req.body || {};
+
+  const editable = ["summary", "description", "labels", "priority", "assignee", "dueDate", "fields", "update"];
+  if (!editable.some((name) => changes[name] !== undefined)) {
+    return res.status(400).json({
+      message: `Bad Request. Provide at least one of: ${editable.join(", ")}`,
+    });
+  }
+
+  const errors = validateIssueChanges(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      message: "Bad Request. Invalid fields",
+      errors,
+    });
+  }
+
+  try {
+    await updateIssue(issueKey, changes, { notifyUsers });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error updating issue:", error);
+    sendError(res, error, "Error updating issue");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}:
+ *   delete:
+ *     summary: Delete an issue by key
+ *     tags: [Issues]
+ *     description: Permanently deletes an issue from JIRA. JIRA refuses to delete an issue with sub-tasks unless deleteSubtasks is set.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: query
+ *         name: deleteSubtasks
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Also delete the issue's sub-tasks
+ *     responses:
+ *       '204':
+ *         description: Issue deleted successfully
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '404':
+ *         description: Issue not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '409':
+ *         $ref: '#/components/responses/Conflict'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete("/issues/:issueKey", async (req, res) => {
+  const { issueKey } = req.params;
+
+  if (!issueKey) {
+    return res.status(400).json({
+      message: "Issue key is required",
+    });
+  }
+
+  try {
+    const deleteSubtasks = req.query.deleteSubtasks === "true";
+    await deleteIssueByID(issueKey, { deleteSubtasks });
+    await invalidateTransitions(issueKey);
+    eventPublisher.publish("issue.deleted", { issue: { key: issueKey }, deleteSubtasks });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting issue:", error);
+    sendError(res, error, "Error deleting issue");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/transitions:
+ *   get:
+ *     summary: Get available transitions for an issue
+ *     tags: [Workflows]
+ *     description: Retrieves all available transitions for a specific issue. The answer is cached for RESPONSE_CACHE_TTL_TRANSITIONS_MS (60 seconds by default) and dropped when the issue is transitioned or deleted through this API. Send the ETag back in If-None-Match to get 304 while the transitions are unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag of a previous response
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved transitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transitions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transition'
+ *       '304':
+ *         $ref: '#/components/responses/NotModified'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/:issueKey/transitions", async (req, res) => {
+  const { issueKey } = req.params;
+
+  if (!issueKey) {
+    return res.status(400).json({
+      message: "Issue key is required",
+    });
+  }
+
+  try {
+    await sendCachedRead(req, res, "transitions", issueCacheId(issueKey), () => getTransitions(issueKey));
+  } catch (error) {
+    console.error("Error getting transitions:", error);
+    sendError(res, error, "Error getting transitions");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/transitions:
+ *   post:
+ *     summary: Transition an issue to a new status
+ *     tags: [Workflows]
+ *     description: Transitions an issue from one status to another. Identify the transition by its ID, by its name, or by the status the issue should end up in (toStatus). Fields such as the resolution, and a comment, can be set in the same request. When the requested status or transition is not available from the issue's current status, 409 is returned with the transitions that are.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: One of transitionId, transitionName or toStatus is required
+ *             properties:
+ *               transitionId:
+ *                 type: string
+ *                 description: The ID of the transition to execute
+ *                 example: "11"
+ *               transitionName:
+ *                 type: string
+ *                 description: The name of the transition to execute (case-insensitive)
+ *                 example: "Start progress"
+ *               toStatus:
+ *                 type: string
+ *                 description: The status the issue should be moved to (case-insensitive)
+ *                 example: "Done"
+ *               resolution:
+ *                 type: string
+ *                 description: Resolution name to set with the transition
+ *                 example: "Done"
+ *               fields:
+ *                 type: object
+ *                 description: Other fields on the transition screen to set
+ *                 example: { assignee: { accountId: "5b10a2844c20165700ede21g" } }
+ *               comment:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: Comment to add with the transition, plain text or ADF
+ *                 example: "Verified on staging."
+ *     responses:
+ *       '204':
+ *         description: Issue status updated successfully
+ *       '400':
+ *         description: Bad Request - Missing transition, or JIRA rejected the transition fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '409':
+ *         description: Conflict - The requested status or transition is not available from the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Error updating issue status"
+ *                 error:
+ *                   type: string
+ *                   example: "Issue PROJ-123 cannot be moved using status 'Done' from its current status"
+ *                 availableTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "21"
+ *                       name:
+ *                         type: string
+ *                         example: "In Progress"
+ *                       toStatus:
+ *                         type: string
+ *                         example: "In Progress"
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/:issueKey/transitions", async (req, res) => {
+  const { issueKey } = req.params;
+  const { transitionId, transitionName, toStatus, resolution, fields, comment } = req.body || {};
+
+  if (!issueKey) {
+    return res.status(400).json({
+      message: "Issue key is required",
+    });
+  }
+
+  if (!transitionId && !transitionName && !toStatus) {
+    return res.status(400).json({
+      message: "One of transitionId, transitionName or toStatus is required",
+    });
+  }
+
+  if (fields !== undefined && (!fields || typeof fields !== "object" || Array.isArray(fields))) {
+    return res.status(400).json({
+      message: "fields must be an object",
+    });
+  }
+
+  if (comment !== undefined && (typeof comment === "string" ? comment.trim() === "" : !isValidADF(comment))) {
+    return res.status(400).json({
+      message: "comment must be non-empty plain text or an ADF document",
+    });
+  }
+
+  const options = { resolution, fields, comment };
+
+  try {
+    // A transition ID is sent as is; names are resolved against the
+    // transitions currently available for the issue
+    let status = 204;
+    let transition = { id: transitionId };
+    if (transitionId) {
+      status = await updateStatus(issueKey, transitionId, options);
+    } else {
+      const applied = await transitionIssue(issueKey, { transitionName, toStatus }, options);
+      transition = { id: applied.id, name: applied.name, toStatus: applied.to ? applied.to.name : undefined };
+    }
+    // The issue has a new status, so other transitions are available now
+    await invalidateTransitions(issueKey);
+    eventPublisher.publish("issue.transitioned", { issue: { key: issueKey }, transition });
+    if (status === 204) {
+      res.status(204).send();
+    } else {
+      res.status(200).json({ message: "Issue status updated successfully" });
+    }
+  } catch (error) {
+    console.error("Error updating issue status:", error);
+    sendError(res, error, "Error updating issue status");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/comments:
+ *   get:
+ *     summary: List the comments on an issue
+ *     tags: [Comments]
+ *     description: Retrieves the comments on an issue, one page at a time
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: query
+ *         name: startAt
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Index of the first comment to return
+ *       - in: query
+ *         name: maxResults
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         required: false
+ *         description: Page size
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [created, -created]
+ *         required: false
+ *         description: Oldest first (created) or newest first (-created)
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 comments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 startAt:
+ *                   type: integer
+ *                 maxResults:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/:issueKey/comments", async (req, res) => {
+  const { issueKey } = req.params;
+  const { orderBy } = req.query;
+  const startAt = req.query.startAt === undefined ? 0 : Number(req.query.startAt);
+  const maxResults = req.query.maxResults === undefined ? 50 : Number(req.query.maxResults);
+
+  if (!Number.isInteger(startAt) || startAt < 0) {
+    return res.status(400).json({
+      message: "startAt must be a non-negative integer",
+    });
+  }
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 100) {
+    return res.status(400).json({
+      message: "maxResults must be an integer between 1 and 100",
+    });
+  }
+  if (orderBy !== undefined && !["created", "-created", "+created"].includes(orderBy)) {
+    return res.status(400).json({
+      message: "orderBy must be created or -created",
+    });
+  }
+
+  try {
+    const comments = await getComments(issueKey, { startAt, maxResults, orderBy });
+    res.json(comments);
+  } catch (error) {
+    console.error("Error getting comments:", error);
+    sendError(res, error, "Error getting comments");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/comments:
+ *   post:
+ *     summary: Add a comment to an issue
+ *     tags: [Comments]
+ *     description: Adds a comment to an issue. The body can be plain text, which is converted to Atlassian Document Format, or an ADF document.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: Plain text or an ADF document
+ *                 example: "Reproduced on the staging environment."
+ *               visibility:
+ *                 $ref: '#/components/schemas/CommentVisibility'
+ *     responses:
+ *       '201':
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/:issueKey/comments", async (req, res) => {
+  const { issueKey } = req.params;
+  const { body, visibility } = req.body || {};
+
+  const validationError = validateComment(body, visibility);
+  if (validationError) {
+    return res.status(400).json({
+      message: `Bad Request. ${validationError}`,
+    });
+  }
+
+  try {
+    const comment = await addComment(issueKey, body, visibility);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    sendError(res, error, "Error adding comment");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/comments/{commentId}:
+ *   put:
+ *     summary: Update a comment
+ *     tags: [Comments]
+ *     description: Replaces the body of a comment, and its visibility when given
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The comment ID
+ *         example: "10010"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: Plain text or an ADF document
+ *                 example: "Fixed in the latest build."
+ *               visibility:
+ *                 $ref: '#/components/schemas/CommentVisibility'
+ *               notifyUsers:
+ *                 type: boolean
+ *                 description: Set to false to skip email notifications to watchers
+ *                 default: true
+ *     responses:
+ *       '200':
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.put("/issues/:issueKey/comments/:commentId", async (req, res) => {
+  const { issueKey, commentId } = req.params;
+  const { body, visibility, notifyUsers } = req.body || {};
+
+  const validationError = validateComment(body, visibility);
+  if (validationError) {
+    return res.status(400).json({
+      message: `Bad Request. ${validationError}`,
+    });
+  }
+  if (notifyUsers !== undefined && typeof notifyUsers !== "boolean") {
+    return res.status(400).json({
+      message: "Bad Request. notifyUsers must be true or false",
+    });
+  }
+
+  try {
+    const comment = await updateComment(issueKey, commentId, body, visibility, { notifyUsers });
+    res.json(comment);
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    sendError(res, error, "Error updating comment");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     tags: [Comments]
+ *     description: Permanently deletes a comment from an issue
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The comment ID
+ *         example: "10010"
+ *     responses:
+ *       '204':
+ *         description: Comment deleted successfully
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete("/issues/:issueKey/comments/:commentId", async (req, res) => {
+  const { issueKey, commentId } = req.params;
+
+  try {
+    await deleteComment(issueKey, commentId);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    sendError(res, error, "Error deleting comment");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/attachments:
+ *   post:
+ *     summary: Upload attachments
+ *     tags: [Attachments]
+ *     description: Attaches one or more files to an issue. Files are streamed to JIRA as they arrive. Uploads are limited by the ATTACHMENT_MAX_FILE_SIZE, ATTACHMENT_MAX_FILES and ATTACHMENT_ALLOWED_TYPES env variables. A refused file cancels the uploads still in progress, but files JIRA has already stored stay attached.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       '201':
+ *         description: Files attached successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "2 file(s) attached successfully"
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       '400':
+ *         description: Bad Request - Not a multipart request or no file in it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '413':
+ *         $ref: '#/components/responses/PayloadTooLarge'
+ *       '415':
+ *         $ref: '#/components/responses/UnsupportedMediaType'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/:issueKey/attachments", async (req, res) => {
+  const { issueKey } = req.params;
+
+  try {
+    const uploads = await receiveUpload(req, (content, file, signal) =>
+      addAttachment(issueKey, content, { filename: file.filename, contentType: file.mimeType, signal }),
+    );
+    const attachments = uploads.flat();
+    res.status(201).json({
+      message: `${attachments.length} file(s) attached successfully`,
+      attachments,
+    });
+  } catch (error) {
+    console.error("Error uploading attachment:", error);
+    sendError(res, error, "Failed to upload attachment");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/attachments:
+ *   get:
+ *     summary: List attachments
+ *     tags: [Attachments]
+ *     description: Retrieves the metadata of an issue's attachments
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/:issueKey/attachments", async (req, res) => {
+  const { issueKey } = req.params;
+
+  try {
+    const attachments = await getAttachments(issueKey);
+    res.json({ attachments });
+  } catch (error) {
+    console.error("Error getting attachments:", error);
+    sendError(res, error, "Error getting attachments");
+  }
+});
+
+/**
+ * @swagger
+ * /attachments/{attachmentId}/content:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Attachments]
+ *     description: Streams the content of an attachment from JIRA, with its file name, type and size
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The attachment ID
+ *         example: "10020"
+ *     responses:
+ *       '200':
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/attachments/:attachmentId/content", async (req, res) => {
+  const { attachmentId } = req.params;
+
+  try {
+    const { attachment, stream } = await downloadAttachment(attachmentId);
+    res.set({
+      "Content-Type": attachment.mimeType || "application/octet-stream",
+      "Content-Disposition": contentDisposition(attachment.filename || `attachment-${attachmentId}`),
+    });
+    if (attachment.size !== undefined) {
+      res.set("Content-Length", String(attachment.size));
+    }
+    pipeline(stream, res, (error) => {
+      if (error) {
+        console.error("Error streaming attachment:", error.message);
+      }
+    });
+  } catch (error) {
+    console.error("Error downloading attachment:", error);
+    sendError(res, error, "Error downloading attachment");
+  }
+});
+
+/**
+ * @swagger
+ * /attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Attachments]
+ *     description: Permanently deletes an attachment from its issue
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The attachment ID
+ *         example: "10020"
+ *     responses:
+ *       '204':
+ *         description: Attachment deleted successfully
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete("/attachments/:attachmentId", async (req, res) => {
+  const { attachmentId } = req.params;
+
+  try {
+    await deleteAttachment(attachmentId);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting attachment:", error);
+    sendError(res, error, "Error deleting attachment");
+  }
+});
+
+/**
+ * @swagger
+ * /issue-link-types:
+ *   get:
+ *     summary: List issue link types
+ *     tags: [Links]
+ *     description: Retrieves the link types configured in JIRA. Any of a type's name, outward description or inward description can be used as the type when linking issues.
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved link types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 issueLinkTypes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IssueLinkType'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issue-link-types", async (req, res) => {
+  try {
+    const { issueLinkTypes } = await getIssueLinkTypes();
+    res.json({ issueLinkTypes });
+  } catch (error) {
+    console.error("Error getting issue link types:", error);
+    sendError(res, error, "Error getting issue link types");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/links:
+ *   get:
+ *     summary: List issue links
+ *     tags: [Links]
+ *     description: Retrieves the links of an issue, each described from this issue's side (e.g. "is blocked by PROJ-2")
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 links:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IssueLink'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/issues/:issueKey/links", async (req, res) => {
+  const { issueKey } = req.params;
+
+  try {
+    const links = await getIssueLinks(issueKey);
+    res.json({ links });
+  } catch (error) {
+    console.error("Error getting issue links:", error);
+    sendError(res, error, "Error getting issue links");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/links:
+ *   post:
+ *     summary: Link two issues
+ *     tags: [Links]
+ *     description: Links this issue to another one so that it reads "<issueKey> <type> <body.issueKey>". The type is matched against the link types in JIRA by outward description ("blocks"), inward description ("is blocked by") or name ("Blocks"), ignoring case.
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The issue key (e.g., PROJ-123)
+ *         example: "PROJ-123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - issueKey
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 description: Relationship or link type name
+ *                 example: "blocks"
+ *               issueKey:
+ *                 type: string
+ *                 description: The issue to link to
+ *                 example: "PROJ-124"
+ *     responses:
+ *       '201':
+ *         description: Issues linked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "PROJ-123 blocks PROJ-124"
+ *                 link:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: "10030"
+ *                     type:
+ *                       type: string
+ *                       example: "Blocks"
+ *                     relationship:
+ *                       type: string
+ *                       example: "blocks"
+ *                     issueKey:
+ *                       type: string
+ *                       example: "PROJ-124"
+ *       '400':
+ *         description: Bad Request - Missing or non-text type or issueKey, or a type that matches no link type (the available ones are listed in availableLinkTypes)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/issues/:issueKey/links", async (req, res) => {
+  const { issueKey } = req.params;
+  const { type, issueKey: otherIssueKey } = req.body || {};
+
+  const invalidFields = [];
+  if (typeof type !== "string" || type.trim() === "") invalidFields.push("type");
+  if (typeof otherIssueKey !== "string" || otherIssueKey.trim() === "") invalidFields.push("issueKey");
+  if (invalidFields.length > 0) {
+    return sendError(
+      res,
+      new InvalidRequestError(`${invalidFields.join(" and ")} must be non-empty text`, { fields: invalidFields }),
+      "Bad Request. Missing or invalid fields",
+    );
+  }
+  if (otherIssueKey.toUpperCase() === issueKey.toUpperCase()) {
+    return sendError(
+      res,
+      new InvalidRequestError("An issue cannot be linked to itself"),
+      "Bad Request. An issue cannot be linked to itself",
+    );
+  }
+
+  try {
+    const link = await createIssueLink(issueKey, type, otherIssueKey);
+    res.status(201).json({
+      message: `${issueKey} ${link.relationship} ${otherIssueKey}`,
+      link,
+    });
+  } catch (error) {
+    console.error("Error linking issues:", error);
+    sendError(res, error, "Failed to link issues");
+  }
+});
+
+/**
+ * @swagger
+ * /issue-links/{linkId}:
+ *   delete:
+ *     summary: Delete an issue link
+ *     tags: [Links]
+ *     description: Removes a link between two issues. The issues themselves are not changed.
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The link ID, as returned by GET /issues/{issueKey}/links
+ *         example: "10030"
+ *     responses:
+ *       '204':
+ *         description: Link deleted successfully
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         $ref: '#/components/responses/NotFound'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete("/issue-links/:linkId", async (req, res) => {
+  const { linkId } = req.params;
+
+  try {
+    await deleteIssueLink(linkId);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting issue link:", error);
+    sendError(res, error, "Error deleting issue link");
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueKey}/children:
+ *   get:
+ *     summary: Retrieve child issues
+ *     tags: [Links]
+ *     description: Retrieves every child of an issue - the sub-tasks of a task or story, or the issues in an epic - ordered by key
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The parent issue key (e.g., PROJ-100)
+ *         example: "PROJ-100"
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [full, compact]
+ *           default: full
+ *         required: false
+ *         description: Return the issues as JIRA sends them (full) or flattened (compact)
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved child issues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
  *               properties:
+ *                 parent:
+ *                   type: string
+ *                   example: "PROJ-100"
  *                 issues:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Issue'
+ *                     oneOf:
+ *                       - $ref: '#/components/schemas/Issue'
+ *                       - $ref: '#/components/schemas/CompactIssue'
  *                 total:
  *                   type: integer
- *                   description: Total number of issues
- *                 startAt:
- *                   type: integer
- *                   description: Starting index of the returned results
- *                 maxResults:
- *                   type: integer
- *                   description: Maximum number of results returned
+ *       '400':
+ *         $ref: '#/components/responses/BadRequest'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
  *       '500':
  *         description: Internal Server Error
  *         content:
@@ -326,48 +3592,129 @@ app.post("/issues", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/issues", async (req, res) => {
+app.get("/issues/:issueKey/children", async (req, res) => {
+  const { issueKey } = req.params;
+  const { view = "full" } = req.query;
+
+  if (!["full", "compact"].includes(view)) {
+    return res.status(400).json({
+      message: "view must be full or compact",
+    });
+  }
+
   try {
-    const { projectId } = req.query;
-    const issues = await getIssues(projectId);
-    res.json(issues);
-  } catch (error) {
-    console.error("Error getting issues:", error);
-    res.status(500).json({
-      message: "Error getting issues",
-      error: error.message,
+    const compact = view === "compact";
+    const children = await getIssueChildren(issueKey, compact ? { fields: COMPACT_FIELDS } : {});
+    res.json({
+      parent: issueKey,
+      issues: compact ? children.map((issue) => toCompactIssue(issue)) : children,
+      total: children.length,
     });
+  } catch (error) {
+    console.error("Error getting child issues:", error);
+    sendError(res, error, "Error getting child issues");
   }
 });
 
 /**
  * @swagger
- * /issues/{issueKey}:
+ * /projects:
  *   get:
- *     summary: Retrieve a specific issue by key
- *     tags: [Issues]
- *     description: Retrieves detailed information about a specific issue using its key
+ *     summary: Retrieve all projects
+ *     tags: [Projects]
+ *     description: Retrieves a list of recent projects from JIRA. The answer is cached for RESPONSE_CACHE_TTL_PROJECTS_MS (5 minutes by default) and dropped when a project is created through this API. Send the ETag back in If-None-Match to get 304 while the projects are unchanged.
  *     parameters:
- *       - in: path
- *         name: issueKey
- *         required: true
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
  *         schema:
  *           type: string
- *         description: The issue key (e.g., PROJ-123)
- *         example: "PROJ-123"
+ *         description: ETag of a previous response
  *     responses:
  *       '200':
- *         description: Successfully retrieved issue
+ *         description: Successfully retrieved projects
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Issue'
- *       '404':
- *         description: Issue not found
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Project'
+ *       '304':
+ *         $ref: '#/components/responses/NotModified'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/projects", async (req, res) => {
+  try {
+    await sendCachedRead(req, res, "projects", undefined, getProjects);
+  } catch (error) {
+    console.error("Error getting projects:", error);
+    sendError(res, error, "Error getting projects");
+  }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a new JIRA project
+ *     tags: [Projects]
+ *     description: Creates a new project in JIRA with the specified name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - projectName
+ *             properties:
+ *               projectName:
+ *                 type: string
+ *                 description: The name of the project to create
+ *                 example: "My New Project"
+ *     responses:
+ *       '201':
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Project created successfully"
+ *                 projectKey:
+ *                   type: string
+ *                   example: "PROJ"
+ *       '400':
+ *         description: Bad Request - Missing project name
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '409':
+ *         $ref: '#/components/responses/Conflict'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
  *       '500':
  *         description: Internal Server Error
  *         content:
@@ -375,154 +3722,359 @@ app.get("/issues", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/issues/:issueKey", async (req, res) => {
-  const { issueKey } = req.params;
+app.post("/projects", async (req, res) => {
+  const { projectName } = req.body;
 
-  if (!issueKey) {
+  if (!projectName) {
     return res.status(400).json({
-      message: "Issue key is required",
+      message: "Project name is required",
     });
   }
 
   try {
-    const issue = await getIssueByID(issueKey);
-    if (!issue) {
-      return res.status(404).json({
-        message: "Issue not found",
-      });
-    }
-    res.json(issue);
-  } catch (error) {
-    console.error("Error getting issue:", error);
-    res.status(500).json({
-      message: "Error getting issue",
-      error: error.message,
+    const projectKey = await createProject(projectName);
+    await invalidateCached("projects");
+    res.status(201).json({
+      message: "Project created successfully",
+      projectKey: projectKey,
     });
+  } catch (error) {
+    console.error("Error creating project:", error);
+    sendError(res, error, "Error creating project");
   }
 });
 
 /**
  * @swagger
- * /issues/{issueKey}:
- *   delete:
- *     summary: Delete an issue by key
- *     tags: [Issues]
- *     description: Permanently deletes an issue from JIRA
+ * /users:
+ *   get:
+ *     summary: Retrieve all users
+ *     tags: [Users]
+ *     description: Retrieves a list of users from JIRA. The answer is cached for RESPONSE_CACHE_TTL_USERS_MS (5 minutes by default). Send the ETag back in If-None-Match to get 304 while the users are unchanged.
  *     parameters:
- *       - in: path
- *         name: issueKey
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag of a previous response
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       '304':
+ *         $ref: '#/components/responses/NotModified'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       '502':
+ *         $ref: '#/components/responses/BadGateway'
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/users", async (req, res) => {
+  try {
+    await sendCachedRead(req, res, "users", undefined, getUsers);
+  } catch (error) {
+    console.error("Error getting users:", error);
+    sendError(res, error, "Error getting users");
+  }
+});
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: List issue templates
+ *     tags: [Templates]
+ *     description: Lists the issue templates loaded from the templates directory at startup, with their variables and default fields. Create an issue from one with POST /issues and the template and variables fields.
+ *     responses:
+ *       '200':
+ *         description: Successfully retrieved templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IssueTemplate'
+ */
+app.get("/templates", (req, res) => {
+  res.json({ templates: listTemplates().map(({ body, defaults, ...template }) => template) });
+});
+
+// Events received from JIRA webhooks, see webhook-event-log.js
+const webhookEvents = new WebhookEventLog();
+
+/**
+ * @swagger
+ * /webhooks/jira:
+ *   post:
+ *     summary: Receive a JIRA webhook delivery
+ *     tags: [Webhooks]
+ *     description: |
+ *       Endpoint to register as a webhook in JIRA (Settings > System > WebHooks) with the secret in JIRA_WEBHOOK_SECRET. Deliveries must carry a valid X-Hub-Signature (HMAC-SHA256 of the body with the secret).
+ *
+ *       Issue created, updated and deleted events and comment events are logged and answered with 202, then passed to the webhook handler modules. Deliveries JIRA retries are recognised by their X-Atlassian-Webhook-Identifier and answered with 200 without being handled again. Other event types are acknowledged with 200 and ignored.
+ *     parameters:
+ *       - in: header
+ *         name: X-Hub-Signature
  *         required: true
  *         schema:
  *           type: string
- *         description: The issue key (e.g., PROJ-123)
- *         example: "PROJ-123"
+ *         description: sha256= followed by the hex HMAC-SHA256 of the raw body
+ *         example: "sha256=5d5b09f6dcb2d53a5fffc60c4ac0d55fabdf556069d6631545f42aa6e3500f2e"
+ *       - in: header
+ *         name: X-Atlassian-Webhook-Identifier
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Identifier of the delivery, the same on retries
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               webhookEvent:
+ *                 type: string
+ *                 example: "jira:issue_updated"
+ *               timestamp:
+ *                 type: integer
+ *                 example: 1706779800000
+ *               user:
+ *                 type: object
+ *               issue:
+ *                 type: object
+ *               changelog:
+ *                 type: object
+ *               comment:
+ *                 type: object
  *     responses:
- *       '204':
- *         description: Issue deleted successfully
- *       '404':
- *         description: Issue not found
+ *       '200':
+ *         description: A duplicate delivery, or an event type that is ignored
+ *       '202':
+ *         description: The event was logged and is being handled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Event received"
+ *                 id:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                   example: "jira:issue_updated"
+ *       '400':
+ *         description: Bad Request - The body is not a JSON webhook payload, or its timestamp is not a date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         description: Unauthorized - The signature is missing or wrong
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '503':
+ *         description: Service Unavailable - JIRA_WEBHOOK_SECRET is not set
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       '500':
- *         description: Internal Server Error
+ *         description: Internal Server Error - The event could not be logged; JIRA will retry
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.delete("/issues/:issueKey", async (req, res) => {
-  const { issueKey } = req.params;
+app.post("/webhooks/jira", async (req, res) => {
+  const secret = webhookSecretFromEnv();
+  if (!secret) {
+    return res.status(503).json({
+      message: "Webhooks are disabled. Set JIRA_WEBHOOK_SECRET to the secret of the JIRA webhook",
+    });
+  }
+  if (!req.rawBody) {
+    return res.status(400).json({
+      message: "Expected a JSON webhook payload",
+    });
+  }
+  if (!verifySignature(req.rawBody, req.get("X-Hub-Signature"), secret)) {
+    return res.status(401).json({
+      message: "Invalid webhook signature",
+    });
+  }
 
-  if (!issueKey) {
+  const payload = req.body;
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
     return res.status(400).json({
-      message: "Issue key is required",
+      message: "Expected a JSON webhook payload",
     });
   }
 
+  let event;
   try {
-    await deleteIssueByID(issueKey);
-    res.status(204).send();
+    event = parseWebhookEvent(payload, deliveryId(req.get("X-Atlassian-Webhook-Identifier"), req.rawBody));
   } catch (error) {
-    console.error("Error deleting issue:", error);
-    res.status(500).json({
-      message: "Error deleting issue",
-      error: error.message,
+    return sendError(res, error, "Error receiving webhook event");
+  }
+  if (!event) {
+    return res.status(200).json({
+      message: `Ignored ${payload.webhookEvent || "unknown"} event`,
+      ignored: true,
     });
   }
+
+  try {
+    if (!(await webhookEvents.append(event))) {
+      return res.status(200).json({
+        message: "Duplicate delivery, already received",
+        id: event.id,
+        duplicate: true,
+      });
+    }
+  } catch (error) {
+    console.error("Error logging webhook event:", error);
+    return sendError(res, error, "Error receiving webhook event");
+  }
+
+  res.status(202).json({
+    message: "Event received",
+    id: event.id,
+    type: event.type,
+  });
+  // Handlers log their own failures; JIRA has its answer already
+  dispatchWebhookEvent(event, payload);
 });
 
 /**
  * @swagger
- * /issues/{issueKey}/transitions:
+ * /webhooks/jira/events:
  *   get:
- *     summary: Get available transitions for an issue
- *     tags: [Workflows]
- *     description: Retrieves all available transitions for a specific issue
+ *     summary: List recent JIRA webhook events
+ *     tags: [Webhooks]
+ *     description: Returns the most recent events received from JIRA webhooks, newest first. The app keeps the last 1000 events in memory; older ones are in the event log file.
  *     parameters:
- *       - in: path
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 50
+ *         required: false
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only events of this type
+ *         example: "jira:issue_updated"
+ *       - in: query
  *         name: issueKey
- *         required: true
  *         schema:
  *           type: string
- *         description: The issue key (e.g., PROJ-123)
+ *         required: false
+ *         description: Only events of this issue
  *         example: "PROJ-123"
  *     responses:
  *       '200':
- *         description: Successfully retrieved transitions
+ *         description: Recent events
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 transitions:
+ *                 events:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Transition'
- *       '500':
- *         description: Internal Server Error
+ *                     $ref: '#/components/schemas/WebhookEvent'
+ *       '400':
+ *         description: Bad Request - Invalid limit or type
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/issues/:issueKey/transitions", async (req, res) => {
-  const { issueKey } = req.params;
+app.get("/webhooks/jira/events", (req, res) => {
+  const { type, issueKey } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
 
-  if (!issueKey) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
     return res.status(400).json({
-      message: "Issue key is required",
+      message: "limit must be an integer between 1 and 1000",
     });
   }
-
-  try {
-    const transitions = await getTransitions(issueKey);
-    res.json(transitions);
-  } catch (error) {
-    console.error("Error getting transitions:", error);
-    res.status(500).json({
-      message: "Error getting transitions",
-      error: error.message,
+  if (type !== undefined && !WEBHOOK_EVENTS.includes(type)) {
+    return res.status(400).json({
+      message: `type must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
     });
   }
+
+  res.json({ events: webhookEvents.list({ limit, type, issueKey }) });
 });
 
+// Checks the url and events of a subscription. Returns the message of the 400
+// response, or null when they are valid.
+function validateSubscription({ url, events }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "url must be an http or https URL";
+    }
+  }
+  if (
+    events !== undefined &&
+    (!Array.isArray(events) || events.length === 0 || events.some((type) => !EVENT_TYPES.includes(type)))
+  ) {
+    return `events must be a non-empty list of: ${EVENT_TYPES.join(", ")}`;
+  }
+  return null;
+}
+
+// A subscription as the API shows it
+function toSubscriptionResponse(subscription) {
+  return { ...publicSubscription(subscription), pendingRetries: eventPublisher.pendingRetries(subscription.id) };
+}
+
 /**
  * @swagger
- * /issues/{issueKey}/transitions:
+ * /subscriptions:
  *   post:
- *     summary: Transition an issue to a new status
- *     tags: [Workflows]
- *     description: Transitions an issue from one status to another using a transition ID
- *     parameters:
- *       - in: path
- *         name: issueKey
- *         required: true
- *         schema:
- *           type: string
- *         description: The issue key (e.g., PROJ-123)
- *         example: "PROJ-123"
+ *     summary: Subscribe a URL to issue events
+ *     tags: [Subscriptions]
+ *     description: |
+ *       Registers a URL that is called back when issues are created (POST /issues, /issues/bulk, /issues/import), transitioned (POST /issues/{issueKey}/transitions, /issues/bulk/transition) or deleted (DELETE /issues/{issueKey}, POST /issues/bulk/delete) through this API.
+ *
+ *       Callbacks are POST requests with a JSON body { id, type, timestamp, data }, signed in the X-Hub-Signature header with sha256= and the hex HMAC-SHA256 of the body using the secret. A callback fails unless the URL answers 2xx; failed callbacks are retried with exponential backoff, and a subscription whose callbacks keep failing is disabled. The secret is only returned by this request.
+ *
+ *       URLs on loopback, private or link-local hosts are refused unless the host is listed in SUBSCRIPTION_ALLOWED_HOSTS.
  *     requestBody:
  *       required: true
  *       content:
@@ -530,201 +4082,327 @@ app.get("/issues/:issueKey/transitions", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - transitionId
+ *               - url
+ *               - events
  *             properties:
- *               transitionId:
+ *               url:
  *                 type: string
- *                 description: The ID of the transition to execute
- *                 example: "11"
+ *                 example: "https://ci.example.com/hooks/jira"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [issue.created, issue.transitioned, issue.deleted]
+ *                 example: ["issue.created", "issue.transitioned"]
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *                 description: Signing secret; a random one is made when left out
+ *               description:
+ *                 type: string
+ *                 example: "Keeps the release dashboard in sync"
  *     responses:
- *       '204':
- *         description: Issue status updated successfully
+ *       '201':
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Subscription created"
+ *                 subscription:
+ *                   $ref: '#/components/schemas/Subscription'
+ *                 secret:
+ *                   type: string
+ *                   description: The signing secret. Keep it, it is not shown again
  *       '400':
- *         description: Bad Request - Missing transition ID
+ *         description: Bad Request - Invalid url, events or secret, or a url on an internal host
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       '500':
- *         description: Internal Server Error
+ *   get:
+ *     summary: List subscriptions
+ *     tags: [Subscriptions]
+ *     responses:
+ *       '200':
+ *         description: All subscriptions, without their secrets
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               properties:
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
  */
-app.post("/issues/:issueKey/transitions", async (req, res) => {
-  const { issueKey } = req.params;
-  const { transitionId } = req.body;
+app.post("/subscriptions", async (req, res) => {
+  const { url, events, secret, description } = req.body || {};
 
-  if (!issueKey) {
+  if (url === undefined || events === undefined) {
     return res.status(400).json({
-      message: "Issue key is required",
+      message: "Bad Request. url and events are required",
     });
   }
-
-  if (!transitionId) {
+  const invalid = validateSubscription({ url, events }) || (url !== undefined && (await checkSubscriptionUrl(url)));
+  if (invalid) {
+    return res.status(400).json({
+      message: `Bad Request. ${invalid}`,
+    });
+  }
+  if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+    return res.status(400).json({
+      message: "Bad Request. secret must be at least 16 characters",
+    });
+  }
+  if (description !== undefined && typeof description !== "string") {
     return res.status(400).json({
-      message: "Transition ID is required",
+      message: "Bad Request. description must be text",
     });
   }
 
   try {
-    const status = await updateStatus(issueKey, transitionId);
-    if (status === 204) {
-      res.status(204).send();
-    } else {
-      res.status(200).json({ message: "Issue status updated successfully" });
-    }
-  } catch (error) {
-    console.error("Error updating issue status:", error);
-    res.status(500).json({
-      message: "Error updating issue status",
-      error: error.message,
+    const subscription = subscriptions.create({ url, events, secret, description });
+    res.status(201).json({
+      message: "Subscription created",
+      subscription: toSubscriptionResponse(subscription),
+      secret: subscription.secret,
     });
+  } catch (error) {
+    console.error("Error creating subscription:", error);
+    sendError(res, error, "Error creating subscription");
   }
 });
 
+app.get("/subscriptions", (req, res) => {
+  res.json({ subscriptions: subscriptions.list().map(toSubscriptionResponse) });
+});
+
 /**
  * @swagger
- * /projects:
+ * /subscriptions/{subscriptionId}:
  *   get:
- *     summary: Retrieve all projects
- *     tags: [Projects]
- *     description: Retrieves a list of recent projects from JIRA
+ *     summary: Get a subscription
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       '200':
- *         description: Successfully retrieved projects
+ *         description: The subscription, without its secret
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Project'
- *       '500':
- *         description: Internal Server Error
+ *               $ref: '#/components/schemas/Subscription'
+ *       '404':
+ *         description: Not Found - No subscription with this ID
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-app.get("/projects", async (req, res) => {
-  try {
-    const projects = await getProjects();
-    res.json(projects);
-  } catch (error) {
-    console.error("Error getting projects:", error);
-    res.status(500).json({
-      message: "Error getting projects",
-      error: error.message,
-    });
-  }
-});
-
-/**
- * @swagger
- * /projects:
- *   post:
- *     summary: Create a new JIRA project
- *     tags: [Projects]
- *     description: Creates a new project in JIRA with the specified name
+ *   patch:
+ *     summary: Change or re-enable a subscription
+ *     tags: [Subscriptions]
+ *     description: Changes the URL or events of a subscription, or turns it on and off. Setting active to true re-enables a subscription that was disabled because its callbacks kept failing.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - projectName
  *             properties:
- *               projectName:
+ *               url:
  *                 type: string
- *                 description: The name of the project to create
- *                 example: "My New Project"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [issue.created, issue.transitioned, issue.deleted]
+ *               active:
+ *                 type: boolean
+ *                 example: true
  *     responses:
- *       '201':
- *         description: Project created successfully
+ *       '200':
+ *         description: The changed subscription
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Project created successfully"
- *                 projectKey:
- *                   type: string
- *                   example: "PROJ"
+ *               $ref: '#/components/schemas/Subscription'
  *       '400':
- *         description: Bad Request - Missing project name
+ *         description: Bad Request - Invalid url, events or active, or a url on an internal host
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       '500':
- *         description: Internal Server Error
+ *       '404':
+ *         description: Not Found - No subscription with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a subscription
+ *     tags: [Subscriptions]
+ *     description: Deletes a subscription and drops its waiting retries
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '204':
+ *         description: Subscription deleted
+ *       '404':
+ *         description: Not Found - No subscription with this ID
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post("/projects", async (req, res) => {
-  const { projectName } = req.body;
+app.get("/subscriptions/:subscriptionId", (req, res) => {
+  const subscription = subscriptions.get(req.params.subscriptionId);
+  if (!subscription) {
+    return res.status(404).json({
+      message: "Subscription not found",
+    });
+  }
+  res.json(toSubscriptionResponse(subscription));
+});
 
-  if (!projectName) {
+app.patch("/subscriptions/:subscriptionId", async (req, res) => {
+  const { subscriptionId } = req.params;
+  const { url, events, active } = req.body || {};
+
+  if (!subscriptions.get(subscriptionId)) {
+    return res.status(404).json({
+      message: "Subscription not found",
+    });
+  }
+  const invalid = validateSubscription({ url, events }) || (url !== undefined && (await checkSubscriptionUrl(url)));
+  if (invalid) {
     return res.status(400).json({
-      message: "Project name is required",
+      message: `Bad Request. ${invalid}`,
+    });
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    return res.status(400).json({
+      message: "Bad Request. active must be true or false",
     });
   }
 
+  const changes = {};
+  if (url !== undefined) {
+    changes.url = url;
+  }
+  if (events !== undefined) {
+    changes.events = [...new Set(events)];
+  }
+  if (active === true) {
+    Object.assign(changes, { active: true, consecutiveFailures: 0, disabledAt: null, disabledReason: null });
+  } else if (active === false) {
+    Object.assign(changes, { active: false, disabledAt: new Date().toISOString(), disabledReason: "Disabled on request" });
+    eventPublisher.cancelRetries(subscriptionId);
+  }
+
   try {
-    const projectKey = await createProject(projectName);
-    res.status(201).json({
-      message: "Project created successfully",
-      projectKey: projectKey,
-    });
+    res.json(toSubscriptionResponse(subscriptions.update(subscriptionId, changes)));
   } catch (error) {
-    console.error("Error creating project:", error);
-    res.status(500).json({
-      message: "Error creating project",
-      error: error.message,
-    });
+    console.error("Error updating subscription:", error);
+    sendError(res, error, "Error updating subscription");
+  }
+});
+
+app.delete("/subscriptions/:subscriptionId", (req, res) => {
+  const { subscriptionId } = req.params;
+  try {
+    if (!subscriptions.remove(subscriptionId)) {
+      return res.status(404).json({
+        message: "Subscription not found",
+      });
+    }
+    eventPublisher.cancelRetries(subscriptionId);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting subscription:", error);
+    sendError(res, error, "Error deleting subscription");
   }
 });
 
 /**
  * @swagger
- * /users:
+ * /subscriptions/{subscriptionId}/deliveries:
  *   get:
- *     summary: Retrieve all users
- *     tags: [Users]
- *     description: Retrieves a list of users from JIRA
+ *     summary: List the recent callbacks of a subscription
+ *     tags: [Subscriptions]
+ *     description: Returns the recent delivery attempts of a subscription, newest first, with the status the URL answered or why the attempt failed. Every attempt is also appended to the delivery log file.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 50
+ *         required: false
  *     responses:
  *       '200':
- *         description: Successfully retrieved users
+ *         description: Recent delivery attempts
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
- *       '500':
- *         description: Internal Server Error
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SubscriptionDelivery'
+ *       '400':
+ *         description: Bad Request - Invalid limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '404':
+ *         description: Not Found - No subscription with this ID
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/users", async (req, res) => {
-  try {
-    const users = await getUsers();
-    res.json(users);
-  } catch (error) {
-    console.error("Error getting users:", error);
-    res.status(500).json({
-      message: "Error getting users",
-      error: error.message,
+app.get("/subscriptions/:subscriptionId/deliveries", (req, res) => {
+  const { subscriptionId } = req.params;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!subscriptions.get(subscriptionId)) {
+    return res.status(404).json({
+      message: "Subscription not found",
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      message: "limit must be an integer between 1 and 1000",
     });
   }
+
+  res.json({ deliveries: eventPublisher.deliveries(subscriptionId, limit) });
 });
 
 /**
@@ -763,8 +4441,23 @@ app.get("/", (req, res) => {
 });
 
 // --- Start Server ---
+const templates = loadTemplates();
+const webhookHandlers = loadWebhookHandlers();
+const subscriptionCount = subscriptions.load();
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
   console.log(`📚 API documentation is available at http://localhost:${PORT}/api-docs`);
   console.log(`🔧 JIRA Cloud REST API v3 Integration Ready`);
+  console.log(`📝 ${templates.length} issue template(s) loaded`);
+  console.log(`🪝 ${webhookHandlers.length} webhook handler(s) loaded`);
+  console.log(`📣 ${subscriptionCount} event subscription(s) loaded`);
+  if (!webhookSecretFromEnv()) {
+    console.log("🪝 JIRA_WEBHOOK_SECRET is not set, so POST /webhooks/jira refuses deliveries");
+  }
 });
+// The webhook log can be large, so it is read while the server already runs;
+// deliveries arriving meanwhile wait for it
+webhookEvents
+  .load()
+  .then((count) => console.log(`🪝 ${count} event(s) in the webhook log`))
+  .catch((error) => console.error("Error reading the webhook log:", error));
@@ -0,0 +1,24 @@
+/**
+ * Error thrown when an uploaded attachment is refused before it reaches JIRA
+ *
+ * Raised by attachment-upload.js while reading a multipart upload, when the
+ * request is not multipart, has no file, or a file is larger than the size
+ * limit or of a MIME type that is not allowed. `status` is the HTTP status
+ * the app answers with (400, 413 or 415).
+ */
+
+class AttachmentUploadError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} status - HTTP status for the response
+   * @param {object} [details] - Extra details for the response, e.g. { maxFileSize }
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = "AttachmentUploadError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = AttachmentUploadError;
@@ -0,0 +1,173 @@
+/**
+ * Multipart Attachment Uploads
+ *
+ * Reads the files of a multipart/form-data request one at a time and hands
+ * each one to a callback as a stream while it is still arriving, so uploads
+ * are passed on to JIRA without being held in memory or written to disk.
+ *
+ * Files are checked against limits set with env variables:
+ *
+ *   ATTACHMENT_MAX_FILE_SIZE  - Largest file in bytes (default 10 MB)
+ *   ATTACHMENT_MAX_FILES      - Most files in one request (default 10)
+ *   ATTACHMENT_ALLOWED_TYPES  - Comma-separated MIME types, e.g. "image/*,application/pdf"
+ *                               (default: any type)
+ *
+ * A file of a type that is not allowed is refused before its upload starts.
+ * A file that grows past the size limit aborts its upload, so JIRA never
+ * stores a truncated file. A refused file cancels the uploads still in
+ * progress; files JIRA has already stored stay attached.
+ */
+
+const busboy = require("busboy");
+const { PassThrough } = require("stream");
+const AttachmentUploadError = require("./attachment-upload-error");
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+
+/**
+ * Reads the upload limits from the env variables
+ * @returns {{maxFileSize: number, maxFiles: number, allowedTypes: Array<string>}}
+ */
+function uploadLimitsFromEnv() {
+  return {
+    maxFileSize: Number(process.env.ATTACHMENT_MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE,
+    maxFiles: Number(process.env.ATTACHMENT_MAX_FILES) || DEFAULT_MAX_FILES,
+    allowedTypes: (process.env.ATTACHMENT_ALLOWED_TYPES || "")
+      .split(",")
+      .map((type) => type.trim().toLowerCase())
+      .filter((type) => type !== ""),
+  };
+}
+
+/**
+ * Checks a MIME type against a list of allowed types
+ * @param {string} mimeType - e.g. "image/png"
+ * @param {Array<string>} allowedTypes - Types or wildcards like "image/*"; an empty list allows any type
+ * @returns {boolean}
+ */
+function isAllowedType(mimeType, allowedTypes) {
+  if (allowedTypes.length === 0) {
+    return true;
+  }
+  const type = String(mimeType || "").split(";")[0].trim().toLowerCase();
+  return allowedTypes.some(
+    (allowed) => allowed === type || (allowed.endsWith("/*") && type.startsWith(allowed.slice(0, -1))),
+  );
+}
+
+/**
+ * Streams every file of a multipart request to a callback. The callback is
+ * called as soon as a file starts arriving and must consume the stream. Its
+ * signal is aborted when the file, or the request, is refused.
+ * @param {object} req - Incoming request
+ * @param {function(stream: object, file: {filename: string, mimeType: string}, signal: AbortSignal): Promise<*>} onFile
+ *   Uploads one file, e.g. with addAttachment
+ * @param {object} [limits] - Defaults to the env settings, see uploadLimitsFromEnv
+ * @returns {Promise<Array<*>>} What onFile resolved to for each file
+ * @throws {AttachmentUploadError} When the request or a file breaks the limits
+ * @throws {Error} Whatever onFile rejected with
+ */
+function receiveUpload(req, onFile, limits = uploadLimitsFromEnv()) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        defParamCharset: "utf8",
+        limits: { fileSize: limits.maxFileSize, files: limits.maxFiles },
+      });
+    } catch (error) {
+      return reject(new AttachmentUploadError("Expected a multipart/form-data request with the files to upload", 400));
+    }
+
+    const uploads = [];
+    const aborts = [];
+    let failure = null;
+    let finished = false;
+
+    // Waits for the uploads that were started, then settles
+    const finish = async () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      const results = await Promise.allSettled(uploads);
+      if (failure) {
+        return reject(failure);
+      }
+      if (results.length === 0) {
+        return reject(new AttachmentUploadError("No file was uploaded", 400));
+      }
+      resolve(results.map((result) => result.value));
+    };
+
+    // Stops reading the request: files still arriving are aborted and the
+    // rest of the body is drained so a response can be sent
+    const fail = (error) => {
+      if (failure) {
+        return;
+      }
+      failure = error;
+      aborts.forEach((abort) => abort.abort(error));
+      req.unpipe(parser);
+      req.resume();
+      finish();
+    };
+
+    parser.on("file", (field, stream, info) => {
+      if (failure) {
+        return stream.resume();
+      }
+      if (!isAllowedType(info.mimeType, limits.allowedTypes)) {
+        stream.resume();
+        return fail(
+          new AttachmentUploadError(
+            `Files of type ${info.mimeType} are not allowed. Allowed types: ${limits.allowedTypes.join(", ")}`,
+            415,
+            { allowedTypes: limits.allowedTypes },
+          ),
+        );
+      }
+
+      const content = new PassThrough();
+      const abort = new AbortController();
+      aborts.push(abort);
+      stream.on("limit", () =>
+        fail(
+          new AttachmentUploadError(`${info.filename} is larger than ${limits.maxFileSize} bytes`, 413, {
+            maxFileSize: limits.maxFileSize,
+          }),
+        ),
+      );
+      stream.pipe(content);
+
+      uploads.push(
+        Promise.resolve()
+          .then(() => onFile(content, { filename: info.filename, mimeType: info.mimeType }, abort.signal))
+          .catch((error) => {
+            fail(failure || error);
+            throw failure;
+          }),
+      );
+    });
+    parser.on("filesLimit", () =>
+      fail(
+        new AttachmentUploadError(`At most ${limits.maxFiles} files can be uploaded at once`, 413, {
+          maxFiles: limits.maxFiles,
+        }),
+      ),
+    );
+    parser.on("error", (error) => fail(new AttachmentUploadError(`The upload could not be read: ${error.message}`, 400)));
+    parser.on("close", finish);
+    req.on("aborted", () => fail(new AttachmentUploadError("The upload was interrupted", 400)));
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  uploadLimitsFromEnv,
+  isAllowedType,
+  receiveUpload,
+};
@@ -0,0 +1,89 @@
+const deleteIssueByID = require("./delete-issue-by-id");
+const { JiraApiError } = require("./jira-client");
+const { DEFAULT_CONCURRENCY, runWithConcurrency, selectIssues } = require("./bulk-operations");
+
+//Deletes many issues using the Jira Cloud REST API
+//selection is { issueKeys: [...] } or { jql: "..." }
+//options:
+//  dryRun         - only work out what would happen, true unless set to false
+//  deleteSubtasks - also delete sub-tasks; without it Jira refuses to delete issues that have them
+//  concurrency    - how many issues are deleted at the same time
+//returns one result per issue:
+//  { key, summary, status, subtasks: [keys], ok: true }
+//  { key, summary, status, subtasks: [keys], ok: true, deletedWith: "PROJ-1" } - a sub-task deleted with its parent
+//  { key, summary, status, subtasks: [keys], ok: false, error }
+//ok means the issue can be deleted (dry run) or was deleted; a sub-task deleted
+//with its parent is ok only when the parent is. An unexpected error fails only
+//the issue it happened on, so the other issues still get their result
+async function bulkDeleteIssues(selection, options = {}) {
+  const { dryRun = true, deleteSubtasks = false, concurrency = DEFAULT_CONCURRENCY } = options;
+  const selected = await selectIssues(selection, ["summary", "status", "subtasks", "parent"], concurrency);
+  const selectedKeys = new Set(selected.filter(({ issue }) => issue).map(({ key }) => key));
+
+  const describe = (key, issue) => {
+    const fields = issue ? issue.fields : {};
+    return {
+      key,
+      summary: fields.summary || null,
+      status: fields.status ? fields.status.name : null,
+      subtasks: (fields.subtasks || []).map((subtask) => subtask.key),
+    };
+  };
+
+  const results = await runWithConcurrency(selected, concurrency, async ({ key, issue, error }) => {
+    const fields = issue ? issue.fields : {};
+    const result = describe(key, issue);
+    const { subtasks } = result;
+    if (error) {
+      return { ...result, ok: false, error: error.message };
+    }
+
+    // Deleting the parent removes its sub-tasks, so they are not deleted twice
+    const parentKey = fields.parent && fields.parent.key;
+    if (deleteSubtasks && parentKey && selectedKeys.has(parentKey)) {
+      const parent = selected.find((candidate) => candidate.key === parentKey);
+      if ((parent.issue.fields.subtasks || []).some((subtask) => subtask.key === key)) {
+        return { ...result, ok: true, deletedWith: parentKey };
+      }
+    }
+    if (subtasks.length > 0 && !deleteSubtasks) {
+      return {
+        ...result,
+        ok: false,
+        error: `${key} has ${subtasks.length} sub-task(s); set deleteSubtasks to delete them with it`,
+      };
+    }
+
+    if (!dryRun) {
+      try {
+        await deleteIssueByID(key, { deleteSubtasks });
+      } catch (deleteError) {
+        if (!(deleteError instanceof JiraApiError)) {
+          throw deleteError;
+        }
+        return { ...result, ok: false, error: deleteError.message };
+      }
+    }
+    return { ...result, ok: true };
+  }, (error, { key, issue }) => ({ ...describe(key, issue), ok: false, error: error.message }));
+
+  // Sub-tasks deleted with their parent share the parent's outcome
+  const resultsByKey = new Map(results.map((result) => [result.key, result]));
+  return results.map((result) => {
+    if (!result.deletedWith) {
+      return result;
+    }
+    const parent = resultsByKey.get(result.deletedWith);
+    if (parent.ok) {
+      return result;
+    }
+    const { deletedWith, ...rest } = result;
+    return {
+      ...rest,
+      ok: false,
+      error: `${result.key} is a sub-task of ${deletedWith}, which ${dryRun ? "cannot be" : "was not"} deleted: ${parent.error}`,
+    };
+  });
+}
+
+module.exports = bulkDeleteIssues;
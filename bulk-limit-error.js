@@ -0,0 +1,19 @@
+/**
+ * Error thrown when a bulk operation selects more issues than it may change
+ *
+ * Raised by bulk-operations.js before any issue is changed, when a JQL
+ * query matches more issues than one bulk request is allowed to handle.
+ */
+
+class BulkLimitError extends Error {
+  /**
+   * @param {number} limit - Most issues one bulk operation may change
+   */
+  constructor(limit) {
+    super(`The selection matches more than ${limit} issues; narrow it down and try again`);
+    this.name = "BulkLimitError";
+    this.limit = limit;
+  }
+}
+
+module.exports = BulkLimitError;
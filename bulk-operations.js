@@ -0,0 +1,101 @@
+/**
+ * Bulk Issue Operations
+ *
+ * Shared plumbing for bulk-transition-issues.js and bulk-delete-issues.js:
+ * selecting the issues to change, by key or with a JQL query, and running
+ * one JIRA request per issue with a limit on how many run at the same time,
+ * so a large cleanup does not trip JIRA's rate limits.
+ */
+
+const getIssueByID = require("./get-issue-by-id");
+const iterateIssues = require("./iterate-issues");
+const { JiraApiError } = require("./jira-client");
+const BulkLimitError = require("./bulk-limit-error");
+
+// Most issues one bulk operation may change
+const MAX_BULK_ISSUES = 1000;
+
+// Requests running at the same time, unless the caller asks for another number
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Runs an async task for every item, at most `concurrency` at a time. When a
+ * task throws, no further tasks are started; the running ones are waited for
+ * and then the first error is thrown, so nothing changes JIRA after it.
+ * With onError, a task that throws gets the result onError returns for it
+ * instead and the other items still run, so the caller always gets a result
+ * for every item.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {function(*, number): Promise<*>} task - Called with the item and its index
+ * @param {function(Error, *, number): *} [onError] - Called with the error, the item and its index
+ * @returns {Promise<Array>} The task results, in the order of the items
+ */
+async function runWithConcurrency(items, concurrency, task, onError) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await task(items[index], index);
+      } catch (error) {
+        if (onError) {
+          results[index] = onError(error, items[index], index);
+        } else {
+          failure = failure || { error };
+        }
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+/**
+ * Reads the issues a bulk operation applies to
+ * @param {object} selection - { issueKeys: ["PROJ-1", ...] } or { jql: "project = PROJ AND sprint in closedSprints()" }
+ * @param {Array<string>} fields - Fields to read for each issue
+ * @param {number} [concurrency] - Parallel requests when reading issues by key
+ * @returns {Promise<Array<{key: string, issue?: object, error?: JiraApiError}>>}
+ *   One entry per issue. Keys that do not exist carry the error instead of the issue.
+ * @throws {BulkLimitError} When the JQL query matches more than MAX_BULK_ISSUES issues
+ */
+async function selectIssues(selection, fields, concurrency = DEFAULT_CONCURRENCY) {
+  if (selection.jql) {
+    const selected = [];
+    for await (const issue of iterateIssues(undefined, { jql: selection.jql, fields, maxResults: 100 })) {
+      if (selected.length === MAX_BULK_ISSUES) {
+        throw new BulkLimitError(MAX_BULK_ISSUES);
+      }
+      selected.push({ key: issue.key, issue });
+    }
+    return selected;
+  }
+
+  const keys = [...new Set(selection.issueKeys.map((key) => key.trim().toUpperCase()))];
+  return runWithConcurrency(keys, concurrency, async (key) => {
+    try {
+      return { key, issue: await getIssueByID(key, { fields }) };
+    } catch (error) {
+      if (error instanceof JiraApiError && error.status === 404) {
+        return { key, error };
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  MAX_BULK_ISSUES,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  runWithConcurrency,
+  selectIssues,
+};
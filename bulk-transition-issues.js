@@ -0,0 +1,62 @@
+const updateStatus = require("./update-status");
+const { resolveTransition } = require("./transition-issue");
+const { JiraApiError } = require("./jira-client");
+const TransitionNotAvailableError = require("./transition-not-available-error");
+const { DEFAULT_CONCURRENCY, runWithConcurrency, selectIssues } = require("./bulk-operations");
+
+//Transitions many issues to the same status using the Jira Cloud REST API
+//selection is { issueKeys: [...] } or { jql: "..." }
+//target is { toStatus }, { transitionName } or { transitionId }, as for transitionIssue
+//options are those of updateStatus (resolution, fields, comment), plus:
+//  dryRun      - only work out what would happen, true unless set to false
+//  concurrency - how many issues are handled at the same time
+//returns one result per issue:
+//  { key, summary, status, ok: true, transition: { id, name, toStatus } }
+//  { key, summary, status, ok: false, error, availableTransitions }
+//ok means the transition is available (dry run) or was applied; an unexpected
+//error fails only the issue it happened on, so the other issues still get their result
+async function bulkTransitionIssues(selection, target, options = {}) {
+  const { dryRun = true, concurrency = DEFAULT_CONCURRENCY, ...transitionOptions } = options;
+  const selected = await selectIssues(selection, ["summary", "status"], concurrency);
+
+  const describe = (key, issue) => ({
+    key,
+    summary: issue ? issue.fields.summary : null,
+    status: issue && issue.fields.status ? issue.fields.status.name : null,
+  });
+
+  return runWithConcurrency(selected, concurrency, async ({ key, issue, error }) => {
+    const result = describe(key, issue);
+    if (error) {
+      return { ...result, ok: false, error: error.message };
+    }
+
+    let transition;
+    try {
+      const available = await resolveTransition(key, target);
+      transition = { id: available.id, name: available.name, toStatus: available.to ? available.to.name : undefined };
+    } catch (resolveError) {
+      if (resolveError instanceof TransitionNotAvailableError) {
+        return { ...result, ok: false, error: resolveError.message, availableTransitions: resolveError.availableTransitions };
+      }
+      if (resolveError instanceof JiraApiError) {
+        return { ...result, ok: false, error: resolveError.message };
+      }
+      throw resolveError;
+    }
+
+    if (!dryRun) {
+      try {
+        await updateStatus(key, transition.id, transitionOptions);
+      } catch (updateError) {
+        if (!(updateError instanceof JiraApiError)) {
+          throw updateError;
+        }
+        return { ...result, ok: false, transition, error: updateError.message, errors: updateError.errors };
+      }
+    }
+    return { ...result, ok: true, transition };
+  }, (error, { key, issue }) => ({ ...describe(key, issue), ok: false, error: error.message }));
+}
+
+module.exports = bulkTransitionIssues;
@@ -0,0 +1,58 @@
+const { getJiraClient } = require("./jira-client");
+const getIssueLinkTypes = require("./get-issue-link-types");
+const IssueLinkTypeNotFoundError = require("./issue-link-type-not-found-error");
+
+//Finds the link type for a relationship and the direction it is read in.
+//relationship is an outward description ("blocks"), an inward one
+//("is blocked by"), a link type name ("Blocks", read outward) or id.
+//Names and descriptions are compared case-insensitively.
+async function resolveLinkType(relationship) {
+  const { issueLinkTypes } = await getIssueLinkTypes();
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+  const byName = issueLinkTypes.find(
+    (linkType) => String(linkType.id) === String(relationship) || same(linkType.name, relationship),
+  );
+  if (byName) {
+    return { linkType: byName, direction: "outward" };
+  }
+  const outward = issueLinkTypes.find((linkType) => same(linkType.outward, relationship));
+  if (outward) {
+    return { linkType: outward, direction: "outward" };
+  }
+  const inward = issueLinkTypes.find((linkType) => same(linkType.inward, relationship));
+  if (inward) {
+    return { linkType: inward, direction: "inward" };
+  }
+  throw new IssueLinkTypeNotFoundError(relationship, issueLinkTypes);
+}
+
+//Links two issues using the Jira Cloud REST API so that the link reads
+//"<issueKey> <relationship> <otherIssueKey>", e.g.
+//createIssueLink("PROJ-1", "blocks", "PROJ-2") records that PROJ-1 blocks PROJ-2
+//returns the new link's id (when Jira reports it), its type and the relationship used
+//throws an IssueLinkTypeNotFoundError when no link type matches the relationship
+async function createIssueLink(issueKey, relationship, otherIssueKey) {
+  const { linkType, direction } = await resolveLinkType(relationship);
+
+  // Jira reads a link as "<inwardIssue> <outward description> <outwardIssue>"
+  const [inwardKey, outwardKey] = direction === "outward" ? [issueKey, otherIssueKey] : [otherIssueKey, issueKey];
+  const response = await getJiraClient().post("/rest/api/3/issueLink", {
+    type: { name: linkType.name },
+    inwardIssue: { key: inwardKey },
+    outwardIssue: { key: outwardKey },
+  });
+
+  // Jira answers 201 without a body; the new link is in the Location header
+  const location = response.headers && response.headers.location;
+  const link = {
+    id: location ? location.split("/").pop() : undefined,
+    type: linkType.name,
+    relationship: linkType[direction],
+    issueKey: otherIssueKey,
+  };
+  console.log(link);
+  return link;
+}
+
+module.exports = createIssueLink;
@@ -0,0 +1,101 @@
+const { getJiraClient, JiraApiError } = require("./jira-client");
+const { buildIssueFields } = require("./issue-fields");
+const ADFValidationError = require("./adf-validation-error");
+
+// Most issues Jira creates in one bulk request
+const BULK_CREATE_LIMIT = 50;
+
+//Result for an issue that was not created
+function failedResult(index, status, error, details = {}) {
+  return {
+    index,
+    created: false,
+    status,
+    error,
+    errorMessages: details.errorMessages || [],
+    errors: details.errors || {},
+    ...(details.adfErrors && { adfErrors: details.adfErrors }),
+  };
+}
+
+//Sends one chunk to the bulk endpoint and returns a result per issue in it.
+//Jira answers 201 when some issues were created and 400 when none were, with
+//the same body either way: the created issues in order, and an error per
+//failed issue pointing at its position in the request.
+async function createChunk(client, chunk) {
+  let body;
+  try {
+    const response = await client.post("/rest/api/3/issue/bulk", {
+      issueUpdates: chunk.map(({ fields }) => ({ fields })),
+    });
+    body = response.data;
+  } catch (error) {
+    if (!(error instanceof JiraApiError) || !error.body || !Array.isArray(error.body.errors)) {
+      // Nothing is known about the individual issues, e.g. Jira could not be reached
+      return chunk.map(({ index }) =>
+        failedResult(index, error.status || 502, error.message, {
+          errorMessages: error.errorMessages,
+          errors: error.errors,
+        }),
+      );
+    }
+    body = error.body;
+  }
+
+  const failures = new Map((body.errors || []).map((failure) => [failure.failedElementNumber, failure]));
+  const created = [...(body.issues || [])];
+  return chunk.map(({ index }, position) => {
+    const failure = failures.get(position);
+    if (failure) {
+      const elementErrors = failure.elementErrors || {};
+      const messages = [...(elementErrors.errorMessages || []), ...Object.values(elementErrors.errors || {})];
+      return failedResult(index, failure.status || 400, messages[0] || "Jira rejected the issue", elementErrors);
+    }
+    const issue = created.shift();
+    if (!issue) {
+      // Jira reported neither an issue nor an error for this position
+      return failedResult(index, 502, "Jira did not return the created issue");
+    }
+    return { index, created: true, id: issue.id, key: issue.key };
+  });
+}
+
+//Creates many issues with the Jira Cloud REST API bulk endpoint, 50 per request
+//issues is an array of { projectKey, issueType, summary, description, ...options }
+//where options are those of createIssue (descriptionFormat, labels, priority, parentKey, fields)
+//returns one result per issue, in the same order:
+//  { index, created: true, id, key }
+//  { index, created: false, status, error, errorMessages, errors } - status is the HTTP status of the failure
+//issues with an invalid ADF description fail (status 422, with adfErrors) without being sent to Jira,
+//and a failed request fails only the issues sent in it
+async function createIssuesBulk(issues) {
+  const client = getJiraClient();
+  const results = [];
+  const pending = [];
+
+  issues.forEach((issue, index) => {
+    const { projectKey, issueType, summary, description, ...options } = issue;
+    try {
+      pending.push({ index, fields: buildIssueFields(projectKey, issueType, summary, description, options, client.baseUrl) });
+    } catch (error) {
+      if (!(error instanceof ADFValidationError)) {
+        throw error;
+      }
+      results[index] = failedResult(index, 422, error.message, { adfErrors: error.errors });
+    }
+  });
+
+  for (let start = 0; start < pending.length; start += BULK_CREATE_LIMIT) {
+    const chunk = pending.slice(start, start + BULK_CREATE_LIMIT);
+    const chunkResults = await createChunk(client, chunk);
+    chunkResults.forEach((result) => {
+      results[result.index] = result;
+    });
+  }
+
+  const created = results.filter((result) => result.created).length;
+  console.log(`Bulk create: ${created} of ${issues.length} issues created`);
+  return results;
+}
+
+module.exports = createIssuesBulk;
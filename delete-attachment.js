@@ -0,0 +1,10 @@
+const { getJiraClient } = require("./jira-client");
+
+//Deletes an attachment using the Jira Cloud REST API
+async function deleteAttachment(attachmentId) {
+  const response = await getJiraClient().delete(`/rest/api/3/attachment/${attachmentId}`);
+  console.log(response.status);
+  return response.status;
+}
+
+module.exports = deleteAttachment;
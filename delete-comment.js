@@ -0,0 +1,10 @@
+const { getJiraClient } = require("./jira-client");
+
+//Deletes a comment from an issue using the Jira Cloud REST API
+async function deleteComment(issueKey, commentId) {
+  const response = await getJiraClient().delete(`/rest/api/3/issue/${issueKey}/comment/${commentId}`);
+  console.log(response.status);
+  return response.status;
+}
+
+module.exports = deleteComment;
@@ -1,33 +1,12 @@
-var axios = require("axios");
-require("dotenv").config();
-
-const username = process.env.ATLASSIAN_USERNAME;
-const password = process.env.ATLASSIAN_API_KEY;
-const domain = process.env.DOMAIN;
-
-const auth = {
-  username: username,
-  password: password,
-};
+const { getJiraClient } = require("./jira-client");
 
 //Deletes an issue by ID using the Jira Cloud REST API
-async function deleteIssueByID(issueKey) {
-  try {
-    const baseUrl = "https://" + domain + ".atlassian.net";
-
-    const config = {
-      method: "delete",
-      url: baseUrl + "/rest/api/3/issue/" + issueKey,
-      headers: { "Content-Type": "application/json" },
-      auth: auth,
-    };
-    const response = await axios.request(config);
-    console.log(response.data);
-    return response.data;
-  } catch (error) {
-    console.log("error: ");
-    console.log(error.response.data.errors);
-  }
+//Jira refuses to delete an issue that has sub-tasks unless options.deleteSubtasks is true
+async function deleteIssueByID(issueKey, options = {}) {
+  const config = options.deleteSubtasks ? { params: { deleteSubtasks: true } } : {};
+  const response = await getJiraClient().delete("/rest/api/3/issue/" + issueKey, config);
+  console.log(response.data);
+  return response.data;
 }
 
 module.exports = deleteIssueByID;
@@ -0,0 +1,11 @@
+const { getJiraClient } = require("./jira-client");
+
+//Deletes an issue link using the Jira Cloud REST API
+//the link disappears from both issues
+async function deleteIssueLink(linkId) {
+  const response = await getJiraClient().delete(`/rest/api/3/issueLink/${linkId}`);
+  console.log(response.status);
+  return response.status;
+}
+
+module.exports = deleteIssueLink;
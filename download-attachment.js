@@ -0,0 +1,16 @@
+const { getJiraClient } = require("./jira-client");
+
+//Downloads an attachment using the Jira Cloud REST API
+//returns the attachment metadata (filename, mimeType, size...) and a readable stream of its content,
+//which is read from Jira as the stream is consumed
+async function downloadAttachment(attachmentId) {
+  const client = getJiraClient();
+  const metadata = await client.get(`/rest/api/3/attachment/${attachmentId}`);
+  const content = await client.get(`/rest/api/3/attachment/content/${attachmentId}`, {
+    headers: { Accept: "*/*" },
+    responseType: "stream",
+  });
+  return { attachment: metadata.data, stream: content.data };
+}
+
+module.exports = downloadAttachment;
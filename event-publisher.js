@@ -0,0 +1,263 @@
+/**
+ * Outgoing Event Delivery
+ *
+ * Posts events to the URLs subscribed to them (see subscription-registry.js):
+ *
+ *   Body:    { id, type, timestamp, data }
+ *   Headers: X-Hub-Signature: sha256=<hex HMAC-SHA256 of the body with the subscription secret>
+ *            X-Event-Id, X-Event-Type and X-Delivery-Attempt
+ *
+ * A delivery succeeds when the URL answers with a 2xx status. Failed attempts
+ * are retried with exponential backoff. A subscription whose deliveries keep
+ * failing, with all their retries, is disabled until it is enabled again.
+ * Every attempt is appended to a delivery log. The retry queue is kept in
+ * memory, so retries still waiting when the app stops are dropped. Callbacks
+ * to internal hosts fail, see subscription-targets.js.
+ *
+ * Settings are read from env variables:
+ *
+ *   SUBSCRIPTION_DELIVERY_LOG        - Delivery log file (default data/subscription-deliveries.ndjson)
+ *   SUBSCRIPTION_MAX_ATTEMPTS        - Attempts per delivery (default 5)
+ *   SUBSCRIPTION_RETRY_BASE_DELAY_MS - Wait before the first retry, doubled for each next one (default 30000)
+ *   SUBSCRIPTION_DISABLE_AFTER       - Failed deliveries in a row that disable a subscription (default 3)
+ *   SUBSCRIPTION_TIMEOUT_MS          - How long a URL has to answer (default 10000)
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { checkSubscriptionUrl, callbackAgents } = require("./subscription-targets");
+
+const DEFAULT_DELIVERY_LOG = path.join(__dirname, "data", "subscription-deliveries.ndjson");
+
+// Deliveries kept in memory for listing
+const MAX_RECENT_DELIVERIES = 1000;
+
+/**
+ * Reads the delivery settings from the env variables
+ * @returns {{deliveryLog: string, maxAttempts: number, retryBaseDelay: number, disableAfter: number, timeout: number}}
+ */
+function deliverySettingsFromEnv() {
+  return {
+    deliveryLog: process.env.SUBSCRIPTION_DELIVERY_LOG || DEFAULT_DELIVERY_LOG,
+    maxAttempts: Number(process.env.SUBSCRIPTION_MAX_ATTEMPTS) || 5,
+    retryBaseDelay: Number(process.env.SUBSCRIPTION_RETRY_BASE_DELAY_MS) || 30000,
+    disableAfter: Number(process.env.SUBSCRIPTION_DISABLE_AFTER) || 3,
+    timeout: Number(process.env.SUBSCRIPTION_TIMEOUT_MS) || 10000,
+  };
+}
+
+/**
+ * Signs a callback body
+ * @param {string} body
+ * @param {string} secret
+ * @returns {string} X-Hub-Signature header value
+ */
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+class EventPublisher {
+  /**
+   * @param {object} registry - SubscriptionRegistry
+   * @param {object} [settings] - Defaults to the env settings, see deliverySettingsFromEnv
+   */
+  constructor(registry, settings = deliverySettingsFromEnv()) {
+    this.registry = registry;
+    this.settings = settings;
+    this.recent = [];
+    // Waiting retries by subscription id
+    this.retries = new Map();
+  }
+
+  /**
+   * Sends an event to every active subscription to its type. Returns at once;
+   * deliveries and their retries happen in the background.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {object} data - Details of the event, e.g. { issue: { key: "PROJ-123" } }
+   * @returns {object} The event
+   */
+  publish(type, data) {
+    const event = { id: crypto.randomUUID(), type, timestamp: new Date().toISOString(), data };
+    this.registry.subscribedTo(type).forEach((subscription) => {
+      this.deliver(subscription.id, event, 1);
+    });
+    return event;
+  }
+
+  /**
+   * Starts a delivery attempt in the background. Nothing waits for it, so
+   * errors it throws, e.g. when the registry cannot be saved, are logged here.
+   * @param {string} subscriptionId
+   * @param {object} event
+   * @param {number} attempt - From 1
+   */
+  deliver(subscriptionId, event, attempt) {
+    this.attempt(subscriptionId, event, attempt).catch((error) =>
+      console.error(`Error delivering event ${event.id} to subscription ${subscriptionId}:`, error),
+    );
+  }
+
+  /**
+   * Makes one delivery attempt and schedules the next one when it fails
+   * @param {string} subscriptionId
+   * @param {object} event
+   * @param {number} attempt - From 1
+   */
+  async attempt(subscriptionId, event, attempt) {
+    const subscription = this.registry.get(subscriptionId);
+    if (!subscription || !subscription.active) {
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const refused = await checkSubscriptionUrl(subscription.url);
+      if (refused) {
+        throw new Error(refused);
+      }
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Hub-Signature": signBody(body, subscription.secret),
+          "X-Event-Id": event.id,
+          "X-Event-Type": event.type,
+          "X-Delivery-Attempt": String(attempt),
+        },
+        timeout: this.settings.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...callbackAgents,
+      });
+      status = response.status;
+      if (status < 200 || status >= 300) {
+        error = `The URL answered ${status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const ok = error === null;
+    this.record({
+      id: crypto.randomUUID(),
+      subscriptionId,
+      eventId: event.id,
+      eventType: event.type,
+      attempt,
+      ok,
+      status,
+      error,
+      durationMs: Date.now() - started,
+      at: new Date().toISOString(),
+    });
+
+    // Read again: other deliveries may have changed the subscription meanwhile
+    const current = this.registry.get(subscriptionId);
+    if (!current) {
+      return;
+    }
+    if (ok) {
+      if (current.consecutiveFailures > 0) {
+        this.registry.update(subscriptionId, { consecutiveFailures: 0 });
+      }
+      return;
+    }
+    if (attempt < this.settings.maxAttempts) {
+      return this.scheduleRetry(subscriptionId, event, attempt + 1);
+    }
+
+    if (!current.active) {
+      return;
+    }
+    const consecutiveFailures = current.consecutiveFailures + 1;
+    if (consecutiveFailures >= this.settings.disableAfter) {
+      console.error(`Disabling subscription ${subscriptionId}: ${consecutiveFailures} deliveries in a row failed`);
+      this.cancelRetries(subscriptionId);
+      this.registry.update(subscriptionId, {
+        consecutiveFailures,
+        active: false,
+        disabledAt: new Date().toISOString(),
+        disabledReason: `${consecutiveFailures} deliveries in a row failed after ${this.settings.maxAttempts} attempts each. Last error: ${error}`,
+      });
+    } else {
+      this.registry.update(subscriptionId, { consecutiveFailures });
+    }
+  }
+
+  /**
+   * @param {string} subscriptionId
+   * @param {object} event
+   * @param {number} attempt - The attempt to make
+   */
+  scheduleRetry(subscriptionId, event, attempt) {
+    const delay = this.settings.retryBaseDelay * 2 ** (attempt - 2);
+    const retries = this.retries.get(subscriptionId) || new Set();
+    const timer = setTimeout(() => {
+      retries.delete(timer);
+      this.deliver(subscriptionId, event, attempt);
+    }, delay);
+    // Waiting retries do not keep the process alive
+    timer.unref();
+    retries.add(timer);
+    this.retries.set(subscriptionId, retries);
+  }
+
+  /**
+   * Drops the waiting retries of a subscription, e.g. when it is deleted
+   * @param {string} subscriptionId
+   */
+  cancelRetries(subscriptionId) {
+    (this.retries.get(subscriptionId) || []).forEach((timer) => clearTimeout(timer));
+    this.retries.delete(subscriptionId);
+  }
+
+  /**
+   * @param {string} subscriptionId
+   * @returns {number} Number of retries waiting
+   */
+  pendingRetries(subscriptionId) {
+    return (this.retries.get(subscriptionId) || new Set()).size;
+  }
+
+  /**
+   * Keeps a delivery attempt in memory and appends it to the delivery log
+   * @param {object} delivery
+   */
+  record(delivery) {
+    this.recent.push(delivery);
+    if (this.recent.length > MAX_RECENT_DELIVERIES) {
+      this.recent.shift();
+    }
+    const file = this.settings.deliveryLog;
+    fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.appendFile(file, JSON.stringify(delivery) + "\n"))
+      .catch((error) => console.error("Error writing the delivery log:", error.message));
+  }
+
+  /**
+   * Lists the recent delivery attempts of a subscription, newest first
+   * @param {string} subscriptionId
+   * @param {number} [limit]
+   * @returns {Array<object>}
+   */
+  deliveries(subscriptionId, limit = 50) {
+    const deliveries = [];
+    for (let index = this.recent.length - 1; index >= 0 && deliveries.length < limit; index--) {
+      if (this.recent[index].subscriptionId === subscriptionId) {
+        deliveries.push(this.recent[index]);
+      }
+    }
+    return deliveries;
+  }
+}
+
+module.exports = {
+  EventPublisher,
+  deliverySettingsFromEnv,
+  signBody,
+};
@@ -0,0 +1,10 @@
+const { getJiraClient } = require("./jira-client");
+
+//Finds users by name or email address using Jira Cloud REST API
+//query matches the start of the display name or email address, e.g. "jane@example.com"
+async function findUsers(query) {
+  const response = await getJiraClient().get("/rest/api/3/user/search", { params: { query } });
+  return response.data;
+}
+
+module.exports = findUsers;
@@ -0,0 +1,14 @@
+const { getJiraClient } = require("./jira-client");
+
+//Lists the attachments of an issue using the Jira Cloud REST API
+//returns their metadata (id, filename, size, mimeType, author, created...), not their content
+async function getAttachments(issueKey) {
+  const response = await getJiraClient().get(`/rest/api/3/issue/${issueKey}`, {
+    params: { fields: "attachment" },
+  });
+  const attachments = response.data.fields.attachment || [];
+  console.log(attachments);
+  return attachments;
+}
+
+module.exports = getAttachments;
@@ -0,0 +1,19 @@
+const { getJiraClient } = require("./jira-client");
+
+//Gets one page of the comments on an issue using the Jira Cloud REST API
+//options.startAt / options.maxResults page through the comments and
+//options.orderBy sorts them ("created" oldest first, "-created" newest first)
+async function getComments(issueKey, options = {}) {
+  const { startAt = 0, maxResults = 50, orderBy } = options;
+
+  const params = { startAt, maxResults };
+  if (orderBy) {
+    params.orderBy = orderBy;
+  }
+
+  const response = await getJiraClient().get(`/rest/api/3/issue/${issueKey}/comment`, { params });
+  console.log(response.data);
+  return response.data;
+}
+
+module.exports = getComments;
@@ -0,0 +1,10 @@
+const { getJiraClient } = require("./jira-client");
+
+//Gets the system and custom fields of the site using Jira Cloud REST API
+//each field has an id (e.g. "customfield_10020"), a name (e.g. "Sprint") and a schema
+async function getFields() {
+  const response = await getJiraClient().get("/rest/api/3/field");
+  return response.data;
+}
+
+module.exports = getFields;
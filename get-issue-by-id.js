@@ -1,33 +1,20 @@
-var axios = require("axios");
-require("dotenv").config();
+const { getJiraClient } = require("./jira-client");
 
-const username = process.env.ATLASSIAN_USERNAME;
-const password = process.env.ATLASSIAN_API_KEY;
-const domain = process.env.DOMAIN;
-
-const auth = {
-  username: username,
-  password: password,
-};
-
-//Gets all issues in a particular project using the Jira Cloud REST API
-async function getIssueByID(issueKey) {
-  try {
-    const baseUrl = "https://" + domain + ".atlassian.net";
-
-    const config = {
-      method: "get",
-      url: baseUrl + "/rest/api/3/issue/" + issueKey,
-      headers: { "Content-Type": "application/json" },
-      auth: auth,
-    };
-    const response = await axios.request(config);
-    console.log(response.data);
-    return response.data;
-  } catch (error) {
-    console.log("error: ", error);
-    console.log(error.response.data.errors);
+//Gets a single issue by key or ID using the Jira Cloud REST API
+//options.fields limits the returned fields (e.g. ["summary", "status"]) and
+//options.expand adds extra data (e.g. ["renderedFields", "changelog"])
+async function getIssueByID(issueKey, options = {}) {
+  const params = {};
+  if (options.fields && options.fields.length > 0) {
+    params.fields = options.fields.join(",");
   }
+  if (options.expand && options.expand.length > 0) {
+    params.expand = options.expand.join(",");
+  }
+
+  const response = await getJiraClient().get("/rest/api/3/issue/" + issueKey, { params });
+  console.log(response.data);
+  return response.data;
 }
 
 module.exports = getIssueByID;
@@ -0,0 +1,16 @@
+const iterateIssues = require("./iterate-issues");
+
+//Gets every child of an issue: the sub-tasks of a task or story, or the
+//issues in an epic. Jira Cloud links both through the parent field, so a
+//single "parent = <issueKey>" search finds them.
+//options.fields picks the fields returned for each child
+async function getIssueChildren(issueKey, options = {}) {
+  const children = [];
+  const search = { ...options, maxResults: 100, filters: { parent: issueKey, orderBy: "key" } };
+  for await (const issue of iterateIssues(undefined, search)) {
+    children.push(issue);
+  }
+  return children;
+}
+
+module.exports = getIssueChildren;
@@ -0,0 +1,12 @@
+const { getJiraClient } = require("./jira-client");
+
+//Lists the issue link types configured on the site using the Jira Cloud REST API
+//each has a name ("Blocks") and the relationship seen from either issue:
+//outward ("blocks") and inward ("is blocked by")
+async function getIssueLinkTypes() {
+  const response = await getJiraClient().get("/rest/api/3/issueLinkType");
+  console.log(response.data);
+  return response.data;
+}
+
+module.exports = getIssueLinkTypes;
@@ -0,0 +1,21 @@
+const { getJiraClient } = require("./jira-client");
+
+//Lists the links of an issue using the Jira Cloud REST API
+//each link is described from this issue's side:
+//  { id, type: "Blocks", relationship: "is blocked by", issue: { key, fields: { summary, status, ... } } }
+//meaning "<issueKey> is blocked by <issue.key>"
+async function getIssueLinks(issueKey) {
+  const response = await getJiraClient().get(`/rest/api/3/issue/${issueKey}`, {
+    params: { fields: "issuelinks" },
+  });
+  const links = (response.data.fields.issuelinks || []).map((link) => ({
+    id: link.id,
+    type: link.type.name,
+    relationship: link.outwardIssue ? link.type.outward : link.type.inward,
+    issue: link.outwardIssue || link.inwardIssue,
+  }));
+  console.log(links);
+  return links;
+}
+
+module.exports = getIssueLinks;
@@ -1,34 +1,33 @@
-var axios = require("axios");
-require("dotenv").config();
+const { getJiraClient } = require("./jira-client");
+const { buildIssueSearchJql } = require("./jql-builder");
 
-const username = process.env.ATLASSIAN_USERNAME;
-const password = process.env.ATLASSIAN_API_KEY;
-const domain = process.env.DOMAIN;
+// Fields returned for each issue unless the caller asks for others. The
+// enhanced search endpoint only returns issue ids when no fields are requested.
+const DEFAULT_FIELDS = ["*navigable"];
 
-const auth = {
-  username: username,
-  password: password,
-};
+//Gets one page of issues in a particular project using the Jira Cloud REST API
+//enhanced JQL search. Pass the nextPageToken of the previous page to get the
+//next one; isLast is true on the final page.
+//options.filters narrows the search (see jql-builder.js); options.jql replaces
+//the built query entirely and should be checked with validateJql first.
+async function getIssues(projectId, options = {}) {
+  const { maxResults = 50, nextPageToken, fields = DEFAULT_FIELDS, filters = {} } = options;
 
-//Gets all issues in a particular project using the Jira Cloud REST API
-async function getIssues(projectId) {
-  try {
-    const baseUrl = "https://" + domain + ".atlassian.net";
-
-    const config = {
-      method: "get",
-      url: baseUrl + "/rest/api/3/search?jql=project=" + projectId,
-      headers: { "Content-Type": "application/json" },
-      auth: auth,
-    };
-    console.log(config);
-    const response = await axios.request(config);
-    console.log(response.data);
-    return response.data;
-  } catch (error) {
-    console.log("error: ");
-    console.log(error.response.data.errors);
+  const params = {
+    jql: options.jql || buildIssueSearchJql({ project: projectId, ...filters }),
+    maxResults,
+    fields: fields.join(","),
+  };
+  if (nextPageToken) {
+    params.nextPageToken = nextPageToken;
   }
+
+  const response = await getJiraClient().get("/rest/api/3/search/jql", { params });
+  return {
+    issues: response.data.issues,
+    nextPageToken: response.data.nextPageToken,
+    isLast: response.data.isLast !== false || !response.data.nextPageToken,
+  };
 }
 
 module.exports = getIssues;
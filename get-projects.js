@@ -1,35 +1,11 @@
-var axios = require('axios');
-require('dotenv').config();
-
-const username = process.env.ATLASSIAN_USERNAME
-const password = process.env.ATLASSIAN_API_KEY
-const domain = process.env.DOMAIN
-
-const auth = {
-  username: username,
-  password: password
-};
+const { getJiraClient } = require('./jira-client');
 
 //Gets all issues in a particular project using the Jira Cloud REST API
 async function getProjects() {
 
-  try {
-
-    const baseUrl = 'https://' + domain + '.atlassian.net';
-
-    const config = {
-      method: 'get',
-      url: baseUrl + '/rest/api/3/project/recent',
-      headers: { 'Content-Type': 'application/json' },
-      auth: auth
-    };
-    const response = await axios.request(config);
-    console.log(response.data)
-    return response.data;
-  } catch (error) {
-    console.log('error: ')
-    console.log(error.response.data.errors)
-  }
+  const response = await getJiraClient().get('/rest/api/3/project/recent');
+  console.log(response.data)
+  return response.data;
 }
 
-module.exports = getProjects;
\ No newline at end of file
+module.exports = getProjects;
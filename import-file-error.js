@@ -0,0 +1,21 @@
+/**
+ * Error thrown when an import file cannot be used at all
+ *
+ * Raised by issue-import.js when the CSV or JSON cannot be parsed, has no
+ * rows, or the field mapping names a column the file does not have. Problems
+ * with single rows do not throw; they are reported row by row instead.
+ */
+
+class ImportFileError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {object} [details] - Extra details for the response, e.g. { columns }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ImportFileError";
+    this.details = details;
+  }
+}
+
+module.exports = ImportFileError;
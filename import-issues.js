@@ -0,0 +1,137 @@
+const { getJiraClient } = require("./jira-client");
+const createIssuesBulk = require("./create-issues-bulk");
+const findUsers = require("./find-users");
+const { buildIssueFields } = require("./issue-fields");
+const ADFValidationError = require("./adf-validation-error");
+const { resolveMapping, readImportRow, rowFingerprint } = require("./issue-import");
+const { DEFAULT_CONCURRENCY, runWithConcurrency } = require("./bulk-operations");
+
+//Looks up the account of every assignee email address
+//returns a Map of lower-cased email to { accountId } or { error }
+async function lookUpAssignees(emails) {
+  const accounts = new Map();
+  await runWithConcurrency(emails, DEFAULT_CONCURRENCY, async (email) => {
+    const users = await findUsers(email);
+    // The search matches prefixes of names and addresses too, so only a user
+    // whose address (or account id) is exactly the one searched for is taken
+    const matches = users.filter(
+      (user) => (user.emailAddress && user.emailAddress.toLowerCase() === email) || user.accountId === email,
+    );
+    if (matches.length === 1) {
+      accounts.set(email, { accountId: matches[0].accountId });
+    } else if (matches.length > 1) {
+      accounts.set(email, { error: `${email} matches several Jira users` });
+    } else if (users.some((user) => !user.emailAddress)) {
+      accounts.set(email, {
+        error: `No Jira user shows the email address ${email}; users who hide their email address cannot be matched`,
+      });
+    } else {
+      accounts.set(email, { error: `No Jira user has the email address ${email}` });
+    }
+  });
+  return accounts;
+}
+
+//Imports issues from the rows of a CSV or JSON file (see issue-import.js) using the Jira Cloud REST API
+//options:
+//  projectKey        - project the issues are created in
+//  mapping           - { field: column }, see issue-import.js
+//  defaults          - values for empty cells: issueType, priority, and labels added to every issue
+//  descriptionFormat - "text" or "markdown" (default "text"), converted to ADF
+//  dryRun            - only check the rows
+//  skipInvalid       - create the valid rows even when some rows are invalid
+//  previousReport    - the report of an earlier run of the same file; the rows it created are skipped
+//every row is checked, including its assignee, before any issue is created,
+//and unless skipInvalid is set nothing is created when a row is invalid
+//returns { dryRun, total, created, skipped, invalid, failed, results } with one result per row:
+//  { row, fingerprint, status: "created", key, summary, issueType }
+//  { row, fingerprint, status: "skipped", key } - created by the previous run
+//  { row, fingerprint, status: "valid" } - checked, but not created (dry run, or other rows are invalid)
+//  { row, fingerprint, status: "invalid", errors } - errors by field
+//  { row, fingerprint, status: "failed", error, errors } - rejected by Jira
+//rows are numbered from 1, not counting the header line of a CSV file
+async function importIssues(rows, options = {}) {
+  const { projectKey, defaults = {}, descriptionFormat = "text", dryRun = false, skipInvalid = false } = options;
+  const client = getJiraClient();
+  const mapping = resolveMapping(rows, options.mapping);
+
+  // Keys created by the previous run, by fingerprint; identical rows are matched in order
+  const imported = new Map();
+  const previousResults = (options.previousReport && options.previousReport.results) || [];
+  previousResults
+    .filter((result) => result && result.key && (result.status === "created" || result.status === "skipped"))
+    .forEach((result) => imported.set(result.fingerprint, [...(imported.get(result.fingerprint) || []), result.key]));
+
+  const entries = rows.map((row, index) => {
+    const fingerprint = rowFingerprint(row);
+    const keys = imported.get(fingerprint);
+    if (keys && keys.length > 0) {
+      return { result: { row: index + 1, fingerprint, status: "skipped", key: keys.shift() } };
+    }
+    return { result: { row: index + 1, fingerprint }, ...readImportRow(row, mapping, defaults) };
+  });
+  const pending = entries.filter((entry) => !entry.result.status);
+
+  const emails = [...new Set(pending.filter((entry) => entry.assignee).map((entry) => entry.assignee.toLowerCase()))];
+  const accounts = await lookUpAssignees(emails);
+
+  pending.forEach((entry) => {
+    const { issue, errors } = entry;
+    if (entry.assignee && !errors.assignee) {
+      const account = accounts.get(entry.assignee.toLowerCase());
+      if (account.error) {
+        errors.assignee = account.error;
+      } else {
+        issue.fields = { assignee: { accountId: account.accountId } };
+      }
+    }
+    issue.projectKey = projectKey;
+    issue.descriptionFormat = descriptionFormat;
+    if (!errors.description) {
+      try {
+        buildIssueFields(projectKey, issue.issueType, issue.summary, issue.description, issue, client.baseUrl);
+      } catch (error) {
+        if (!(error instanceof ADFValidationError)) {
+          throw error;
+        }
+        errors.description = error.message;
+      }
+    }
+    entry.result.status = Object.keys(errors).length > 0 ? "invalid" : "valid";
+    if (entry.result.status === "invalid") {
+      entry.result.errors = errors;
+    }
+  });
+
+  const valid = pending.filter((entry) => entry.result.status === "valid");
+  const hasInvalid = valid.length < pending.length;
+  if (!dryRun && valid.length > 0 && (skipInvalid || !hasInvalid)) {
+    const created = await createIssuesBulk(valid.map((entry) => entry.issue));
+    created.forEach((outcome, position) => {
+      const { result, issue } = valid[position];
+      if (outcome.created) {
+        Object.assign(result, { status: "created", key: outcome.key, summary: issue.summary, issueType: issue.issueType });
+      } else {
+        Object.assign(result, { status: "failed", error: outcome.error, errors: outcome.errors });
+      }
+    });
+  }
+
+  const results = entries.map((entry) => entry.result);
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const report = {
+    dryRun,
+    total: results.length,
+    created: count("created"),
+    skipped: count("skipped"),
+    invalid: count("invalid"),
+    failed: count("failed"),
+    results,
+  };
+  console.log(
+    `Import into ${projectKey}: ${report.created} created, ${report.skipped} skipped, ${report.invalid} invalid, ${report.failed} failed`,
+  );
+  return report;
+}
+
+module.exports = importIssues;
@@ -0,0 +1,21 @@
+/**
+ * Error for a request body the app cannot use
+ *
+ * Raised by the routes in app.js when a field of the request has the wrong
+ * type or is missing, before anything is sent to JIRA. sendError answers it
+ * with 400.
+ */
+
+class InvalidRequestError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {object} [details] - Extra details for the response, e.g. { fields }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "InvalidRequestError";
+    this.details = details;
+  }
+}
+
+module.exports = InvalidRequestError;
@@ -0,0 +1,243 @@
+/**
+ * Issue Export
+ *
+ * Flattens issues into rows of chosen columns and writes them as CSV, as a
+ * JSON array or as NDJSON (one JSON object per line). Issues are written one
+ * at a time while they are read page by page, so exporting a large project
+ * does not hold it in memory.
+ *
+ * A column is one of the built-in columns below, or any JIRA field by id
+ * ("customfield_10016") or by name ("Story point estimate"). Field values are
+ * flattened: users, statuses and options become their names, rich text
+ * becomes plain text and lists become lists of those. In CSV, lists are
+ * joined with ", ".
+ */
+
+const { once } = require("events");
+const { adfToText } = require("./adf-utils");
+
+const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Schema of JIRA's sprint custom field, whose id differs from site to site
+const SPRINT_FIELD_TYPE = "com.pyxis.greenhopper.jira:gh-sprint";
+
+/**
+ * Flattens a field value: objects become their display name, name, value or
+ * key, ADF documents become plain text and lists are flattened item by item
+ * @param {*} value - Field value as returned by JIRA
+ * @returns {string|number|boolean|Array|null}
+ */
+function flattenValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(flattenValue).filter((item) => item !== null);
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (value.type === "doc") {
+    return adfToText(value);
+  }
+  for (const name of ["displayName", "name", "value", "key", "id"]) {
+    if (value[name] !== undefined && value[name] !== null) {
+      return value[name];
+    }
+  }
+  return JSON.stringify(value);
+}
+
+// Built-in columns: the JIRA fields each one needs and how its value is read
+const BUILT_IN_COLUMNS = {
+  key: { fields: [], value: (issue) => issue.key },
+  id: { fields: [], value: (issue) => issue.id },
+  project: { fields: ["project"], value: (issue, fields) => (fields.project ? fields.project.key : null) },
+  summary: { fields: ["summary"], value: (issue, fields) => fields.summary },
+  description: { fields: ["description"], value: (issue, fields) => flattenValue(fields.description) || "" },
+  issueType: { fields: ["issuetype"], value: (issue, fields) => flattenValue(fields.issuetype) },
+  status: { fields: ["status"], value: (issue, fields) => flattenValue(fields.status) },
+  statusCategory: {
+    fields: ["status"],
+    value: (issue, fields) => (fields.status && fields.status.statusCategory ? fields.status.statusCategory.name : null),
+  },
+  resolution: { fields: ["resolution"], value: (issue, fields) => flattenValue(fields.resolution) },
+  priority: { fields: ["priority"], value: (issue, fields) => flattenValue(fields.priority) },
+  assignee: { fields: ["assignee"], value: (issue, fields) => flattenValue(fields.assignee) },
+  reporter: { fields: ["reporter"], value: (issue, fields) => flattenValue(fields.reporter) },
+  labels: { fields: ["labels"], value: (issue, fields) => fields.labels || [] },
+  components: { fields: ["components"], value: (issue, fields) => flattenValue(fields.components) || [] },
+  fixVersions: { fields: ["fixVersions"], value: (issue, fields) => flattenValue(fields.fixVersions) || [] },
+  parent: { fields: ["parent"], value: (issue, fields) => (fields.parent ? fields.parent.key : null) },
+  duedate: { fields: ["duedate"], value: (issue, fields) => fields.duedate },
+  created: { fields: ["created"], value: (issue, fields) => fields.created },
+  updated: { fields: ["updated"], value: (issue, fields) => fields.updated },
+  resolutiondate: { fields: ["resolutiondate"], value: (issue, fields) => fields.resolutiondate },
+};
+
+// Columns exported when none are chosen
+const DEFAULT_EXPORT_COLUMNS = [
+  "key",
+  "summary",
+  "issueType",
+  "status",
+  "priority",
+  "assignee",
+  "reporter",
+  "labels",
+  "parent",
+  "sprint",
+  "created",
+  "updated",
+];
+
+// Default columns left out on sites without the field, e.g. without Jira Software's sprints
+const OPTIONAL_DEFAULT_COLUMNS = ["sprint"];
+
+/**
+ * Tells whether the JIRA field list is needed to resolve the columns, i.e.
+ * when a column is the sprint or a field that is not built in
+ * @param {Array<string>} columns
+ * @returns {boolean}
+ */
+function needsFieldList(columns) {
+  return columns.some((column) => !BUILT_IN_COLUMNS[column]);
+}
+
+/**
+ * Works out how to read every column
+ * @param {Array<string>} columns - Column names, see the module description
+ * @param {Array<object>} [jiraFields] - Fields from getFields, needed when needsFieldList is true
+ * @param {Array<string>} [optional] - Columns left out, instead of reported unknown, when they match no field
+ * @returns {{columns: Array<{name: string, fields: Array<string>, value: function}>, unknown: Array<string>}}
+ *   The resolved columns, and the names that match no column or field
+ */
+function resolveColumns(columns, jiraFields = [], optional = []) {
+  const resolved = [];
+  const unknown = [];
+  columns.forEach((name) => {
+    if (BUILT_IN_COLUMNS[name]) {
+      return resolved.push({ name, ...BUILT_IN_COLUMNS[name] });
+    }
+    const field =
+      name === "sprint"
+        ? jiraFields.find((candidate) => candidate.schema && candidate.schema.custom === SPRINT_FIELD_TYPE)
+        : jiraFields.find(
+            (candidate) => candidate.id === name || String(candidate.name).toLowerCase() === name.toLowerCase(),
+          );
+    if (!field) {
+      return optional.includes(name) ? undefined : unknown.push(name);
+    }
+    resolved.push({ name, fields: [field.id], value: (issue, fields) => flattenValue(fields[field.id]) });
+  });
+  return { columns: resolved, unknown };
+}
+
+/**
+ * @param {Array<object>} columns - Resolved columns
+ * @returns {Array<string>} The JIRA fields to request for them
+ */
+function exportFields(columns) {
+  const fields = [...new Set(columns.flatMap((column) => column.fields))];
+  // Without any field the search returns issue ids only, not keys
+  return fields.length > 0 ? fields : ["summary"];
+}
+
+/**
+ * Flattens an issue into an object keyed by column name
+ * @param {object} issue - Issue as returned by the JIRA REST API
+ * @param {Array<object>} columns - Resolved columns
+ * @returns {object}
+ */
+function toExportRow(issue, columns) {
+  const fields = issue.fields || {};
+  return Object.fromEntries(columns.map((column) => [column.name, column.value(issue, fields) ?? null]));
+}
+
+/**
+ * Quotes a CSV cell when it holds a separator, a quote or a line break.
+ * Text that spreadsheets would run as a formula (starting with =, +, -, @,
+ * a tab or a carriage return) is prefixed with ' and quoted.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join(", ") : value === null || value === undefined ? "" : String(value);
+  const formula = typeof value !== "number" && /^[=+\-@\t\r]/.test(text);
+  if (formula) {
+    text = `'${text}`;
+  }
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes issues to a stream in an export format. Nothing is written before
+ * the first issue has been read, so an error from the first page can still
+ * be answered with a normal error response.
+ * @param {AsyncIterable<object>} issues - E.g. iterateIssues(projectId, { fields: exportFields(columns) })
+ * @param {object} output - Writable stream, e.g. an Express response
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Array<object>} columns - Resolved columns
+ * @returns {Promise<number>} Number of issues written; stops early when the output is closed
+ */
+async function writeExport(issues, output, format, columns) {
+  const write = async (chunk) => {
+    if (output.destroyed) {
+      return;
+    }
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, "drain"), once(output, "close")]);
+    }
+  };
+
+  const iterator = issues[Symbol.asyncIterator]();
+  let next = await iterator.next();
+  if (format === "csv") {
+    await write(columns.map((column) => csvCell(column.name)).join(",") + "\r\n");
+  } else if (format === "json") {
+    await write("[");
+  }
+
+  let count = 0;
+  while (!next.done && !output.destroyed) {
+    const row = toExportRow(next.value, columns);
+    if (format === "csv") {
+      await write(columns.map((column) => csvCell(row[column.name])).join(",") + "\r\n");
+    } else if (format === "json") {
+      await write((count === 0 ? "\n" : ",\n") + JSON.stringify(row));
+    } else {
+      await write(JSON.stringify(row) + "\n");
+    }
+    count++;
+    next = await iterator.next();
+  }
+  if (!next.done && iterator.return) {
+    await iterator.return();
+  }
+
+  if (format === "json") {
+    await write(count === 0 ? "]\n" : "\n]\n");
+  }
+  output.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  DEFAULT_EXPORT_COLUMNS,
+  OPTIONAL_DEFAULT_COLUMNS,
+  BUILT_IN_COLUMNS,
+  flattenValue,
+  needsFieldList,
+  resolveColumns,
+  exportFields,
+  toExportRow,
+  writeExport,
+};
@@ -0,0 +1,57 @@
+/**
+ * Issue Fields
+ *
+ * Builds the `fields` object JIRA expects when creating an issue, shared by
+ * create-issue.js and create-issues-bulk.js so single and bulk creation
+ * convert and check descriptions the same way.
+ */
+
+const { descriptionToADF } = require("./adf-utils");
+const { validateADF } = require("./adf-schema");
+const ADFValidationError = require("./adf-validation-error");
+
+/**
+ * Builds the fields of a new issue. The description (plain text, Markdown or
+ * ADF) is converted to ADF and checked against the ADF schema.
+ * @param {string} projectKey
+ * @param {string} issueType - Issue type name, e.g. "Task"
+ * @param {string} summary
+ * @param {string|object} description - Text or ADF document
+ * @param {object} [options] - See createIssue: descriptionFormat, labels, priority, parentKey, fields
+ * @param {string} [siteUrl] - Site URL that keys of the project's issues in a text description link to
+ * @returns {object} Issue fields
+ * @throws {ADFValidationError} When the description is not valid ADF
+ */
+function buildIssueFields(projectKey, issueType, summary, description, options = {}, siteUrl) {
+  // Handle description: convert plain text or Markdown to ADF or use existing ADF
+  const adfDescription = descriptionToADF(description, options.descriptionFormat, {
+    siteUrl,
+    projectKeys: [String(projectKey).toUpperCase()],
+  });
+  const adfErrors = validateADF(adfDescription);
+  if (adfErrors.length > 0) {
+    throw new ADFValidationError("description", adfErrors);
+  }
+
+  const fields = {
+    ...options.fields,
+    project: { key: projectKey },
+    summary: summary,
+    description: adfDescription,
+    issuetype: { name: issueType },
+  };
+  if (options.labels && options.labels.length > 0) {
+    fields.labels = options.labels;
+  }
+  if (options.priority) {
+    fields.priority = { name: options.priority };
+  }
+  if (options.parentKey) {
+    fields.parent = { key: options.parentKey };
+  }
+  return fields;
+}
+
+module.exports = {
+  buildIssueFields,
+};
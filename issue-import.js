@@ -0,0 +1,225 @@
+/**
+ * Issue Import
+ *
+ * Turns the rows of a CSV or JSON backlog export into issues to create:
+ *
+ *   parseImportData - reads the rows of a CSV file (the first line is the header) or a JSON array
+ *   resolveMapping  - works out which column holds each issue field
+ *   readImportRow   - maps one row to an issue and checks it, collecting every problem
+ *
+ * A mapping is { field: column } for the fields summary, description,
+ * issueType, labels, priority, assignee (an email address) and parent (an
+ * issue key). Fields that are not mapped are read from a column of the same
+ * name, ignoring case, spaces, dashes and underscores, so an "Issue Type"
+ * column is used for issueType without a mapping.
+ *
+ * Every row gets a fingerprint of its contents. Import reports list it next
+ * to the created key, so a later run of the same file can skip the rows that
+ * were already imported (see import-issues.js).
+ */
+
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const ImportFileError = require("./import-file-error");
+
+// Issue fields a column can be mapped to
+const IMPORT_FIELDS = ["summary", "description", "issueType", "labels", "priority", "assignee", "parent"];
+
+const IMPORT_FORMATS = ["csv", "json"];
+
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_SUMMARY_LENGTH = 255;
+
+/**
+ * Reads the rows of an import
+ * @param {string|Array<object>} content - CSV text, JSON text, or already parsed JSON rows
+ * @param {string} format - "csv" or "json"
+ * @returns {Array<object>} One object per row, keyed by column
+ * @throws {ImportFileError} When the content cannot be parsed or has no rows
+ */
+function parseImportData(content, format) {
+  let rows;
+  if (format === "csv") {
+    try {
+      rows = parse(content, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+    } catch (error) {
+      throw new ImportFileError(`The CSV could not be read: ${error.message}`);
+    }
+  } else if (format === "json") {
+    let data = content;
+    if (typeof content === "string") {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new ImportFileError(`The JSON could not be read: ${error.message}`);
+      }
+    }
+    rows = Array.isArray(data) ? data : data && data.issues;
+    if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw new ImportFileError('A JSON import must be an array of objects, or { "issues": [...] }, one object per issue');
+    }
+  } else {
+    throw new ImportFileError(`Unknown import format ${format}. Use one of: ${IMPORT_FORMATS.join(", ")}`);
+  }
+
+  if (rows.length === 0) {
+    throw new ImportFileError("The import has no rows");
+  }
+  return rows;
+}
+
+/**
+ * @param {string} name - Column or field name
+ * @returns {string} The name compared case-insensitively without separators
+ */
+function normalizeColumn(name) {
+  return String(name).toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+/**
+ * Works out which column holds each issue field
+ * @param {Array<object>} rows - Parsed rows
+ * @param {object} [mapping] - { field: column }, e.g. { summary: "Title", assignee: "Owner email" }
+ * @returns {object} { field: column } for every field found in the rows
+ * @throws {ImportFileError} When the mapping has unknown fields or names columns the rows do not have
+ */
+function resolveMapping(rows, mapping = {}) {
+  const unknown = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ImportFileError(`Unknown fields in the mapping: ${unknown.join(", ")}`, { fields: IMPORT_FIELDS });
+  }
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const resolved = {};
+  const missing = [];
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping[field] !== undefined) {
+      if (columns.includes(mapping[field])) {
+        resolved[field] = mapping[field];
+      } else {
+        missing.push(mapping[field]);
+      }
+      return;
+    }
+    const column = columns.find((candidate) => normalizeColumn(candidate) === normalizeColumn(field));
+    if (column !== undefined) {
+      resolved[field] = column;
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new ImportFileError(`The mapping names columns the import does not have: ${missing.join(", ")}`, { columns });
+  }
+  return resolved;
+}
+
+/**
+ * Reads one cell, treating empty text as missing
+ * @param {object} row
+ * @param {string} [column]
+ * @returns {*} The value, trimmed when it is text
+ */
+function readCell(row, column) {
+  if (column === undefined) {
+    return undefined;
+  }
+  const value = row[column];
+  if (typeof value === "number") {
+    return String(value);
+  }
+  if (typeof value === "string") {
+    return value.trim() === "" ? undefined : value.trim();
+  }
+  return value === null ? undefined : value;
+}
+
+/**
+ * Maps one row to the issue it describes and checks it. Labels in a text cell
+ * are separated by commas, semicolons or spaces.
+ * @param {object} row - Parsed row
+ * @param {object} mapping - Resolved mapping, see resolveMapping
+ * @param {object} [defaults] - Values for empty cells: issueType, priority, and labels added to every row
+ * @returns {{issue: object, assignee: string|undefined, errors: object}} The issue holds the createIssue
+ *   arguments (summary, description, issueType, labels, priority, parentKey); assignee is the email address
+ *   to look up; errors are keyed by field and empty when the row is valid
+ */
+function readImportRow(row, mapping, defaults = {}) {
+  const errors = {};
+
+  const summary = readCell(row, mapping.summary);
+  if (typeof summary !== "string") {
+    errors.summary = "A summary is required";
+  } else if (summary.length > MAX_SUMMARY_LENGTH) {
+    errors.summary = `The summary must be at most ${MAX_SUMMARY_LENGTH} characters`;
+  }
+
+  const description = readCell(row, mapping.description);
+  if (description !== undefined && typeof description !== "string" && typeof description !== "object") {
+    errors.description = "The description must be text or an ADF document";
+  }
+
+  const issueType = readCell(row, mapping.issueType) || defaults.issueType;
+  if (typeof issueType !== "string") {
+    errors.issueType = "An issue type is required; map a column to issueType or give a default";
+  }
+
+  const priority = readCell(row, mapping.priority) || defaults.priority;
+  if (priority !== undefined && typeof priority !== "string") {
+    errors.priority = "The priority must be a priority name";
+  }
+
+  let labels = readCell(row, mapping.labels);
+  if (typeof labels === "string") {
+    labels = labels.split(/[,;\s]+/).filter((label) => label !== "");
+  }
+  if (labels !== undefined && (!Array.isArray(labels) || labels.some((label) => typeof label !== "string" || /\s/.test(label)))) {
+    errors.labels = "Labels must be a list of words without spaces";
+    labels = undefined;
+  }
+  labels = [...new Set([...(labels || []), ...(defaults.labels || [])])];
+
+  const assignee = readCell(row, mapping.assignee);
+  if (assignee !== undefined && (typeof assignee !== "string" || !EMAIL_PATTERN.test(assignee))) {
+    errors.assignee = "The assignee must be an email address";
+  }
+
+  const parentKey = readCell(row, mapping.parent);
+  if (parentKey !== undefined && (typeof parentKey !== "string" || !ISSUE_KEY_PATTERN.test(parentKey))) {
+    errors.parent = "The parent must be an issue key, e.g. PROJ-12";
+  }
+
+  return {
+    issue: {
+      summary,
+      description: description === undefined ? "" : description,
+      issueType,
+      labels,
+      priority,
+      parentKey: parentKey && parentKey.toUpperCase(),
+    },
+    assignee,
+    errors,
+  };
+}
+
+/**
+ * Fingerprints the contents of a row, independent of the order of its columns
+ * @param {object} row
+ * @returns {string} 16 hex characters
+ */
+function rowFingerprint(row) {
+  const entries = Object.keys(row)
+    .sort()
+    .map((column) => [column, row[column]]);
+  return crypto.createHash("sha256").update(JSON.stringify(entries)).digest("hex").slice(0, 16);
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  parseImportData,
+  resolveMapping,
+  readImportRow,
+  rowFingerprint,
+};
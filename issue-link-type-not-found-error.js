@@ -0,0 +1,27 @@
+/**
+ * Error thrown when a requested relationship matches no issue link type
+ *
+ * Raised by create-issue-link.js before anything is sent to JIRA, when the
+ * requested relationship (e.g. "blocks" or "is duplicated by") is neither
+ * the name nor the inward or outward description of a link type configured
+ * on the site. It lists the link types that exist so callers can pick one.
+ */
+
+class IssueLinkTypeNotFoundError extends Error {
+  /**
+   * @param {string} relationship - What was requested
+   * @param {Array<object>} linkTypes - Link types JIRA offers
+   */
+  constructor(relationship, linkTypes) {
+    super(`No issue link type matches '${relationship}'`);
+    this.name = "IssueLinkTypeNotFoundError";
+    this.relationship = relationship;
+    this.availableLinkTypes = linkTypes.map((linkType) => ({
+      name: linkType.name,
+      inward: linkType.inward,
+      outward: linkType.outward,
+    }));
+  }
+}
+
+module.exports = IssueLinkTypeNotFoundError;
@@ -0,0 +1,250 @@
+/**
+ * Issue Description Templates
+ *
+ * Templates describe the recurring shapes of tickets (bug reports, incidents,
+ * stories...). Each one is a file in the templates directory, loaded once at
+ * startup, and can be written in two ways:
+ *
+ *   <id>.md   - Markdown, preceded by a front matter block with the settings
+ *   <id>.json - { ...settings, "document": { ADF document } }
+ *
+ * Settings (all optional): name, about, issueType, priority, labels, a
+ * summary pattern and defaults for variables. Front matter values are JSON or
+ * plain text, one "key: value" per line.
+ *
+ * Descriptions and summaries contain {{variable}} placeholders that are
+ * filled in when an issue is created from the template. A variable without a
+ * default must be given a value.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// {{name}} or {{ name }}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, "templates");
+
+// Loaded templates by id (the file name without extension)
+let templates = new Map();
+
+/**
+ * Reads the "key: value" lines of a front matter block
+ * @param {string} block - Front matter without the --- lines
+ * @returns {object} Settings
+ */
+function parseFrontMatter(block) {
+  const settings = {};
+  block.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([A-Za-z_]\w*)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      return;
+    }
+    try {
+      settings[match[1]] = JSON.parse(match[2]);
+    } catch (error) {
+      // Not JSON, so plain text
+      settings[match[1]] = match[2];
+    }
+  });
+  return settings;
+}
+
+/**
+ * Collects the names of the variables used in a string or any string inside an object
+ * @param {*} value - String, array or object
+ * @param {Set<string>} names - Collected names
+ * @returns {Set<string>}
+ */
+function collectVariables(value, names = new Set()) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectVariables(item, names));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectVariables(item, names));
+  }
+  return names;
+}
+
+/**
+ * Reads a template file
+ * @param {string} file - Path of a .md or .json template
+ * @returns {object} Template
+ * @throws {Error} When the file cannot be parsed
+ */
+function readTemplate(file) {
+  const id = path.basename(file, path.extname(file));
+  const source = fs.readFileSync(file, "utf8");
+
+  let settings;
+  let format;
+  let body;
+  if (file.endsWith(".json")) {
+    const { document, ...rest } = JSON.parse(source);
+    if (!document || document.type !== "doc") {
+      throw new Error(`Template ${id} must have an ADF "document"`);
+    }
+    settings = rest;
+    format = "adf";
+    body = document;
+  } else {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    settings = match ? parseFrontMatter(match[1]) : {};
+    format = "markdown";
+    body = match ? match[2] : source;
+  }
+
+  const defaults = settings.defaults && typeof settings.defaults === "object" ? settings.defaults : {};
+  const variables = [...collectVariables([settings.summary, body])].map((name) => ({
+    name,
+    required: defaults[name] === undefined,
+    ...(defaults[name] !== undefined && { default: defaults[name] }),
+  }));
+
+  return {
+    id,
+    name: settings.name || id,
+    about: settings.about || "",
+    format,
+    issueType: settings.issueType,
+    priority: settings.priority,
+    labels: Array.isArray(settings.labels) ? settings.labels : [],
+    summary: settings.summary,
+    defaults,
+    variables,
+    body,
+  };
+}
+
+/**
+ * Loads every template from a directory, replacing the ones loaded before.
+ * Files that cannot be read are reported and skipped.
+ * @param {string} [directory] - Defaults to TEMPLATES_DIR or ./templates
+ * @returns {Array<object>} Loaded templates
+ */
+function loadTemplates(directory = process.env.TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR) {
+  const loaded = new Map();
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).sort() : [];
+
+  files
+    .filter((file) => file.endsWith(".md") || file.endsWith(".json"))
+    .forEach((file) => {
+      try {
+        const template = readTemplate(path.join(directory, file));
+        loaded.set(template.id, template);
+      } catch (error) {
+        console.error(`Skipping issue template ${file}:`, error.message);
+      }
+    });
+
+  templates = loaded;
+  return listTemplates();
+}
+
+/**
+ * @returns {Array<object>} All loaded templates
+ */
+function listTemplates() {
+  return [...templates.values()];
+}
+
+/**
+ * @param {string} id - Template id, e.g. "bug"
+ * @returns {object|undefined} Template
+ */
+function getTemplate(id) {
+  return templates.get(id);
+}
+
+/**
+ * Lists the required variables that have no value
+ * @param {object} template
+ * @param {object} [variables] - Variable values
+ * @returns {Array<string>} Names of the missing variables
+ */
+function missingVariables(template, variables = {}) {
+  return template.variables
+    .filter((variable) => variable.required)
+    .map((variable) => variable.name)
+    .filter((name) => variables[name] === undefined || variables[name] === null || variables[name] === "");
+}
+
+/**
+ * Fills in the placeholders of a string
+ * @param {string} value
+ * @param {object} values - Variable values, including defaults
+ * @returns {string}
+ */
+function fillPlaceholders(value, values) {
+  return value.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    values[name] === undefined || values[name] === null ? "" : String(values[name])
+  );
+}
+
+/**
+ * Fills in the placeholders in every string of an ADF node. Text nodes that
+ * end up empty are dropped, because ADF does not allow empty text.
+ * @param {object} node - ADF node
+ * @param {object} values - Variable values, including defaults
+ * @returns {object|null}
+ */
+function fillDocument(node, values) {
+  if (node.type === "text") {
+    const text = fillPlaceholders(node.text, values);
+    return text === "" ? null : { ...node, text };
+  }
+
+  const filled = { ...node };
+  if (node.attrs) {
+    filled.attrs = Object.fromEntries(
+      Object.entries(node.attrs).map(([name, value]) => [name, typeof value === "string" ? fillPlaceholders(value, values) : value])
+    );
+  }
+  if (Array.isArray(node.content)) {
+    filled.content = node.content.map((child) => fillDocument(child, values)).filter((child) => child !== null);
+  }
+  return filled;
+}
+
+/**
+ * Fills in a template with variable values
+ * @param {object} template
+ * @param {object} [variables] - Variable values; defaults apply to the rest
+ * @returns {{summary: string|undefined, description: string|object, descriptionFormat: string,
+ *   issueType: string|undefined, priority: string|undefined, labels: Array<string>}}
+ *   The description is Markdown ("markdown" format) or an ADF document ("adf" format)
+ * @throws {Error} When a required variable has no value
+ */
+function renderTemplate(template, variables = {}) {
+  const missing = missingVariables(template, variables);
+  if (missing.length > 0) {
+    throw new Error(`Template ${template.id} is missing variables: ${missing.join(", ")}`);
+  }
+
+  const values = { ...template.defaults };
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      values[name] = value;
+    }
+  });
+
+  return {
+    summary: template.summary ? fillPlaceholders(template.summary, values) : undefined,
+    description: template.format === "adf" ? fillDocument(template.body, values) : fillPlaceholders(template.body, values),
+    descriptionFormat: template.format,
+    issueType: template.issueType,
+    priority: template.priority,
+    labels: template.labels,
+  };
+}
+
+module.exports = {
+  loadTemplates,
+  listTemplates,
+  getTemplate,
+  missingVariables,
+  renderTemplate,
+};
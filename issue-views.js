@@ -0,0 +1,125 @@
+/**
+ * Alternative representations of JIRA issues
+ *
+ * JIRA returns issues as deeply nested JSON (fields.status.name,
+ * fields.assignee.displayName, an ADF description...). These helpers turn
+ * them into flatter shapes that are easier to show on dashboards.
+ */
+
+const { adfToText, adfToMarkdown, adfToHTML } = require("./adf-utils");
+
+// Formats rich text fields can be returned in; adf leaves them as JIRA sends them
+const DOCUMENT_RENDERERS = {
+  adf: null,
+  markdown: adfToMarkdown,
+  text: adfToText,
+  html: adfToHTML,
+};
+const DOCUMENT_FORMATS = Object.keys(DOCUMENT_RENDERERS);
+
+// Fields to request from JIRA when building a compact view
+const COMPACT_FIELDS = [
+  "summary",
+  "status",
+  "issuetype",
+  "assignee",
+  "reporter",
+  "priority",
+  "labels",
+  "parent",
+  "description",
+  "created",
+  "updated",
+];
+
+/**
+ * Renders an ADF document (a description or comment body) in the given format
+ * @param {object|null} document - ADF document
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @returns {object|string|null} The document as is for adf, otherwise a string
+ */
+function renderDocument(document, format) {
+  const render = DOCUMENT_RENDERERS[format];
+  if (!render) {
+    return document === undefined ? null : document;
+  }
+  return document ? render(document) : "";
+}
+
+/**
+ * Returns a copy of an issue with its description and comment bodies
+ * rendered in the given format. Other fields are left untouched.
+ * @param {object} issue - Issue as returned by the JIRA REST API
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @returns {object} Issue
+ */
+function renderIssueDocuments(issue, format) {
+  const fields = issue.fields;
+  if (!DOCUMENT_RENDERERS[format] || !fields) {
+    return issue;
+  }
+
+  const rendered = { ...fields };
+  if (fields.description !== undefined) {
+    rendered.description = renderDocument(fields.description, format);
+  }
+  if (fields.comment && Array.isArray(fields.comment.comments)) {
+    rendered.comment = {
+      ...fields.comment,
+      comments: fields.comment.comments.map((comment) => ({
+        ...comment,
+        body: renderDocument(comment.body, format),
+      })),
+    };
+  }
+  return { ...issue, fields: rendered };
+}
+
+/**
+ * Flattens an issue into a compact, friendly shape
+ * @param {object} issue - Issue as returned by the JIRA REST API
+ * @param {string} [descriptionFormat] - Format of the description, plain text by default
+ * @returns {object} Compact issue
+ *
+ * Example result:
+ * {
+ *   key: "PROJ-123",
+ *   summary: "Implement new login button",
+ *   status: "In Progress",
+ *   issueType: "Task",
+ *   assignee: "John Doe",
+ *   reporter: "Jane Doe",
+ *   priority: "Medium",
+ *   labels: ["frontend"],
+ *   parent: "PROJ-100",
+ *   description: "The login button on the main page needs...",
+ *   created: "2024-01-31T10:00:00.000+0000",
+ *   updated: "2024-02-01T09:30:00.000+0000"
+ * }
+ */
+function toCompactIssue(issue, descriptionFormat = "text") {
+  const fields = issue.fields || {};
+  return {
+    id: issue.id,
+    key: issue.key,
+    summary: fields.summary || null,
+    status: fields.status ? fields.status.name : null,
+    issueType: fields.issuetype ? fields.issuetype.name : null,
+    assignee: fields.assignee ? fields.assignee.displayName : null,
+    reporter: fields.reporter ? fields.reporter.displayName : null,
+    priority: fields.priority ? fields.priority.name : null,
+    labels: fields.labels || [],
+    parent: fields.parent ? fields.parent.key : null,
+    description: renderDocument(fields.description, descriptionFormat),
+    created: fields.created || null,
+    updated: fields.updated || null,
+  };
+}
+
+module.exports = {
+  COMPACT_FIELDS,
+  DOCUMENT_FORMATS,
+  renderDocument,
+  renderIssueDocuments,
+  toCompactIssue,
+};
@@ -0,0 +1,17 @@
+const getIssues = require("./get-issues");
+
+//Streams every issue in a project, fetching the pages lazily with getIssues.
+//Usage: for await (const issue of iterateIssues("PROJ")) { ... }
+async function* iterateIssues(projectId, options = {}) {
+  let nextPageToken = options.nextPageToken;
+
+  do {
+    const page = await getIssues(projectId, { ...options, nextPageToken });
+    for (const issue of page.issues) {
+      yield issue;
+    }
+    nextPageToken = page.isLast ? undefined : page.nextPageToken;
+  } while (nextPageToken);
+}
+
+module.exports = iterateIssues;
@@ -0,0 +1,81 @@
+/**
+ * Error thrown by the service modules when a JIRA Cloud REST API call fails
+ *
+ * JIRA reports failures as `{ errorMessages: [...], errors: { field: message } }`.
+ * JiraApiError keeps both parts together with the HTTP status so the Express
+ * routes can answer with a matching status code and the field-level details.
+ */
+
+class JiraApiError extends Error {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {object} details
+   * @param {number} [details.status] - HTTP status returned by JIRA (undefined if no response)
+   * @param {Array<string>} [details.errorMessages] - General error messages from JIRA
+   * @param {object} [details.errors] - Field errors from JIRA, keyed by field id
+   * @param {string} [details.method] - HTTP method of the failed request
+   * @param {string} [details.url] - URL of the failed request
+   * @param {object} [details.headers] - Response headers
+   * @param {*} [details.body] - Response body as JIRA sent it, for endpoints with their own error shape
+   * @param {number} [details.retries] - Number of retries made before giving up
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "JiraApiError";
+    this.status = details.status;
+    this.errorMessages = details.errorMessages || [];
+    this.errors = details.errors || {};
+    this.method = details.method;
+    this.url = details.url;
+    this.headers = details.headers || {};
+    this.body = details.body;
+    this.retries = details.retries || 0;
+  }
+
+  /**
+   * Wraps an axios error in a JiraApiError
+   * @param {Error} error - Error thrown by axios
+   * @returns {JiraApiError}
+   */
+  static fromAxiosError(error) {
+    if (error instanceof JiraApiError) {
+      return error;
+    }
+
+    const config = error.config || {};
+    const method = config.method ? config.method.toUpperCase() : undefined;
+    const response = error.response;
+
+    if (!response) {
+      // Timeouts, DNS failures, refused connections... JIRA never answered
+      return new JiraApiError(`JIRA request failed: ${error.message}`, {
+        method,
+        url: config.url,
+      });
+    }
+
+    const body = response.data && typeof response.data === "object" ? response.data : {};
+    const errorMessages = Array.isArray(body.errorMessages) ? body.errorMessages : [];
+    // Bulk endpoints report a list of per-item errors instead; those stay in body
+    const errors = body.errors && typeof body.errors === "object" && !Array.isArray(body.errors) ? body.errors : {};
+
+    const summary =
+      errorMessages[0] ||
+      Object.values(errors)[0] ||
+      (typeof response.data === "string" && response.data) ||
+      response.statusText ||
+      "Unknown error";
+
+    return new JiraApiError(`JIRA responded with ${response.status}: ${summary}`, {
+      status: response.status,
+      errorMessages,
+      errors,
+      method,
+      url: config.url,
+      headers: response.headers,
+      body: response.data,
+    });
+  }
+}
+
+module.exports = JiraApiError;
@@ -0,0 +1,244 @@
+/**
+ * Shared JIRA Cloud REST API client
+ *
+ * Every service module (create-issue.js, get-issues.js, ...) sends its requests
+ * through a JiraClient instead of building its own axios config. By default the
+ * client is configured from the same env variables described in the README, but
+ * the base URL, credentials, timeout and headers can all be overridden, e.g. to
+ * point the whole app at a local stand-in Jira or a different Atlassian site.
+ */
+
+var axios = require("axios");
+const JiraApiError = require("./jira-api-error");
+require("dotenv").config();
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_USER_AGENT = "jira-cloud-rest-api-tutorial";
+
+// Retry defaults. Only idempotent methods are retried unless a request opts in.
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  methods: ["get", "head", "options"],
+  transitions: false,
+};
+
+// Statuses worth retrying: rate limiting and transient gateway/server failures
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Builds the site URL from the env variables. JIRA_BASE_URL wins over DOMAIN so
+ * that a non-atlassian.net host (a proxy or mock server) can be used.
+ * @returns {string} Base URL without trailing slash
+ */
+function baseUrlFromEnv() {
+  if (process.env.JIRA_BASE_URL) {
+    return process.env.JIRA_BASE_URL.replace(/\/+$/, "");
+  }
+  return "https://" + process.env.DOMAIN + ".atlassian.net";
+}
+
+/**
+ * Reads the retry settings from the env variables
+ * @returns {object} Retry options, only containing the variables that are set
+ */
+function retryFromEnv() {
+  const retry = {};
+  if (process.env.JIRA_MAX_RETRIES !== undefined) {
+    retry.retries = Number(process.env.JIRA_MAX_RETRIES);
+  }
+  if (process.env.JIRA_RETRY_BASE_DELAY_MS) {
+    retry.baseDelay = Number(process.env.JIRA_RETRY_BASE_DELAY_MS);
+  }
+  if (process.env.JIRA_RETRY_MAX_DELAY_MS) {
+    retry.maxDelay = Number(process.env.JIRA_RETRY_MAX_DELAY_MS);
+  }
+  if (process.env.JIRA_RETRY_TRANSITIONS) {
+    retry.transitions = process.env.JIRA_RETRY_TRANSITIONS === "true";
+  }
+  return retry;
+}
+
+/**
+ * Works out how long JIRA asked us to wait before retrying, from the
+ * Retry-After header (seconds or HTTP date) or, when the rate limit is used
+ * up, the X-RateLimit-Reset timestamp.
+ * @param {object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if JIRA gave no hint
+ */
+function serverRequestedDelay(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const reset = headers["x-ratelimit-reset"];
+  if (reset !== undefined && String(headers["x-ratelimit-remaining"]) === "0") {
+    const date = Date.parse(reset);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  return null;
+}
+
+class JiraClient {
+  /**
+   * @param {object} options
+   * @param {string} [options.baseUrl] - Site URL, e.g. https://your-domain.atlassian.net
+   * @param {string} [options.username] - Atlassian account email
+   * @param {string} [options.apiKey] - Atlassian API token
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {object} [options.headers] - Extra headers sent with every request
+   * @param {string} [options.userAgent] - User-Agent header value
+   * @param {object} [options.retry] - Retry settings for rate-limited and transient failures
+   * @param {number} [options.retry.retries] - Maximum retries per request (0 disables retrying)
+   * @param {number} [options.retry.baseDelay] - Base backoff delay in milliseconds
+   * @param {number} [options.retry.maxDelay] - Upper bound for any single delay in milliseconds
+   * @param {Array<string>} [options.retry.methods] - HTTP methods retried by default
+   * @param {boolean} [options.retry.transitions] - Also retry issue transitions
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || baseUrlFromEnv()).replace(/\/+$/, "");
+    this.username = options.username !== undefined ? options.username : process.env.ATLASSIAN_USERNAME;
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.ATLASSIAN_API_KEY;
+    this.timeout = options.timeout || Number(process.env.JIRA_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+    this.userAgent = options.userAgent || process.env.JIRA_USER_AGENT || DEFAULT_USER_AGENT;
+    this.headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      "User-Agent": this.userAgent,
+      ...options.headers,
+    };
+    this.retry = {
+      ...DEFAULT_RETRY,
+      ...retryFromEnv(),
+      ...options.retry,
+    };
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: this.headers,
+      auth: {
+        username: this.username,
+        password: this.apiKey,
+      },
+    });
+  }
+
+  /**
+   * Sends a request relative to the site URL, e.g. "/rest/api/3/issue/PROJ-1".
+   * Rate-limited (429) and transient (502/503/504, network) failures are retried
+   * with exponential backoff for idempotent methods, or when `config.retry` is true.
+   * @param {object} config - axios request config, plus an optional `retry` boolean
+   * @returns {Promise<object>} axios response
+   * @throws {JiraApiError} When JIRA answers with an error status or cannot be reached
+   */
+  async request(config) {
+    const { retry, ...axiosConfig } = config;
+    const method = (axiosConfig.method || "get").toLowerCase();
+    const canRetry = retry !== undefined ? retry : this.retry.methods.includes(method);
+    const maxRetries = canRetry ? this.retry.retries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.http.request(axiosConfig);
+      } catch (axiosError) {
+        const error = JiraApiError.fromAxiosError(axiosError);
+        error.retries = attempt;
+
+        const retryable = error.status === undefined || RETRYABLE_STATUSES.includes(error.status);
+        if (!retryable || attempt >= maxRetries) {
+          if (attempt > 0) {
+            console.log(`${method.toUpperCase()} ${axiosConfig.url} failed after ${attempt} retries`);
+          }
+          throw error;
+        }
+
+        const delay = this.retryDelay(attempt, error.headers);
+        console.log(
+          `${method.toUpperCase()} ${axiosConfig.url} failed with ${error.status || "no response"}, ` +
+            `retry ${attempt + 1}/${maxRetries} in ${delay}ms`,
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next retry: whatever JIRA asked for via Retry-After or
+   * X-RateLimit-Reset, otherwise exponential backoff with full jitter.
+   * @param {number} attempt - Number of retries already made
+   * @param {object} headers - Headers of the failed response
+   * @returns {number} Delay in milliseconds
+   */
+  retryDelay(attempt, headers) {
+    const requested = serverRequestedDelay(headers);
+    if (requested !== null) {
+      return Math.min(requested, this.retry.maxDelay);
+    }
+    const backoff = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * backoff);
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: "get", url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: "post", url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: "put", url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: "delete", url });
+  }
+}
+
+let defaultClient = null;
+
+/**
+ * Returns the client used by the service modules, creating it from the env
+ * variables on first use.
+ * @returns {JiraClient}
+ */
+function getJiraClient() {
+  if (!defaultClient) {
+    defaultClient = new JiraClient();
+  }
+  return defaultClient;
+}
+
+/**
+ * Replaces the client used by the service modules
+ * @param {JiraClient|object} client - A JiraClient or the options to create one
+ * @returns {JiraClient} The client now in use
+ */
+function setJiraClient(client) {
+  defaultClient = client instanceof JiraClient ? client : new JiraClient(client);
+  return defaultClient;
+}
+
+module.exports = {
+  JiraClient,
+  JiraApiError,
+  getJiraClient,
+  setJiraClient,
+};
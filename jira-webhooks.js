@@ -0,0 +1,141 @@
+/**
+ * Jira Webhooks
+ *
+ * Checks and reads the webhook deliveries JIRA sends when issues and comments
+ * change. A webhook registered with a secret signs every delivery with an
+ * HMAC-SHA256 of the raw request body, sent as "X-Hub-Signature: sha256=<hex>".
+ * The X-Atlassian-Webhook-Identifier header stays the same when JIRA retries a
+ * delivery, so it identifies the event for detecting duplicates.
+ *
+ * The secret is read from the JIRA_WEBHOOK_SECRET env variable.
+ */
+
+const crypto = require("crypto");
+const { adfToText } = require("./adf-utils");
+const InvalidRequestError = require("./invalid-request-error");
+
+// Events that are logged and dispatched; others are acknowledged and ignored
+const WEBHOOK_EVENTS = [
+  "jira:issue_created",
+  "jira:issue_updated",
+  "jira:issue_deleted",
+  "comment_created",
+  "comment_updated",
+  "comment_deleted",
+];
+
+/**
+ * @returns {string} The webhook secret, empty when it is not set
+ */
+function webhookSecretFromEnv() {
+  return process.env.JIRA_WEBHOOK_SECRET || "";
+}
+
+/**
+ * Checks the signature of a delivery in constant time
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - X-Hub-Signature header, "sha256=<hex>"
+ * @param {string} secret - Secret the webhook was registered with
+ * @returns {boolean} True when the body was signed with the secret
+ */
+function verifySignature(rawBody, signature, secret) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(String(signature || "").trim());
+  if (!match || !secret) {
+    return false;
+  }
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(match[1], "hex"));
+}
+
+/**
+ * Identifies a delivery by JIRA's webhook identifier, or by a hash of the
+ * body when the header is missing
+ * @param {string} [identifier] - X-Atlassian-Webhook-Identifier header
+ * @param {Buffer} rawBody
+ * @returns {string}
+ */
+function deliveryId(identifier, rawBody) {
+  return identifier || `sha256:${crypto.createHash("sha256").update(rawBody).digest("hex")}`;
+}
+
+/**
+ * @param {object|null} user - User from a payload
+ * @returns {{accountId: string, displayName: string}|null}
+ */
+function toEventUser(user) {
+  return user ? { accountId: user.accountId, displayName: user.displayName || null } : null;
+}
+
+/**
+ * Reads the parts of a webhook payload worth keeping
+ * @param {object} payload - Body of the delivery
+ * @param {string} id - See deliveryId
+ * @param {Date} [receivedAt]
+ * @returns {object|null} Event, or null when its type is not one of WEBHOOK_EVENTS
+ * @throws {InvalidRequestError} When the timestamp of the payload is not a date
+ *
+ * Example result:
+ * {
+ *   id: "a3c9f1e2-...",
+ *   type: "jira:issue_updated",
+ *   receivedAt: "2024-02-01T09:30:01.120Z",
+ *   timestamp: "2024-02-01T09:30:00.000Z",
+ *   user: { accountId: "5b10a2844c20165700ede21g", displayName: "Jane Doe" },
+ *   issue: { id: "10123", key: "PROJ-123", summary: "Fix login", status: "In Progress", issueType: "Bug", project: "PROJ" },
+ *   changes: [{ field: "status", from: "To Do", to: "In Progress" }],
+ *   comment: null
+ * }
+ */
+function parseWebhookEvent(payload, id, receivedAt = new Date()) {
+  if (!payload || !WEBHOOK_EVENTS.includes(payload.webhookEvent)) {
+    return null;
+  }
+
+  const issue = payload.issue;
+  const fields = (issue && issue.fields) || {};
+  const comment = payload.comment;
+  const items = (payload.changelog && payload.changelog.items) || [];
+  const timestamp = payload.timestamp ? new Date(payload.timestamp) : null;
+  if (timestamp && Number.isNaN(timestamp.getTime())) {
+    throw new InvalidRequestError(`Invalid webhook timestamp: ${payload.timestamp}`, { timestamp: payload.timestamp });
+  }
+
+  return {
+    id,
+    type: payload.webhookEvent,
+    receivedAt: receivedAt.toISOString(),
+    timestamp: timestamp ? timestamp.toISOString() : null,
+    user: toEventUser(payload.user || (comment && (comment.updateAuthor || comment.author))),
+    issue: issue
+      ? {
+          id: issue.id,
+          key: issue.key,
+          summary: fields.summary || null,
+          status: fields.status ? fields.status.name : null,
+          issueType: fields.issuetype ? fields.issuetype.name : null,
+          project: fields.project ? fields.project.key : null,
+        }
+      : null,
+    // "toString" is the new value; an item without one would give Object.prototype.toString
+    changes: items.map((item) => ({
+      field: item.field,
+      from: item.fromString ?? null,
+      to: Object.prototype.hasOwnProperty.call(item, "toString") ? item.toString : null,
+    })),
+    comment: comment
+      ? {
+          id: comment.id,
+          author: toEventUser(comment.author),
+          body: comment.body && typeof comment.body === "object" ? adfToText(comment.body) : comment.body || "",
+        }
+      : null,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  webhookSecretFromEnv,
+  verifySignature,
+  deliveryId,
+  parseWebhookEvent,
+};
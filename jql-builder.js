@@ -0,0 +1,198 @@
+/**
+ * JQL (JIRA Query Language) Builder
+ *
+ * Builds search queries from structured filters instead of concatenating
+ * request parameters into a JQL string. Every value is quoted and escaped, so
+ * keys and names containing spaces, quotes or reserved words are matched
+ * literally and cannot change the meaning of the query.
+ *
+ * Learn more: https://support.atlassian.com/jira-software-cloud/docs/use-advanced-search-with-jira-query-language-jql/
+ */
+
+// Filter name -> JQL field for the filters matched with `=` / `in`
+const LIST_FILTERS = {
+  project: "project",
+  status: "status",
+  issueType: "issuetype",
+  priority: "priority",
+  labels: "labels",
+  assignee: "assignee",
+  reporter: "reporter",
+  parent: "parent",
+};
+
+// Filter name -> [JQL field, operator] for date range filters
+const RANGE_FILTERS = {
+  createdFrom: ["created", ">="],
+  createdTo: ["created", "<="],
+  updatedFrom: ["updated", ">="],
+  updatedTo: ["updated", "<="],
+};
+
+// Fields that results may be ordered by
+const ORDER_BY_FIELDS = [
+  "created",
+  "updated",
+  "duedate",
+  "priority",
+  "status",
+  "key",
+  "summary",
+  "assignee",
+  "reporter",
+  "issuetype",
+  "resolution",
+  "rank",
+];
+
+// Values for user fields that are JQL keywords/functions rather than users
+const USER_KEYWORDS = {
+  unassigned: "EMPTY",
+  empty: "EMPTY",
+  "currentuser()": "currentUser()",
+};
+
+// Absolute dates ("2024-01-31", "2024-01-31 14:30") or relative ones ("-7d", "2w")
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?|[+-]?\d+[wdhm])$/;
+
+/**
+ * Quotes a value for use in JQL, escaping backslashes and double quotes
+ * @param {string|number} value - Raw value
+ * @returns {string} Quoted JQL string literal
+ */
+function quoteJqlValue(value) {
+  const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `"${escaped}"`;
+}
+
+/**
+ * Normalizes a filter value into a list of non-empty strings. Accepts arrays
+ * (e.g. repeated query parameters) and comma-separated strings.
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((item) => String(item).trim()).filter((item) => item !== "");
+}
+
+/**
+ * Builds a single `field = value` or `field in (...)` clause
+ * @param {string} field - JQL field name
+ * @param {Array<string>} values
+ * @param {boolean} [isUserField] - Translate "unassigned" and "currentUser()"
+ * @returns {string}
+ */
+function buildListClause(field, values, isUserField = false) {
+  const keywords = [];
+  const literals = [];
+  values.forEach((value) => {
+    const keyword = isUserField && USER_KEYWORDS[value.toLowerCase()];
+    if (keyword === "EMPTY") {
+      keywords.push(`${field} is EMPTY`);
+    } else if (keyword) {
+      keywords.push(`${field} = ${keyword}`);
+    } else {
+      literals.push(quoteJqlValue(value));
+    }
+  });
+
+  if (literals.length === 1) {
+    keywords.push(`${field} = ${literals[0]}`);
+  } else if (literals.length > 1) {
+    keywords.push(`${field} in (${literals.join(", ")})`);
+  }
+
+  return keywords.length > 1 ? `(${keywords.join(" OR ")})` : keywords[0];
+}
+
+/**
+ * Builds the ORDER BY part from "field", "field DESC", "-field" or a
+ * comma-separated list of those
+ * @param {string|Array<string>} orderBy
+ * @returns {string} ORDER BY clause, or an empty string when no ordering is given
+ * @throws {Error} When a field cannot be ordered by
+ */
+function buildOrderBy(orderBy) {
+  const parts = toList(orderBy).map((part) => {
+    let [field, direction = "ASC"] = part.split(/\s+/);
+    if (field.startsWith("-")) {
+      field = field.slice(1);
+      direction = "DESC";
+    }
+    field = field.toLowerCase();
+    direction = direction.toUpperCase();
+
+    if (!ORDER_BY_FIELDS.includes(field)) {
+      throw new Error(`Cannot order by '${field}'. Allowed fields: ${ORDER_BY_FIELDS.join(", ")}`);
+    }
+    if (direction !== "ASC" && direction !== "DESC") {
+      throw new Error(`Invalid sort direction '${direction}' for '${field}', use ASC or DESC`);
+    }
+    return `${field} ${direction}`;
+  });
+
+  return parts.length > 0 ? `ORDER BY ${parts.join(", ")}` : "";
+}
+
+/**
+ * Builds an issue search query from structured filters
+ * @param {object} filters
+ * @param {string|Array<string>} [filters.project] - Project keys or ids
+ * @param {string|Array<string>} [filters.status] - Status names
+ * @param {string|Array<string>} [filters.assignee] - Account ids, "unassigned" or "currentUser()"
+ * @param {string|Array<string>} [filters.reporter] - Account ids or "currentUser()"
+ * @param {string|Array<string>} [filters.issueType] - Issue type names
+ * @param {string|Array<string>} [filters.labels] - Issues with any of these labels
+ * @param {string|Array<string>} [filters.priority] - Priority names
+ * @param {string|Array<string>} [filters.parent] - Parent issue keys: sub-tasks or issues in an epic
+ * @param {string} [filters.createdFrom] - Created on/after, "YYYY-MM-DD" or relative like "-7d"
+ * @param {string} [filters.createdTo] - Created on/before
+ * @param {string} [filters.updatedFrom] - Updated on/after
+ * @param {string} [filters.updatedTo] - Updated on/before
+ * @param {string} [filters.text] - Full text search over summary, description and comments
+ * @param {string|Array<string>} [filters.orderBy] - e.g. "created DESC" or "-updated,key"
+ * @returns {string} JQL query
+ * @throws {Error} When a date or ordering is invalid
+ *
+ * Example:
+ * buildIssueSearchJql({ project: "PROJ", status: ["To Do", "In Progress"], orderBy: "-created" })
+ * // project = "PROJ" AND status in ("To Do", "In Progress") ORDER BY created DESC
+ */
+function buildIssueSearchJql(filters = {}) {
+  const clauses = [];
+
+  Object.entries(LIST_FILTERS).forEach(([name, field]) => {
+    const values = toList(filters[name]);
+    if (values.length > 0) {
+      clauses.push(buildListClause(field, values, field === "assignee" || field === "reporter"));
+    }
+  });
+
+  Object.entries(RANGE_FILTERS).forEach(([name, [field, operator]]) => {
+    const value = filters[name];
+    if (value === undefined || value === null || value === "") {
+      return;
+    }
+    if (!DATE_PATTERN.test(String(value))) {
+      throw new Error(`Invalid date '${value}' for ${name}, use YYYY-MM-DD, "YYYY-MM-DD HH:mm" or a relative date like -7d`);
+    }
+    clauses.push(`${field} ${operator} ${quoteJqlValue(value)}`);
+  });
+
+  if (filters.text !== undefined && String(filters.text).trim() !== "") {
+    clauses.push(`text ~ ${quoteJqlValue(String(filters.text).trim())}`);
+  }
+
+  const orderBy = buildOrderBy(filters.orderBy);
+  return [clauses.join(" AND "), orderBy].filter((part) => part !== "").join(" ");
+}
+
+module.exports = {
+  quoteJqlValue,
+  buildOrderBy,
+  buildIssueSearchJql,
+};
@@ -0,0 +1,1620 @@
+/**
+ * Local mock JIRA Cloud server
+ *
+ * An in-memory stand-in for the parts of the JIRA Cloud REST API v3 that the
+ * service modules call, so the Express app, test-migration.js and adf-examples.js
+ * can run without an Atlassian site. Start it with `npm run mock-jira` and point
+ * the app at it with JIRA_BASE_URL=http://localhost:4000.
+ *
+ * Responses and error bodies follow the shapes JIRA Cloud returns
+ * (`{ errorMessages: [...], errors: {...} }`), and issue descriptions are
+ * checked the same way JIRA checks them, so ADF mistakes fail locally with
+ * "Operation value must be an Atlassian Document".
+ */
+
+const express = require("express");
+const busboy = require("busboy");
+const { setJiraClient } = require("./jira-client");
+
+const DEFAULT_PORT = 4000;
+
+const ADF_ERROR = "Operation value must be an Atlassian Document (see the Atlassian Document Format)";
+
+// Node types JIRA accepts in an issue description
+const ADF_NODE_TYPES = [
+  "doc",
+  "paragraph",
+  "text",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "listItem",
+  "codeBlock",
+  "blockquote",
+  "rule",
+  "hardBreak",
+  "panel",
+  "table",
+  "tableRow",
+  "tableHeader",
+  "tableCell",
+  "mention",
+  "emoji",
+  "date",
+  "status",
+  "inlineCard",
+  "blockCard",
+  "expand",
+  "nestedExpand",
+  "mediaSingle",
+  "mediaGroup",
+  "media",
+];
+
+// The simplified software workflow JIRA Cloud creates for new projects
+const STATUSES = [
+  { id: "10000", name: "To Do", statusCategory: { id: 2, key: "new", name: "To Do" } },
+  { id: "3", name: "In Progress", statusCategory: { id: 4, key: "indeterminate", name: "In Progress" } },
+  { id: "10001", name: "Done", statusCategory: { id: 3, key: "done", name: "Done" } },
+];
+
+const TRANSITIONS = [
+  { id: "11", name: "To Do", to: "10000" },
+  { id: "21", name: "In Progress", to: "3" },
+  { id: "31", name: "Done", to: "10001" },
+];
+
+// Display names and schemas of the issue fields, for the names/schema expansions
+const FIELD_SCHEMAS = {
+  summary: { name: "Summary", schema: { type: "string", system: "summary" } },
+  description: { name: "Description", schema: { type: "string", system: "description" } },
+  issuetype: { name: "Issue Type", schema: { type: "issuetype", system: "issuetype" } },
+  project: { name: "Project", schema: { type: "project", system: "project" } },
+  status: { name: "Status", schema: { type: "status", system: "status" } },
+  priority: { name: "Priority", schema: { type: "priority", system: "priority" } },
+  labels: { name: "Labels", schema: { type: "array", items: "string", system: "labels" } },
+  assignee: { name: "Assignee", schema: { type: "user", system: "assignee" } },
+  reporter: { name: "Reporter", schema: { type: "user", system: "reporter" } },
+  created: { name: "Created", schema: { type: "datetime", system: "created" } },
+  updated: { name: "Updated", schema: { type: "datetime", system: "updated" } },
+  duedate: { name: "Due date", schema: { type: "date", system: "duedate" } },
+  resolution: { name: "Resolution", schema: { type: "resolution", system: "resolution" } },
+  comment: { name: "Comment", schema: { type: "comments-page", system: "comment" } },
+  attachment: { name: "Attachment", schema: { type: "array", items: "attachment", system: "attachment" } },
+  parent: { name: "Parent", schema: { type: "issuelink", system: "parent" } },
+  subtasks: { name: "Sub-tasks", schema: { type: "array", items: "issuelinks", system: "subtasks" } },
+  issuelinks: { name: "Linked Issues", schema: { type: "array", items: "issuelinks", system: "issuelinks" } },
+  customfield_10016: {
+    name: "Story point estimate",
+    schema: { type: "number", custom: "com.atlassian.jira.plugin.system.customfieldtypes:float", customId: 10016 },
+  },
+  customfield_10020: {
+    name: "Sprint",
+    schema: { type: "array", items: "json", custom: "com.pyxis.greenhopper.jira:gh-sprint", customId: 10020 },
+  },
+};
+
+// Custom fields issues can be created with
+const STORY_POINTS_FIELD = "customfield_10016";
+const SPRINT_FIELD = "customfield_10020";
+
+const SPRINTS = [
+  { id: 1, name: "Sprint 1", state: "closed", boardId: 1 },
+  { id: 2, name: "Sprint 2", state: "active", boardId: 1 },
+  { id: 3, name: "Sprint 3", state: "future", boardId: 1 },
+];
+
+// Project roles and groups comments can be restricted to
+const PROJECT_ROLES = ["Administrators", "Developers", "Users"];
+const GROUPS = [
+  { name: "jira-software-users", groupId: "5f2d2e3b-0000-4000-8000-000000000001" },
+  { name: "site-admins", groupId: "5f2d2e3b-0000-4000-8000-000000000002" },
+];
+
+// Account the mock treats as the authenticated user (currentUser() in JQL)
+const MOCK_CURRENT_USER = "557058:mock-user-0001";
+
+const PRIORITIES = [
+  { id: "1", name: "Highest" },
+  { id: "2", name: "High" },
+  { id: "3", name: "Medium" },
+  { id: "4", name: "Low" },
+  { id: "5", name: "Lowest" },
+];
+
+const RESOLUTIONS = [
+  { id: "10000", name: "Done" },
+  { id: "10001", name: "Won't Do" },
+  { id: "10002", name: "Duplicate" },
+  { id: "10003", name: "Cannot Reproduce" },
+];
+
+// The link types a new JIRA Cloud site starts with
+const ISSUE_LINK_TYPES = [
+  { id: "10000", name: "Blocks", inward: "is blocked by", outward: "blocks" },
+  { id: "10001", name: "Cloners", inward: "is cloned by", outward: "clones" },
+  { id: "10002", name: "Duplicate", inward: "is duplicated by", outward: "duplicates" },
+  { id: "10003", name: "Relates", inward: "relates to", outward: "relates to" },
+];
+
+const ISSUE_TYPES = [
+  { id: "10001", name: "Task", subtask: false },
+  { id: "10002", name: "Bug", subtask: false },
+  { id: "10003", name: "Story", subtask: false },
+  { id: "10004", name: "Epic", subtask: false },
+  { id: "10005", name: "Subtask", subtask: true },
+];
+
+/**
+ * Checks a description the way JIRA does: a version 1 "doc" whose nodes all
+ * have a known type, content arrays where present and non-empty text.
+ * @param {*} node - Node to check (the whole document at the top level)
+ * @param {boolean} [isRoot]
+ * @returns {boolean} True if JIRA would accept the document
+ */
+function isAtlassianDocument(node, isRoot = true) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    return false;
+  }
+  if (isRoot && (node.type !== "doc" || node.version !== 1 || !Array.isArray(node.content))) {
+    return false;
+  }
+  if (!isRoot && (node.type === "doc" || !ADF_NODE_TYPES.includes(node.type))) {
+    return false;
+  }
+  if (node.type === "text" && (typeof node.text !== "string" || node.text === "")) {
+    return false;
+  }
+  if (node.content !== undefined) {
+    if (!Array.isArray(node.content)) {
+      return false;
+    }
+    return node.content.every((child) => isAtlassianDocument(child, false));
+  }
+  return true;
+}
+
+// Fields the mock can search on
+const JQL_FIELDS = [
+  "project",
+  "key",
+  "issuekey",
+  "status",
+  "issuetype",
+  "type",
+  "priority",
+  "assignee",
+  "reporter",
+  "labels",
+  "parent",
+  "summary",
+  "description",
+  "text",
+  "created",
+  "updated",
+];
+
+/**
+ * Splits a JQL string into tokens: quoted strings, words, operators, parens and commas
+ * @param {string} jql
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenizeJql(jql) {
+  const tokens = [];
+  const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(!=|>=|<=|!~|=|>|<|~)|([(),])|([^\s"'(),=!<>~]+(?:\(\))?))/gy;
+  let match;
+  while (pattern.lastIndex < jql.length && (match = pattern.exec(jql))) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: "string", value: match[1].slice(1, -1).replace(/\\(.)/g, "$1") });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "operator", value: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: match[3], value: match[3] });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: "word", value: match[4] });
+    }
+  }
+  if (jql.slice(pattern.lastIndex).trim() !== "") {
+    throw new Error(`Error in the JQL Query: The character '${jql.slice(pattern.lastIndex).trim()[0]}' is a reserved JQL character.`);
+  }
+  return tokens;
+}
+
+/**
+ * Parses the JQL subset the service modules send: clauses with
+ * =, !=, ~, !~, >, >=, <, <=, in, not in, is [not] EMPTY joined with AND,
+ * parenthesized OR groups of those, and an optional ORDER BY.
+ * @param {string} jql
+ * @returns {{clauses: Array<object>, orderBy: Array<object>}}
+ * @throws {Error} With a JIRA style message when the query cannot be parsed
+ */
+function parseJql(jql = "") {
+  const tokens = tokenizeJql(jql);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isWord = (token, word) => token && token.type === "word" && token.value.toLowerCase() === word;
+  const fail = (expected) => {
+    const token = peek();
+    const found = token ? `'${token.value}'` : "the end of the query";
+    throw new Error(`Error in the JQL Query: Expecting ${expected} but got ${found}.`);
+  };
+
+  function parseValue() {
+    const token = peek();
+    if (!token || (token.type !== "string" && token.type !== "word")) {
+      fail("a value");
+    }
+    position++;
+    return token.value;
+  }
+
+  function parseClause() {
+    if (peek() && peek().type === "(") {
+      position++;
+      const group = [parseClause()];
+      while (isWord(peek(), "or") || isWord(peek(), "and")) {
+        if (isWord(peek(), "and")) {
+          throw new Error("Error in the JQL Query: The mock JIRA only supports OR inside parentheses.");
+        }
+        position++;
+        group.push(parseClause());
+      }
+      if (!peek() || peek().type !== ")") {
+        fail("')'");
+      }
+      position++;
+      return { any: group };
+    }
+
+    const fieldToken = peek();
+    if (!fieldToken || (fieldToken.type !== "word" && fieldToken.type !== "string")) {
+      fail("a field name");
+    }
+    position++;
+    const field = fieldToken.value.toLowerCase();
+    if (!JQL_FIELDS.includes(field)) {
+      throw new Error(`Field '${fieldToken.value}' does not exist or you do not have permission to view it.`);
+    }
+
+    let operator;
+    if (peek() && peek().type === "operator") {
+      operator = tokens[position++].value;
+    } else if (isWord(peek(), "in")) {
+      position++;
+      operator = "in";
+    } else if (isWord(peek(), "not") && isWord(tokens[position + 1], "in")) {
+      position += 2;
+      operator = "not in";
+    } else if (isWord(peek(), "is")) {
+      position++;
+      operator = "is";
+      if (isWord(peek(), "not")) {
+        position++;
+        operator = "is not";
+      }
+      if (!isWord(peek(), "empty") && !isWord(peek(), "null")) {
+        fail("EMPTY");
+      }
+      position++;
+      return { field, operator, values: [] };
+    } else {
+      fail("an operator");
+    }
+
+    if (operator === "in" || operator === "not in") {
+      if (!peek() || peek().type !== "(") {
+        fail("'('");
+      }
+      position++;
+      const values = [parseValue()];
+      while (peek() && peek().type === ",") {
+        position++;
+        values.push(parseValue());
+      }
+      if (!peek() || peek().type !== ")") {
+        fail("')'");
+      }
+      position++;
+      return { field, operator, values };
+    }
+
+    return { field, operator, values: [parseValue()] };
+  }
+
+  const clauses = [];
+  while (peek() && !isWord(peek(), "order")) {
+    if (clauses.length > 0) {
+      if (isWord(peek(), "or")) {
+        throw new Error("Error in the JQL Query: The mock JIRA only supports OR inside parentheses.");
+      }
+      if (!isWord(peek(), "and")) {
+        fail("'AND'");
+      }
+      position++;
+    }
+    clauses.push(parseClause());
+  }
+
+  const orderBy = [];
+  if (isWord(peek(), "order")) {
+    position++;
+    if (!isWord(peek(), "by")) {
+      fail("'BY'");
+    }
+    position++;
+    do {
+      if (orderBy.length > 0) {
+        position++;
+      }
+      const field = parseValue().toLowerCase();
+      let desc = false;
+      if (isWord(peek(), "asc") || isWord(peek(), "desc")) {
+        desc = tokens[position++].value.toLowerCase() === "desc";
+      }
+      orderBy.push({ field, desc });
+    } while (peek() && peek().type === ",");
+  }
+
+  if (peek()) {
+    fail("the end of the query");
+  }
+
+  return { clauses, orderBy };
+}
+
+/**
+ * Turns a JQL date ("2024-01-31", "2024-01-31 14:30", "-7d") into a timestamp
+ * @param {string} value
+ * @returns {number} Milliseconds since the epoch, NaN if not a date
+ */
+function jqlDate(value) {
+  const relative = String(value).match(/^([+-]?\d+)([wdhm])$/);
+  if (relative) {
+    const unit = { w: 604800000, d: 86400000, h: 3600000, m: 60000 }[relative[2]];
+    return Date.now() + Number(relative[1]) * unit;
+  }
+  return Date.parse(String(value).replace(" ", "T"));
+}
+
+/**
+ * Checks whether an issue matches one parsed JQL clause
+ * @param {object} issue
+ * @param {object} clause - Clause from parseJql
+ * @returns {boolean}
+ */
+function matchesClause(issue, clause) {
+  if (clause.any) {
+    return clause.any.some((inner) => matchesClause(issue, inner));
+  }
+
+  const actual = issueFieldValues(issue, clause.field).filter((value) => value !== null && value !== undefined);
+  const equals = (value) =>
+    (value === "currentUser()" && clause.field.match(/assignee|reporter/)
+      ? actual.includes(MOCK_CURRENT_USER)
+      : actual.some((candidate) => String(candidate).toLowerCase() === String(value).toLowerCase()));
+
+  switch (clause.operator) {
+    case "=":
+    case "in":
+      return clause.values.some(equals);
+    case "!=":
+    case "not in":
+      return !clause.values.some(equals);
+    case "is":
+      return actual.length === 0;
+    case "is not":
+      return actual.length > 0;
+    case "~":
+    case "!~": {
+      const needle = String(clause.values[0]).toLowerCase().replace(/[*?]/g, "");
+      const found = actual.some((candidate) => String(candidate).toLowerCase().includes(needle));
+      return clause.operator === "~" ? found : !found;
+    }
+    default: {
+      const limit = jqlDate(clause.values[0]);
+      return actual.some((candidate) => {
+        const time = Date.parse(candidate);
+        switch (clause.operator) {
+          case ">":
+            return time > limit;
+          case ">=":
+            return time >= limit;
+          case "<":
+            return time < limit;
+          default:
+            return time <= limit;
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Plain text of an ADF document, for text searches
+ * @param {object} node
+ * @returns {string}
+ */
+function adfText(node) {
+  if (!node || typeof node !== "object") {
+    return "";
+  }
+  if (node.type === "text") {
+    return node.text;
+  }
+  return (node.content || []).map(adfText).join(" ");
+}
+
+/**
+ * Creates the mock JIRA Express app and its in-memory state
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - URL used in `self` links
+ * @param {string} [options.projectKey] - Key of the project created at startup
+ * @returns {{app: object, state: object}}
+ */
+function createMockJira(options = {}) {
+  const state = {
+    baseUrl: options.baseUrl || `http://localhost:${DEFAULT_PORT}`,
+    nextId: 10000,
+    projects: [],
+    users: [
+      {
+        accountId: MOCK_CURRENT_USER,
+        accountType: "atlassian",
+        displayName: "Mock Admin",
+        emailAddress: "admin@example.com",
+        active: true,
+      },
+      {
+        accountId: "557058:mock-user-0002",
+        accountType: "atlassian",
+        displayName: "Mock Developer",
+        emailAddress: "developer@example.com",
+        active: true,
+      },
+    ],
+    issues: new Map(),
+    histories: new Map(),
+    comments: new Map(),
+    // Attachment contents by attachment id; the metadata is in the issue's attachment field
+    attachmentContents: new Map(),
+    // { id, type, inwardIssueId, outwardIssueId }
+    issueLinks: [],
+  };
+
+  const nextId = () => String(state.nextId++);
+
+  function addProject({ key, name, projectTypeKey = "software", leadAccountId }) {
+    const project = {
+      id: nextId(),
+      key,
+      name,
+      projectTypeKey,
+      leadAccountId: leadAccountId || state.users[0].accountId,
+      issueCounter: 0,
+    };
+    state.projects.push(project);
+    return project;
+  }
+
+  const findProject = (keyOrId) =>
+    state.projects.find((project) => project.key === keyOrId || project.id === keyOrId);
+
+  const findIssue = (keyOrId) =>
+    state.issues.get(keyOrId) || [...state.issues.values()].find((issue) => issue.id === keyOrId);
+
+  // self is built per response: the seeded project exists before the port, and so baseUrl, is known
+  const projectSelf = (project) => `${state.baseUrl}/rest/api/3/project/${project.id}`;
+  const publicProject = ({ issueCounter, ...project }) => ({ self: projectSelf(project), ...project });
+
+  // Adds a changelog entry, authored by the mock's current user
+  function recordHistory(issue, items) {
+    const histories = state.histories.get(issue.id) || [];
+    histories.push({ id: nextId(), author: state.users[0], created: new Date().toISOString(), items });
+    state.histories.set(issue.id, histories);
+  }
+
+  addProject({ key: options.projectKey || process.env.PROJECT_KEY || "TEST", name: "Mock Project" });
+
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  const jiraError = (res, status, errorMessages = [], errors = {}) =>
+    res.status(status).json({ errorMessages, errors });
+
+  const issueNotFound = (res) =>
+    jiraError(res, 404, ["Issue does not exist or you do not have permission to see it."]);
+
+  // JIRA Cloud answers 401 when no credentials are sent at all
+  app.use("/rest", (req, res, next) => {
+    if (!req.headers.authorization) {
+      return jiraError(res, 401, ["You are not authenticated. Authentication required to perform this operation."]);
+    }
+    next();
+  });
+
+  app.get("/rest/api/3/serverInfo", (req, res) => {
+    res.json({
+      baseUrl: state.baseUrl,
+      version: "1001.0.0-SNAPSHOT",
+      versionNumbers: [1001, 0, 0],
+      deploymentType: "Cloud",
+      buildNumber: 100000,
+      serverTitle: "Mock JIRA",
+    });
+  });
+
+  app.get("/rest/api/3/project/recent", (req, res) => {
+    res.json(state.projects.slice(-20).reverse().map(publicProject));
+  });
+
+  app.post("/rest/api/3/project", (req, res) => {
+    const { key, name, projectTypeKey, leadAccountId } = req.body || {};
+    const errors = {};
+    if (!key || !/^[A-Z][A-Z0-9]{1,9}$/.test(key)) {
+      errors.projectKey =
+        "Project keys must start with an uppercase letter, followed by one or more uppercase alphanumeric characters.";
+    } else if (findProject(key)) {
+      errors.projectKey = `Project '${findProject(key).name}' uses this project key.`;
+    }
+    if (!name) {
+      errors.projectName = "You must specify a valid project name.";
+    } else if (state.projects.some((project) => project.name === name)) {
+      errors.projectName = "A project with that name already exists.";
+    }
+    if (!leadAccountId || !state.users.some((user) => user.accountId === leadAccountId)) {
+      errors.projectLead = "You must specify a valid project lead.";
+    }
+    if (Object.keys(errors).length > 0) {
+      return jiraError(res, 400, [], errors);
+    }
+
+    const project = addProject({ key, name, projectTypeKey, leadAccountId });
+    res.status(201).json({ self: projectSelf(project), id: Number(project.id), key: project.key });
+  });
+
+  app.get("/rest/api/3/users/search", (req, res) => {
+    const startAt = Number(req.query.startAt) || 0;
+    const maxResults = Number(req.query.maxResults) || 50;
+    res.json(state.users.slice(startAt, startAt + maxResults));
+  });
+
+  app.get("/rest/api/3/field", (req, res) => {
+    res.json(
+      Object.entries(FIELD_SCHEMAS).map(([id, field]) => ({
+        id,
+        key: id,
+        name: field.name,
+        custom: Boolean(field.schema.custom),
+        orderable: true,
+        navigable: true,
+        searchable: true,
+        clauseNames: field.schema.customId ? [`cf[${field.schema.customId}]`, field.name] : [id],
+        schema: field.schema,
+      })),
+    );
+  });
+
+  // Matches the start of the display name or email address, like JIRA
+  app.get("/rest/api/3/user/search", (req, res) => {
+    const query = String(req.query.query || req.query.accountId || "").toLowerCase();
+    if (query === "") {
+      return jiraError(res, 400, ["The query parameter 'query' is required."]);
+    }
+    res.json(
+      state.users.filter(
+        (user) =>
+          user.accountId.toLowerCase() === query ||
+          user.emailAddress.toLowerCase().startsWith(query) ||
+          user.displayName.toLowerCase().split(/\s+/).some((word) => word.startsWith(query)),
+      ),
+    );
+  });
+
+  // Creates an issue from the fields of a create request the way JIRA
+  // checks them. Returns { issue } or { errors } with JIRA's field errors.
+  function createIssueFromFields(fields) {
+    const errors = {};
+
+    const project = fields.project && findProject(fields.project.key || fields.project.id);
+    if (!project) {
+      errors.project = "valid project is required";
+    }
+    const issueType =
+      fields.issuetype &&
+      ISSUE_TYPES.find((type) => type.name === fields.issuetype.name || type.id === fields.issuetype.id);
+    if (!issueType) {
+      errors.issuetype = "Specify a valid issue type";
+    }
+    if (!fields.summary || typeof fields.summary !== "string") {
+      errors.summary = "You must specify a summary of the issue.";
+    } else if (fields.summary.length > 255) {
+      errors.summary = "Summary must be less than 255 characters.";
+    }
+    if (fields.description !== undefined && fields.description !== null && !isAtlassianDocument(fields.description)) {
+      errors.description = ADF_ERROR;
+    }
+    const assignee = fields.assignee && state.users.find((user) => user.accountId === fields.assignee.accountId);
+    if (fields.assignee && !assignee) {
+      errors.assignee = "Specified user does not exist or you do not have required permissions";
+    }
+    const sprint = fields[SPRINT_FIELD] && SPRINTS.find((candidate) => candidate.id === Number(fields[SPRINT_FIELD]));
+    if (fields[SPRINT_FIELD] && !sprint) {
+      errors[SPRINT_FIELD] = "Sprint with id " + fields[SPRINT_FIELD] + " does not exist";
+    }
+    const storyPoints = fields[STORY_POINTS_FIELD];
+    if (storyPoints !== undefined && storyPoints !== null && typeof storyPoints !== "number") {
+      errors[STORY_POINTS_FIELD] = "Operation value must be a number";
+    }
+    const priority = fields.priority
+      ? PRIORITIES.find((candidate) => candidate.name === fields.priority.name || candidate.id === fields.priority.id)
+      : PRIORITIES[2];
+    if (!priority) {
+      errors.priority = "Specify a valid priority";
+    }
+    // Sub-tasks need a parent; other issues may only have an epic as parent
+    const parent = fields.parent && findIssue(fields.parent.key || fields.parent.id);
+    if (fields.parent && !parent) {
+      errors.parent = "Could not find issue by id or key.";
+    } else if (issueType && issueType.subtask && !parent) {
+      errors.parent = "Issue type is a sub-task but parent issue key or id not specified.";
+    } else if (issueType && parent) {
+      const parentType = parent.fields.issuetype.name;
+      if (issueType.subtask ? parent.fields.issuetype.subtask : parentType !== "Epic") {
+        errors.parent = "Given parent work item does not belong to appropriate hierarchy.";
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    project.issueCounter++;
+    const id = nextId();
+    const key = `${project.key}-${project.issueCounter}`;
+    const now = new Date().toISOString();
+    const issue = {
+      id,
+      key,
+      self: `${state.baseUrl}/rest/api/3/issue/${id}`,
+      fields: {
+        summary: fields.summary,
+        description: fields.description || null,
+        issuetype: { id: issueType.id, name: issueType.name, subtask: issueType.subtask },
+        project: { id: project.id, key: project.key, name: project.name },
+        status: STATUSES[0],
+        priority,
+        labels: Array.isArray(fields.labels) ? fields.labels : [],
+        assignee: assignee || null,
+        reporter: state.users[0],
+        created: now,
+        updated: now,
+        duedate: null,
+        resolution: null,
+        attachment: [],
+        ...(parent && { parent: { id: parent.id, key: parent.key } }),
+        ...(sprint && { [SPRINT_FIELD]: [sprint] }),
+        ...(typeof storyPoints === "number" && { [STORY_POINTS_FIELD]: storyPoints }),
+      },
+    };
+    state.issues.set(key, issue);
+    return { issue };
+  }
+
+  app.post("/rest/api/3/issue", (req, res) => {
+    const { issue, errors } = createIssueFromFields((req.body && req.body.fields) || {});
+    if (errors) {
+      return jiraError(res, 400, [], errors);
+    }
+    res.status(201).json({ id: issue.id, key: issue.key, self: issue.self });
+  });
+
+  // Creates each issue on its own; answers 201 if any was created, else 400
+  app.post("/rest/api/3/issue/bulk", (req, res) => {
+    const issueUpdates = req.body && req.body.issueUpdates;
+    if (!Array.isArray(issueUpdates)) {
+      return jiraError(res, 400, ["issueUpdates must be an array"]);
+    }
+    if (issueUpdates.length > 50) {
+      return jiraError(res, 400, ["The number of issues to create exceeds the limit of 50."]);
+    }
+
+    const issues = [];
+    const errors = [];
+    issueUpdates.forEach((update, position) => {
+      const result = createIssueFromFields((update && update.fields) || {});
+      if (result.errors) {
+        errors.push({ status: 400, elementErrors: { errorMessages: [], errors: result.errors }, failedElementNumber: position });
+      } else {
+        issues.push({ id: result.issue.id, key: result.issue.key, self: result.issue.self });
+      }
+    });
+    res.status(issues.length > 0 ? 201 : 400).json({ issues, errors });
+  });
+
+  app.get("/rest/api/3/issue/:issueIdOrKey", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+
+    const fields = req.query.fields ? String(req.query.fields).split(",") : ["*all"];
+    const expand = req.query.expand ? String(req.query.expand).split(",").map((name) => name.trim()) : [];
+    const selected = selectFields(withRelatedFields(issue), fields);
+    const body = { expand: "renderedFields,names,schema,operations,editmeta,changelog", ...selected };
+
+    if (expand.includes("renderedFields")) {
+      body.renderedFields = { ...selected.fields };
+      if (selected.fields.description !== undefined) {
+        body.renderedFields.description = selected.fields.description ? renderHtml(selected.fields.description) : null;
+      }
+    }
+    if (expand.includes("names")) {
+      body.names = Object.fromEntries(Object.keys(selected.fields).map((name) => [name, FIELD_SCHEMAS[name].name]));
+    }
+    if (expand.includes("schema")) {
+      body.schema = Object.fromEntries(Object.keys(selected.fields).map((name) => [name, FIELD_SCHEMAS[name].schema]));
+    }
+    if (expand.includes("transitions")) {
+      body.transitions = listTransitions();
+    }
+    if (expand.includes("changelog")) {
+      const histories = state.histories.get(issue.id) || [];
+      body.changelog = { startAt: 0, maxResults: histories.length, total: histories.length, histories };
+    }
+    res.json(body);
+  });
+
+  // Validates the fields/update parts of an edit (or transition) request the
+  // way JIRA does. Returns the field errors, the new field values and any
+  // comments added through update operations, without touching the issue.
+  function editIssueFields(issue, body = {}) {
+    const fields = { ...body.fields };
+    const update = body.update || {};
+    const errors = {};
+    const changes = {};
+    const comments = [];
+
+    // Each field may be set through fields or through update operations, not both
+    Object.keys(update).forEach((name) => {
+      if (fields[name] !== undefined) {
+        errors[name] = "Field '" + name + "' cannot be set via both fields and update.";
+      }
+    });
+
+    // "update" operations are applied on top of the current value
+    Object.entries(update).forEach(([name, operations]) => {
+      if (!Array.isArray(operations)) {
+        errors[name] = "Operations must be an array.";
+        return;
+      }
+      if (name === "comment") {
+        operations.forEach((operation) => {
+          if (!operation.add || !isAtlassianDocument(operation.add.body)) {
+            errors.comment = "Comment body is not valid! " + ADF_ERROR;
+          } else {
+            comments.push(operation.add);
+          }
+        });
+      } else if (name === "labels") {
+        let labels = [...issue.fields.labels];
+        operations.forEach((operation) => {
+          if (operation.add !== undefined) {
+            labels = labels.includes(operation.add) ? labels : [...labels, operation.add];
+          } else if (operation.remove !== undefined) {
+            labels = labels.filter((label) => label !== operation.remove);
+          } else if (operation.set !== undefined) {
+            labels = operation.set;
+          }
+        });
+        changes.labels = labels;
+      } else {
+        const set = operations.find((operation) => operation.set !== undefined);
+        if (set) {
+          fields[name] = set.set;
+        } else {
+          errors[name] = `Field '${name}' only supports the set operation in the mock.`;
+        }
+      }
+    });
+
+    Object.entries(fields).forEach(([name, value]) => {
+      switch (name) {
+        case "summary":
+          if (!value || typeof value !== "string") {
+            errors.summary = "You must specify a summary of the issue.";
+          } else {
+            changes.summary = value;
+          }
+          break;
+        case "description":
+          if (value !== null && !isAtlassianDocument(value)) {
+            errors.description = ADF_ERROR;
+          } else {
+            changes.description = value;
+          }
+          break;
+        case "labels":
+          if (!Array.isArray(value) || value.some((label) => typeof label !== "string" || /\s/.test(label))) {
+            errors.labels = "The label must not contain spaces.";
+          } else {
+            changes.labels = value;
+          }
+          break;
+        case "priority": {
+          const priority =
+            value && PRIORITIES.find((candidate) => candidate.name === value.name || candidate.id === value.id);
+          if (!priority) {
+            errors.priority = "Specify a valid priority";
+          } else {
+            changes.priority = priority;
+          }
+          break;
+        }
+        case "assignee":
+        case "reporter": {
+          const user = value && state.users.find((candidate) => candidate.accountId === value.accountId);
+          if (value !== null && !user) {
+            errors[name] = "Specified user does not exist or you do not have required permissions";
+          } else {
+            changes[name] = user || null;
+          }
+          break;
+        }
+        case "resolution": {
+          const resolution =
+            value && RESOLUTIONS.find((candidate) => candidate.name === value.name || candidate.id === value.id);
+          if (value !== null && !resolution) {
+            errors.resolution = "Specify a valid resolution";
+          } else {
+            changes.resolution = resolution || null;
+          }
+          break;
+        }
+        case "duedate":
+          if (value !== null && (typeof value !== "string" || Number.isNaN(Date.parse(value)))) {
+            errors.duedate = "Error parsing date string: " + value;
+          } else {
+            changes.duedate = value;
+          }
+          break;
+        default:
+          errors[name] = `Field '${name}' cannot be set. It is not on the appropriate screen, or unknown.`;
+      }
+    });
+
+    return { errors, changes, comments };
+  }
+
+  // Applies validated changes to an issue and records them in its changelog
+  function applyChanges(issue, changes, extraItems = []) {
+    const items = Object.entries(changes).map(([name, value]) => ({
+      field: name,
+      fieldtype: "jira",
+      fromString: displayValue(issue.fields[name]),
+      toString: displayValue(value),
+    }));
+    Object.assign(issue.fields, changes);
+    if (items.length + extraItems.length > 0) {
+      issue.fields.updated = new Date().toISOString();
+      recordHistory(issue, [...extraItems, ...items]);
+    }
+  }
+
+  // Adds a comment to an issue, as the mock's current user
+  function addCommentTo(issue, body, visibility) {
+    const id = nextId();
+    const now = new Date().toISOString();
+    const comment = {
+      self: `${issue.self}/comment/${id}`,
+      id,
+      author: state.users[0],
+      body,
+      updateAuthor: state.users[0],
+      created: now,
+      updated: now,
+      jsdPublic: true,
+      ...(visibility && { visibility }),
+    };
+    state.comments.set(issue.id, [...(state.comments.get(issue.id) || []), comment]);
+    return comment;
+  }
+
+  app.put("/rest/api/3/issue/:issueIdOrKey", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+
+    const { errors, changes, comments } = editIssueFields(issue, req.body);
+    if (Object.keys(errors).length > 0) {
+      return jiraError(res, 400, [], errors);
+    }
+
+    applyChanges(issue, changes);
+    comments.forEach((comment) => addCommentTo(issue, comment.body, comment.visibility));
+    res.status(204).send();
+  });
+
+  app.delete("/rest/api/3/issue/:issueIdOrKey", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    const subtasks = [...state.issues.values()].filter(
+      (child) => child.fields.parent && child.fields.parent.id === issue.id && child.fields.issuetype.subtask,
+    );
+    if (subtasks.length > 0 && req.query.deleteSubtasks !== "true") {
+      return jiraError(res, 400, [
+        "The issue has subtasks. Delete them first, or use the deleteSubtasks parameter to delete them with the issue.",
+      ]);
+    }
+
+    [issue, ...subtasks].forEach((deleted) => {
+      state.issues.delete(deleted.key);
+      state.histories.delete(deleted.id);
+      state.comments.delete(deleted.id);
+      deleted.fields.attachment.forEach((attachment) => state.attachmentContents.delete(attachment.id));
+      state.issueLinks = state.issueLinks.filter(
+        (link) => link.inwardIssueId !== deleted.id && link.outwardIssueId !== deleted.id,
+      );
+    });
+    res.status(204).send();
+  });
+
+  // Returns an error message when a comment body or visibility would be rejected
+  function commentError(body) {
+    if (!body || !isAtlassianDocument(body.body)) {
+      return { body: "Comment body is not valid! " + ADF_ERROR };
+    }
+    const visibility = body.visibility;
+    if (visibility) {
+      const known =
+        visibility.type === "role"
+          ? PROJECT_ROLES.includes(visibility.value)
+          : visibility.type === "group" &&
+            GROUPS.some((group) => group.name === visibility.value || group.groupId === visibility.identifier);
+      if (!known) {
+        return { commentLevel: `You are currently not a member of the ${visibility.type}: ${visibility.value}.` };
+      }
+    }
+    return null;
+  }
+
+  const findComment = (issue, commentId) =>
+    (state.comments.get(issue.id) || []).find((comment) => comment.id === commentId);
+
+  // How JIRA shows another issue inside parent, subtasks and issuelinks
+  const issueReference = (issue) => ({
+    id: issue.id,
+    key: issue.key,
+    self: issue.self,
+    fields: {
+      summary: issue.fields.summary,
+      status: issue.fields.status,
+      priority: issue.fields.priority,
+      issuetype: issue.fields.issuetype,
+    },
+  });
+
+  // Issues store their comments, links and children separately; JIRA returns
+  // them as the comment, issuelinks and subtasks fields
+  function withRelatedFields(issue) {
+    const comments = state.comments.get(issue.id) || [];
+    const comment = { comments, self: `${issue.self}/comment`, maxResults: comments.length, total: comments.length, startAt: 0 };
+
+    const subtasks = [...state.issues.values()]
+      .filter((child) => child.fields.parent && child.fields.parent.id === issue.id && child.fields.issuetype.subtask)
+      .map(issueReference);
+    const issuelinks = state.issueLinks
+      .filter((link) => link.inwardIssueId === issue.id || link.outwardIssueId === issue.id)
+      .map((link) => {
+        const isInward = link.inwardIssueId === issue.id;
+        const other = findIssue(isInward ? link.outwardIssueId : link.inwardIssueId);
+        return {
+          id: link.id,
+          self: `${state.baseUrl}/rest/api/3/issueLink/${link.id}`,
+          type: link.type,
+          [isInward ? "outwardIssue" : "inwardIssue"]: issueReference(other),
+        };
+      });
+
+    const fields = { ...issue.fields, comment, subtasks, issuelinks };
+    const parent = issue.fields.parent && findIssue(issue.fields.parent.id);
+    if (parent) {
+      fields.parent = issueReference(parent);
+    }
+    return { ...issue, fields };
+  }
+
+  app.get("/rest/api/3/issue/:issueIdOrKey/comment", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    const comments = [...(state.comments.get(issue.id) || [])];
+    if (req.query.orderBy === "-created") {
+      comments.reverse();
+    }
+    const startAt = Number(req.query.startAt) || 0;
+    const maxResults = Math.min(Number(req.query.maxResults) || 50, 5000);
+    res.json({
+      startAt,
+      maxResults,
+      total: comments.length,
+      comments: comments.slice(startAt, startAt + maxResults),
+    });
+  });
+
+  app.post("/rest/api/3/issue/:issueIdOrKey/comment", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    const errors = commentError(req.body);
+    if (errors) {
+      return jiraError(res, 400, [], errors);
+    }
+
+    const comment = addCommentTo(issue, req.body.body, req.body.visibility);
+    res.status(201).json(comment);
+  });
+
+  app.put("/rest/api/3/issue/:issueIdOrKey/comment/:commentId", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    const comment = findComment(issue, req.params.commentId);
+    if (!comment) {
+      return jiraError(res, 404, [`Can not find a comment for the id: ${req.params.commentId}.`]);
+    }
+    const errors = commentError(req.body);
+    if (errors) {
+      return jiraError(res, 400, [], errors);
+    }
+
+    comment.body = req.body.body;
+    if (req.body.visibility) {
+      comment.visibility = req.body.visibility;
+    }
+    comment.updateAuthor = state.users[0];
+    comment.updated = new Date().toISOString();
+    res.json(comment);
+  });
+
+  app.delete("/rest/api/3/issue/:issueIdOrKey/comment/:commentId", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    if (!findComment(issue, req.params.commentId)) {
+      return jiraError(res, 404, [`Can not find a comment for the id: ${req.params.commentId}.`]);
+    }
+    state.comments.set(
+      issue.id,
+      state.comments.get(issue.id).filter((comment) => comment.id !== req.params.commentId),
+    );
+    res.status(204).send();
+  });
+
+  const findAttachment = (attachmentId) => {
+    for (const issue of state.issues.values()) {
+      const attachment = issue.fields.attachment.find((candidate) => candidate.id === attachmentId);
+      if (attachment) {
+        return { issue, attachment };
+      }
+    }
+    return null;
+  };
+
+  const attachmentNotFound = (res, attachmentId) =>
+    jiraError(res, 404, [`The attachment with id '${attachmentId}' does not exist`]);
+
+  app.post("/rest/api/3/issue/:issueIdOrKey/attachments", (req, res) => {
+    // JIRA's XSRF protection refuses multipart requests without this header
+    if (req.headers["x-atlassian-token"] !== "no-check") {
+      return res.status(403).type("text/plain").send("XSRF check failed");
+    }
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      req.resume();
+      return issueNotFound(res);
+    }
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, defParamCharset: "utf8" });
+    } catch (error) {
+      return jiraError(res, 415, ["Unsupported Media Type"]);
+    }
+    const files = [];
+    parser.on("file", (field, stream, info) => {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        if (field === "file") {
+          files.push({ ...info, data: Buffer.concat(chunks) });
+        }
+      });
+    });
+    parser.on("error", () => jiraError(res, 400, ["The attachment could not be read"]));
+    parser.on("close", () => {
+      if (res.headersSent) {
+        return;
+      }
+      const now = new Date().toISOString();
+      const attachments = files.map((file) => {
+        const id = nextId();
+        state.attachmentContents.set(id, file.data);
+        return {
+          self: `${state.baseUrl}/rest/api/3/attachment/${id}`,
+          id,
+          filename: file.filename,
+          author: state.users[0],
+          created: now,
+          size: file.data.length,
+          mimeType: file.mimeType,
+          content: `${state.baseUrl}/rest/api/3/attachment/content/${id}`,
+        };
+      });
+      issue.fields.attachment.push(...attachments);
+      res.json(attachments);
+    });
+    req.pipe(parser);
+  });
+
+  app.get("/rest/api/3/attachment/:id", (req, res) => {
+    const found = findAttachment(req.params.id);
+    if (!found) {
+      return attachmentNotFound(res, req.params.id);
+    }
+    res.json(found.attachment);
+  });
+
+  // JIRA redirects to the media service; the mock serves the file itself
+  app.get("/rest/api/3/attachment/content/:id", (req, res) => {
+    const found = findAttachment(req.params.id);
+    if (!found) {
+      return attachmentNotFound(res, req.params.id);
+    }
+    res.type(found.attachment.mimeType).send(state.attachmentContents.get(req.params.id));
+  });
+
+  app.delete("/rest/api/3/attachment/:id", (req, res) => {
+    const found = findAttachment(req.params.id);
+    if (!found) {
+      return attachmentNotFound(res, req.params.id);
+    }
+    found.issue.fields.attachment = found.issue.fields.attachment.filter(
+      (attachment) => attachment.id !== req.params.id,
+    );
+    state.attachmentContents.delete(req.params.id);
+    res.status(204).send();
+  });
+
+  const issueLinkType = (linkType) => ({ ...linkType, self: `${state.baseUrl}/rest/api/3/issueLinkType/${linkType.id}` });
+
+  app.get("/rest/api/3/issueLinkType", (req, res) => {
+    res.json({ issueLinkTypes: ISSUE_LINK_TYPES.map(issueLinkType) });
+  });
+
+  app.post("/rest/api/3/issueLink", (req, res) => {
+    const body = req.body || {};
+    const requested = body.type || {};
+    const linkType = ISSUE_LINK_TYPES.find(
+      (candidate) => candidate.id === requested.id || candidate.name === requested.name,
+    );
+    if (!linkType) {
+      return jiraError(res, 404, [`No issue link type with name '${requested.name || requested.id}' found.`]);
+    }
+    const ref = (issue) => issue && (issue.key || issue.id);
+    const inwardIssue = ref(body.inwardIssue) && findIssue(ref(body.inwardIssue));
+    const outwardIssue = ref(body.outwardIssue) && findIssue(ref(body.outwardIssue));
+    if (!inwardIssue || !outwardIssue) {
+      return issueNotFound(res);
+    }
+
+    const link = {
+      id: nextId(),
+      type: issueLinkType(linkType),
+      inwardIssueId: inwardIssue.id,
+      outwardIssueId: outwardIssue.id,
+    };
+    state.issueLinks.push(link);
+    res.status(201).location(`${state.baseUrl}/rest/api/3/issueLink/${link.id}`).send();
+  });
+
+  const findIssueLink = (linkId) => state.issueLinks.find((link) => link.id === linkId);
+
+  app.get("/rest/api/3/issueLink/:linkId", (req, res) => {
+    const link = findIssueLink(req.params.linkId);
+    if (!link) {
+      return jiraError(res, 404, ["No issue link with id '" + req.params.linkId + "' exists."]);
+    }
+    res.json({
+      id: link.id,
+      self: `${state.baseUrl}/rest/api/3/issueLink/${link.id}`,
+      type: link.type,
+      inwardIssue: issueReference(findIssue(link.inwardIssueId)),
+      outwardIssue: issueReference(findIssue(link.outwardIssueId)),
+    });
+  });
+
+  app.delete("/rest/api/3/issueLink/:linkId", (req, res) => {
+    if (!findIssueLink(req.params.linkId)) {
+      return jiraError(res, 404, ["No issue link with id '" + req.params.linkId + "' exists."]);
+    }
+    state.issueLinks = state.issueLinks.filter((link) => link.id !== req.params.linkId);
+    res.status(204).send();
+  });
+
+  app.get("/rest/api/3/issue/:issueIdOrKey/transitions", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    res.json({
+      expand: "transitions",
+      transitions: listTransitions(),
+    });
+  });
+
+  app.post("/rest/api/3/issue/:issueIdOrKey/transitions", (req, res) => {
+    const issue = findIssue(req.params.issueIdOrKey);
+    if (!issue) {
+      return issueNotFound(res);
+    }
+    const transitionId = req.body && req.body.transition && String(req.body.transition.id);
+    const transition = TRANSITIONS.find((candidate) => candidate.id === transitionId);
+    if (!transition) {
+      return jiraError(res, 400, [`Transition id '${transitionId}' is not valid for this issue.`]);
+    }
+    const { errors, changes, comments } = editIssueFields(issue, req.body);
+    if (Object.keys(errors).length > 0) {
+      return jiraError(res, 400, [], errors);
+    }
+
+    const from = issue.fields.status;
+    const to = STATUSES.find((status) => status.id === transition.to);
+    issue.fields.status = to;
+    applyChanges(issue, changes, [
+      {
+        field: "status",
+        fieldtype: "jira",
+        from: from.id,
+        fromString: from.name,
+        to: to.id,
+        toString: to.name,
+      },
+    ]);
+    comments.forEach((comment) => addCommentTo(issue, comment.body, comment.visibility));
+    res.status(204).send();
+  });
+
+  // Runs a JQL query over the in-memory issues. Returns the parsed query and the
+  // sorted matches, or sends JIRA's 400 response and returns null when the
+  // query is invalid.
+  function runJql(jql, res) {
+    let query;
+    try {
+      query = parseJql(jql);
+    } catch (error) {
+      jiraError(res, 400, [error.message]);
+      return null;
+    }
+
+    const projectClauses = query.clauses.filter((clause) => clause.field === "project" && clause.values.length > 0);
+    for (const clause of projectClauses) {
+      const missing = clause.values.find((value) => !findProject(value));
+      if (missing !== undefined) {
+        jiraError(res, 400, [`The value '${missing}' does not exist for the field 'project'.`]);
+        return null;
+      }
+    }
+
+    const matches = [...state.issues.values()].filter((issue) =>
+      query.clauses.every((clause) => matchesClause(issue, clause)),
+    );
+
+    query.orderBy
+      .slice()
+      .reverse()
+      .forEach(({ field, desc }) => {
+        matches.sort((a, b) => {
+          const left = String(issueFieldValues(a, field)[0] || "");
+          const right = String(issueFieldValues(b, field)[0] || "");
+          const compared = left.localeCompare(right, undefined, { numeric: true });
+          return desc ? -compared : compared;
+        });
+      });
+
+    return { query, matches };
+  }
+
+  app.post("/rest/api/3/jql/parse", (req, res) => {
+    const queries = req.body && req.body.queries;
+    if (!Array.isArray(queries)) {
+      return jiraError(res, 400, ["queries must be an array of JQL strings"]);
+    }
+
+    res.json({
+      queries: queries.map((jql) => {
+        try {
+          const structure = parseJql(jql);
+          const missing = structure.clauses
+            .filter((clause) => clause.field === "project")
+            .flatMap((clause) => clause.values)
+            .filter((value) => !findProject(value));
+          if (missing.length > 0) {
+            return {
+              query: jql,
+              errors: missing.map((value) => `The value '${value}' does not exist for the field 'project'.`),
+            };
+          }
+          return { query: jql, structure };
+        } catch (error) {
+          return { query: jql, errors: [error.message] };
+        }
+      }),
+    });
+  });
+
+  app.get("/rest/api/3/search", (req, res) => {
+    const result = runJql(req.query.jql, res);
+    if (!result) {
+      return;
+    }
+    const { matches } = result;
+
+    const startAt = Number(req.query.startAt) || 0;
+    const maxResults = Math.min(Number(req.query.maxResults) || 50, 100);
+    res.json({
+      expand: "schema,names",
+      startAt,
+      maxResults,
+      total: matches.length,
+      issues: matches.slice(startAt, startAt + maxResults),
+    });
+  });
+
+  // Enhanced JQL search: cursor based paging with an opaque nextPageToken, and
+  // only issue ids unless fields are requested
+  app.get("/rest/api/3/search/jql", (req, res) => {
+    const result = runJql(req.query.jql, res);
+    if (!result) {
+      return;
+    }
+    const { query, matches } = result;
+    if (query.clauses.length === 0) {
+      return jiraError(res, 400, [
+        "Unbounded JQL queries are not allowed here. Please add a search restriction to your query.",
+      ]);
+    }
+
+    let startAt = 0;
+    if (req.query.nextPageToken) {
+      startAt = Number(Buffer.from(String(req.query.nextPageToken), "base64url").toString());
+      if (!Number.isInteger(startAt) || startAt < 0) {
+        return jiraError(res, 400, ["The provided next page token is invalid or expired."]);
+      }
+    }
+    const maxResults = Math.min(Number(req.query.maxResults) || 50, 5000);
+    const page = matches.slice(startAt, startAt + maxResults);
+    const isLast = startAt + maxResults >= matches.length;
+    const fields = req.query.fields ? String(req.query.fields).split(",") : ["id"];
+
+    res.json({
+      issues: page.map((issue) => selectFields(withRelatedFields(issue), fields)),
+      ...(isLast ? {} : { nextPageToken: Buffer.from(String(startAt + maxResults)).toString("base64url") }),
+      isLast,
+    });
+  });
+
+  app.use((req, res) => {
+    jiraError(res, 404, [`No mock implementation for ${req.method} ${req.path}`]);
+  });
+
+  return { app, state };
+}
+
+/**
+ * Values of an issue field as used by JQL comparisons
+ * @param {object} issue
+ * @param {string} field - Lower-cased JQL field name
+ * @returns {Array} All values the field matches on
+ */
+function issueFieldValues(issue, field) {
+  const fields = issue.fields;
+  switch (field) {
+    case "project":
+      return [fields.project.key, fields.project.id, fields.project.name];
+    case "key":
+    case "issuekey":
+      return [issue.key, issue.id];
+    case "status":
+      return [fields.status.name, fields.status.id];
+    case "issuetype":
+    case "type":
+      return [fields.issuetype.name, fields.issuetype.id];
+    case "priority":
+      return fields.priority ? [fields.priority.name, fields.priority.id] : [];
+    case "assignee":
+    case "reporter":
+      return fields[field] ? [fields[field].accountId, fields[field].emailAddress, fields[field].displayName] : [];
+    case "labels":
+      return fields.labels;
+    case "parent":
+      return fields.parent ? [fields.parent.key, fields.parent.id] : [];
+    case "summary":
+    case "created":
+    case "updated":
+      return [fields[field]];
+    case "description":
+      return [adfText(fields.description)];
+    case "text":
+      return [fields.summary, adfText(fields.description)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * How a field value is shown in the changelog (fromString/toString)
+ * @param {*} value
+ * @returns {string|null}
+ */
+function displayValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.join(" ");
+  }
+  if (typeof value === "object") {
+    return value.type === "doc" ? adfText(value) : value.displayName || value.name || null;
+  }
+  return String(value);
+}
+
+/**
+ * The transitions available from every status in the mock workflow
+ * @returns {Array<object>}
+ */
+function listTransitions() {
+  return TRANSITIONS.map((transition) => ({
+    id: transition.id,
+    name: transition.name,
+    to: STATUSES.find((status) => status.id === transition.to),
+    hasScreen: false,
+    isGlobal: true,
+    isInitial: false,
+    isAvailable: true,
+    isConditional: false,
+  }));
+}
+
+/**
+ * A rough HTML rendering of an ADF document, standing in for JIRA's renderedFields
+ * @param {object} node
+ * @returns {string}
+ */
+function renderHtml(node) {
+  if (!node || typeof node !== "object") {
+    return "";
+  }
+  const inner = (node.content || []).map(renderHtml).join("");
+  switch (node.type) {
+    case "text":
+      return node.text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    case "paragraph":
+      return `<p>${inner}</p>`;
+    case "heading":
+      return `<h${node.attrs.level}>${inner}</h${node.attrs.level}>`;
+    case "bulletList":
+      return `<ul>${inner}</ul>`;
+    case "orderedList":
+      return `<ol>${inner}</ol>`;
+    case "listItem":
+      return `<li>${inner}</li>`;
+    case "codeBlock":
+      return `<pre>${inner}</pre>`;
+    case "hardBreak":
+      return "<br/>";
+    default:
+      return inner;
+  }
+}
+
+/**
+ * Copies an issue keeping only the requested fields, like the `fields` query
+ * parameter does in JIRA. "*all" and "*navigable" keep every field, "-name"
+ * excludes one and "id" alone returns just the issue id.
+ * @param {object} issue
+ * @param {Array<string>} fields
+ * @returns {object}
+ */
+function selectFields(issue, fields) {
+  const requested = fields.map((field) => field.trim()).filter((field) => field !== "");
+  if (requested.length === 1 && requested[0] === "id") {
+    return { id: issue.id };
+  }
+
+  const all = requested.includes("*all") || requested.includes("*navigable");
+  const selected = {};
+  Object.keys(issue.fields).forEach((name) => {
+    if ((all || requested.includes(name)) && !requested.includes("-" + name)) {
+      selected[name] = issue.fields[name];
+    }
+  });
+  return { id: issue.id, key: issue.key, self: issue.self, fields: selected };
+}
+
+/**
+ * Starts the mock JIRA server
+ * @param {number} [port] - Port to listen on, 0 picks a free one
+ * @returns {Promise<{server: object, state: object, url: string}>}
+ */
+function startMockJiraServer(port = Number(process.env.MOCK_JIRA_PORT) || DEFAULT_PORT) {
+  return new Promise((resolve, reject) => {
+    const mock = createMockJira();
+    const server = mock.app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      mock.state.baseUrl = url;
+      resolve({ server, state: mock.state, url });
+    });
+    server.on("error", reject);
+  });
+}
+
+// Env variables the scripts expect, filled with mock values when unset
+const MOCK_ENV = {
+  ATLASSIAN_USERNAME: "mock@example.com",
+  ATLASSIAN_API_KEY: "mock-api-key",
+  DOMAIN: "mock",
+  LEAD_ACCT_ID: "557058:mock-user-0001",
+  PROJECT_KEY: "TEST",
+  PROJECT_NAME: "MockProject",
+};
+
+/**
+ * Runs a function against a freshly started mock JIRA: the shared JiraClient
+ * is pointed at the mock and stopped again once the function settles.
+ * Used by `node test-migration.js --mock` and `node adf-examples.js --mock`.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Whatever fn resolves to
+ */
+async function withMockJira(fn) {
+  Object.entries(MOCK_ENV).forEach(([name, value]) => {
+    if (!process.env[name]) {
+      process.env[name] = value;
+    }
+  });
+
+  const { server, url } = await startMockJiraServer(0);
+  console.log(`🧪 Using mock JIRA Cloud at ${url}`);
+  setJiraClient({ baseUrl: url });
+  try {
+    return await fn();
+  } finally {
+    server.close();
+  }
+}
+
+module.exports = {
+  createMockJira,
+  startMockJiraServer,
+  withMockJira,
+  isAtlassianDocument,
+  parseJql,
+  tokenizeJql,
+};
+
+// Start the server if this file is executed directly
+if (require.main === module) {
+  startMockJiraServer()
+    .then(({ url }) => {
+      console.log(`🧪 Mock JIRA Cloud is running on ${url}`);
+      console.log(`🔧 Start the app against it with: JIRA_BASE_URL=${url} node app.js`);
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,246 @@
+/**
+ * Cache for JIRA reads that rarely change
+ *
+ * GET /projects, GET /users and GET /issues/:issueKey/transitions keep what
+ * JIRA answered for a while instead of asking again on every request. Each
+ * cached value gets an ETag computed from its content, so clients can send
+ * If-None-Match and get a 304 while nothing changed. The app drops entries
+ * when its own write routes change them, e.g. a transition drops the cached
+ * transitions of the issue.
+ *
+ * Values are kept in a store. The default MemoryCacheStore is an in-memory
+ * LRU; any object with get(key), set(key, entry, ttlMs) and delete(key) can
+ * replace it, and its methods may return promises (e.g. a Redis store).
+ *
+ * Settings are read from env variables:
+ *
+ *   RESPONSE_CACHE_MAX_ENTRIES        - Entries the memory store keeps (default 500)
+ *   RESPONSE_CACHE_TTL_PROJECTS_MS    - How long projects are kept (default 300000)
+ *   RESPONSE_CACHE_TTL_USERS_MS       - How long users are kept (default 300000)
+ *   RESPONSE_CACHE_TTL_TRANSITIONS_MS - How long the transitions of an issue are kept (default 60000)
+ *
+ * A TTL of 0 turns caching off for that kind of read; responses still get an ETag.
+ *
+ * A read that was loading from JIRA while a write invalidated it is not
+ * stored, nor shared with the requests that arrive after the write, so the
+ * value from before the write is never served again.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTLS = {
+  projects: 300000,
+  users: 300000,
+  transitions: 60000,
+};
+
+// Reads a number of milliseconds from the env, allowing 0
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
+
+/**
+ * Reads the cache settings from the env variables
+ * @returns {{maxEntries: number, ttls: {projects: number, users: number, transitions: number}}}
+ */
+function cacheSettingsFromEnv() {
+  return {
+    maxEntries: numberFromEnv("RESPONSE_CACHE_MAX_ENTRIES", DEFAULT_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    ttls: {
+      projects: numberFromEnv("RESPONSE_CACHE_TTL_PROJECTS_MS", DEFAULT_TTLS.projects),
+      users: numberFromEnv("RESPONSE_CACHE_TTL_USERS_MS", DEFAULT_TTLS.users),
+      transitions: numberFromEnv("RESPONSE_CACHE_TTL_TRANSITIONS_MS", DEFAULT_TTLS.transitions),
+    },
+  };
+}
+
+/**
+ * Computes the ETag of a value
+ * @param {*} value - Anything JSON can hold
+ * @returns {string} Strong ETag, quotes included
+ */
+function etagFor(value) {
+  return `"${crypto.createHash("sha1").update(JSON.stringify(value)).digest("base64url")}"`;
+}
+
+/**
+ * In-memory store that drops the least recently used entry when full
+ */
+class MemoryCacheStore {
+  /**
+   * @param {number} [maxEntries]
+   */
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    // A Map keeps insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|undefined} The entry, undefined when missing or expired
+   */
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (item.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} entry
+   * @param {number} ttlMs - Milliseconds to keep the entry
+   */
+  set(key, entry, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+class ResponseCache {
+  /**
+   * @param {object} [options] - Defaults to the env settings, see cacheSettingsFromEnv
+   * @param {object} [options.store] - Where entries are kept (default a MemoryCacheStore)
+   * @param {number} [options.maxEntries] - Size of the default store
+   * @param {object} [options.ttls] - Milliseconds to keep each kind of read, e.g. { projects: 300000 }
+   */
+  constructor(options = {}) {
+    const settings = cacheSettingsFromEnv();
+    this.store = options.store || new MemoryCacheStore(options.maxEntries || settings.maxEntries);
+    this.ttls = { ...settings.ttls, ...options.ttls };
+    // Loads in progress by key, so requests that miss at the same time ask JIRA once
+    this.loading = new Map();
+    // Bumped when every read of a kind is invalidated; entries of older generations are ignored
+    this.generations = new Map();
+  }
+
+  /**
+   * @param {string} kind - e.g. "transitions"
+   * @param {string} [id] - e.g. the issue key
+   * @returns {string}
+   */
+  static key(kind, id) {
+    return id === undefined ? kind : `${kind}:${id}`;
+  }
+
+  /**
+   * Returns a cached read, or loads and caches it
+   * @param {string} kind - Kind of read, one of the ttls
+   * @param {string|null|undefined} id - What is read, e.g. the issue key; null reads without caching
+   * @param {function(): Promise<*>} load - Reads the value from JIRA
+   * @returns {Promise<{value: *, etag: string, expiresAt: number, hit: boolean}>}
+   */
+  async read(kind, id, load) {
+    const ttl = id === null ? 0 : this.ttls[kind] || 0;
+    const key = ResponseCache.key(kind, id);
+    const generation = this.generations.get(kind) || 0;
+    if (ttl > 0) {
+      const entry = await this.store.get(key);
+      if (entry && entry.generation === generation) {
+        return { ...entry, hit: true };
+      }
+    }
+    const pending = ttl > 0 && this.loading.get(key);
+    if (pending && !pending.stale) {
+      return { ...(await pending.promise), hit: false };
+    }
+
+    const loading = { kind, stale: false };
+    loading.promise = (async () => {
+      const value = await load();
+      const entry = { value, etag: etagFor(value), expiresAt: Date.now() + ttl, generation };
+      // An invalidate while loading means the value may be from before a write
+      if (ttl > 0 && !loading.stale) {
+        await this.store.set(key, entry, ttl);
+      }
+      return entry;
+    })();
+    if (ttl > 0) {
+      this.loading.set(key, loading);
+    }
+    try {
+      return { ...(await loading.promise), hit: false };
+    } finally {
+      if (this.loading.get(key) === loading) {
+        this.loading.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drops a cached read, e.g. after a write route changed it. Without an id,
+   * every read of the kind is dropped.
+   * @param {string} kind
+   * @param {string} [id]
+   * @returns {Promise<void>}
+   */
+  async invalidate(kind, id) {
+    const key = ResponseCache.key(kind, id);
+    this.loading.forEach((loading, loadingKey) => {
+      if (loadingKey === key || (id === undefined && loading.kind === kind)) {
+        loading.stale = true;
+      }
+    });
+    if (id === undefined) {
+      this.generations.set(kind, (this.generations.get(kind) || 0) + 1);
+    }
+    await this.store.delete(key);
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * Returns the cache used by the app, creating it from the env variables the first time
+ * @returns {ResponseCache}
+ */
+function getResponseCache() {
+  if (!defaultCache) {
+    defaultCache = new ResponseCache();
+  }
+  return defaultCache;
+}
+
+/**
+ * Replaces the cache used by the app, e.g. with one backed by another store
+ * @param {ResponseCache|object} cache - A ResponseCache or the options to create one
+ * @returns {ResponseCache} The cache now in use
+ */
+function setResponseCache(cache) {
+  defaultCache = cache instanceof ResponseCache ? cache : new ResponseCache(cache);
+  return defaultCache;
+}
+
+module.exports = {
+  MemoryCacheStore,
+  ResponseCache,
+  cacheSettingsFromEnv,
+  etagFor,
+  getResponseCache,
+  setResponseCache,
+};
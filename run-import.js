@@ -0,0 +1,120 @@
+// run-import.js
+// Imports issues from a CSV or JSON file, e.g. a backlog exported from a spreadsheet
+//
+// Usage: node run-import.js <file> --project PROJ [options]
+//   --mapping <file>      JSON column mapping, e.g. { "summary": "Title", "assignee": "Owner" }
+//   --issue-type <name>   Issue type for rows that have none
+//   --priority <name>     Priority for rows that have none
+//   --label <label>       Label added to every issue (can be repeated)
+//   --markdown            Descriptions are Markdown instead of plain text
+//   --format <csv|json>   Format of the file (default: from its extension)
+//   --dry-run             Only check the rows
+//   --skip-invalid        Import the valid rows even when some rows are invalid
+//   --report <file>       Where the report is written (default: <file>.report.json)
+//   --mock                Import into the local mock JIRA
+//
+// The report lists every row with its created key or its errors. Running the
+// same command again after a partial failure resumes the import: the rows the
+// report shows as created are skipped.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const importIssues = require("./import-issues");
+const { parseImportData } = require("./issue-import");
+const { withMockJira } = require("./mock-jira-server");
+
+const USAGE = "Usage: node run-import.js <file> --project PROJ [--mapping mapping.json] [--dry-run] [--mock] ...";
+
+// Reads the command line into { file, flags, values, labels }
+function parseArguments(args) {
+  const options = { flags: new Set(), values: {}, labels: [] };
+  const withValue = ["--project", "--mapping", "--issue-type", "--priority", "--label", "--format", "--report"];
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (withValue.includes(arg)) {
+      const value = args[++index];
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === "--label") {
+        options.labels.push(value);
+      } else {
+        options.values[arg.slice(2)] = value;
+      }
+    } else if (arg.startsWith("--")) {
+      options.flags.add(arg.slice(2));
+    } else if (options.file === undefined) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function runImport(args) {
+  const { file, flags, values, labels } = parseArguments(args);
+  if (!file || !values.project) {
+    throw new Error(USAGE);
+  }
+
+  const format = values.format || path.extname(file).slice(1).toLowerCase();
+  const reportFile = values.report || `${file}.report.json`;
+  const rows = parseImportData(fs.readFileSync(file, "utf8"), format);
+  const mapping = values.mapping ? JSON.parse(fs.readFileSync(values.mapping, "utf8")) : {};
+
+  let previousReport;
+  if (fs.existsSync(reportFile)) {
+    previousReport = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+    const imported = previousReport.results.filter((result) => result.key).length;
+    console.log(`↩️  Resuming from ${reportFile}: ${imported} row(s) were imported before`);
+  }
+
+  const report = await importIssues(rows, {
+    projectKey: values.project,
+    mapping,
+    defaults: { issueType: values["issue-type"], priority: values.priority, labels },
+    descriptionFormat: flags.has("markdown") ? "markdown" : "text",
+    dryRun: flags.has("dry-run"),
+    skipInvalid: flags.has("skip-invalid"),
+    previousReport,
+  });
+
+  report.results
+    .filter((result) => result.status === "invalid" || result.status === "failed")
+    .forEach((result) => {
+      const problems = Object.entries(result.errors || {}).map(([field, message]) => `${field}: ${message}`);
+      console.log(`❌ Row ${result.row} ${result.status}: ${problems.join("; ") || result.error}`);
+    });
+
+  // A dry run leaves the report of the last real run in place
+  if (!report.dryRun) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${reportFile}`);
+  }
+
+  if (report.invalid > 0 && !flags.has("skip-invalid")) {
+    console.log(`\n⚠️  ${report.invalid} invalid row(s)${report.dryRun ? "" : "; nothing was imported"}. Fix them and run again.`);
+    process.exitCode = 1;
+  } else if (report.failed > 0) {
+    console.log(`\n⚠️  ${report.failed} row(s) failed. Fix them and run again to import the rest.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✅ ${report.dryRun ? "All rows are valid" : `${report.created + report.skipped} of ${report.total} rows imported`}`);
+  }
+  return report;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const run = args.includes("--mock") ? () => withMockJira(() => runImport(args)) : () => runImport(args);
+  run().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runImport,
+};
@@ -0,0 +1,146 @@
+/**
+ * Registry of outgoing event subscriptions
+ *
+ * Downstream services subscribe a URL to event types and are called back when
+ * issues are created, transitioned or deleted through this app (see
+ * event-publisher.js). Each subscription has a secret its callbacks are signed
+ * with. Subscriptions are saved to a JSON file so they outlive restarts.
+ *
+ * The file is set with the SUBSCRIPTIONS_FILE env variable
+ * (default: data/subscriptions.json).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SUBSCRIPTIONS_FILE = path.join(__dirname, "data", "subscriptions.json");
+
+// Events a subscription can ask for
+const EVENT_TYPES = ["issue.created", "issue.transitioned", "issue.deleted"];
+
+/**
+ * Returns a subscription without its secret, as the API shows it
+ * @param {object} subscription
+ * @returns {object}
+ */
+function publicSubscription(subscription) {
+  const { secret, ...shown } = subscription;
+  return shown;
+}
+
+class SubscriptionRegistry {
+  /**
+   * @param {string} [file] - Path of the JSON file
+   */
+  constructor(file = process.env.SUBSCRIPTIONS_FILE || DEFAULT_SUBSCRIPTIONS_FILE) {
+    this.file = file;
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Reads the saved subscriptions
+   * @returns {number} Number of subscriptions read
+   */
+  load() {
+    this.subscriptions = new Map();
+    if (fs.existsSync(this.file)) {
+      JSON.parse(fs.readFileSync(this.file, "utf8")).forEach((subscription) =>
+        this.subscriptions.set(subscription.id, subscription),
+      );
+    }
+    return this.subscriptions.size;
+  }
+
+  // Writes a new file and renames it over the old one, so a crash never leaves half a file
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(temporary, this.file);
+  }
+
+  /**
+   * @returns {Array<object>} All subscriptions, oldest first
+   */
+  list() {
+    return [...this.subscriptions.values()];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  get(id) {
+    return this.subscriptions.get(id);
+  }
+
+  /**
+   * @param {string} type - One of EVENT_TYPES
+   * @returns {Array<object>} The active subscriptions to an event type
+   */
+  subscribedTo(type) {
+    return this.list().filter((subscription) => subscription.active && subscription.events.includes(type));
+  }
+
+  /**
+   * Adds a subscription
+   * @param {object} settings
+   * @param {string} settings.url - URL the callbacks are posted to
+   * @param {Array<string>} settings.events - Event types, see EVENT_TYPES
+   * @param {string} [settings.secret] - Signing secret; a random one is made when left out
+   * @param {string} [settings.description]
+   * @returns {object} The new subscription, with its secret
+   */
+  create({ url, events, secret, description }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events: [...new Set(events)],
+      description: description || "",
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      active: true,
+      consecutiveFailures: 0,
+      disabledAt: null,
+      disabledReason: null,
+      createdAt: new Date().toISOString(),
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+    return subscription;
+  }
+
+  /**
+   * Changes a subscription
+   * @param {string} id
+   * @param {object} changes - Properties to set
+   * @returns {object|undefined} The changed subscription, undefined when there is none with the id
+   */
+  update(id, changes) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return undefined;
+    }
+    Object.assign(subscription, changes);
+    this.save();
+    return subscription;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} False when there is no subscription with the id
+   */
+  remove(id) {
+    const removed = this.subscriptions.delete(id);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  SubscriptionRegistry,
+  publicSubscription,
+};
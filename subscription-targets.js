@@ -0,0 +1,122 @@
+/**
+ * Subscription Target Checks
+ *
+ * Subscriptions make the app POST signed requests to any URL a caller names,
+ * so URLs on this machine or the internal network (loopback, private,
+ * link-local and cloud metadata addresses) are refused: otherwise anyone who
+ * can reach the app could make it call internal services. Hosts are checked
+ * when a subscription is saved and again, after DNS resolution, every time a
+ * callback connects, so a name that later resolves to an internal address is
+ * refused too.
+ *
+ * Internal services that should be called anyway are listed in the
+ * SUBSCRIPTION_ALLOWED_HOSTS env variable, comma-separated host names or
+ * addresses, e.g. "ci.internal,10.0.0.12".
+ */
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Addresses callbacks are never sent to, unless their host is allowed
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Reads the allowed internal hosts from the env variable
+ * @returns {Array<string>} Lower-case host names and addresses
+ */
+function allowedHostsFromEnv() {
+  return (process.env.SUBSCRIPTION_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter((host) => host !== "");
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Host of a URL without the brackets of an IPv6 address
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * Checks that a subscription URL does not point at an internal host
+ * @param {string} url - http or https URL
+ * @param {Array<string>} [allowedHosts] - Defaults to SUBSCRIPTION_ALLOWED_HOSTS
+ * @returns {Promise<string|null>} Why the URL is refused, or null when it may be used
+ */
+async function checkSubscriptionUrl(url, allowedHosts = allowedHostsFromEnv()) {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) {
+    return null;
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+  } catch (error) {
+    return `${host} could not be resolved`;
+  }
+  const internal = addresses.find(isInternalAddress);
+  return internal ? `${host} is an internal address (${internal}); list it in SUBSCRIPTION_ALLOWED_HOSTS to allow it` : null;
+}
+
+// dns.lookup that fails for internal addresses, for the agents below
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const allowed = allowedHostsFromEnv().includes(hostname.toLowerCase());
+    const internal = !allowed && addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to the internal address ${internal.address}`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * HTTP agents for callbacks: their connections fail when the host resolves
+ * to an internal address. Addresses in the URL itself are not looked up, so
+ * check those with checkSubscriptionUrl before each request.
+ */
+const callbackAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+module.exports = {
+  allowedHostsFromEnv,
+  isInternalAddress,
+  checkSubscriptionUrl,
+  callbackAgents,
+};
@@ -1,8 +1,13 @@
 // test-migration.js
 // Test script to verify JIRA API v3 migration and functionality
+// Run with --mock to test against the local mock JIRA instead of a real site
 
 require('dotenv').config();
-const axios = require('axios');
+const assert = require('assert');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { getJiraClient } = require('./jira-client');
+const { withMockJira } = require('./mock-jira-server');
 
 // Import all service functions
 const createIssue = require('./create-issue');
@@ -14,10 +19,20 @@ const getIssueByID = require('./get-issue-by-id');
 const deleteIssueByID = require('./delete-issue-by-id');
 const getTransitions = require('./get-transitions');
 const updateStatus = require('./update-status');
+const { quoteJqlValue, buildIssueSearchJql } = require('./jql-builder');
+const { markdownToADF, adfToHTML, textToADF } = require('./adf-utils');
+const { validateADF } = require('./adf-schema');
+const { doc, strong, link } = require('./adf-builder');
+const { resolveColumns, writeExport } = require('./issue-export');
+const { verifySignature, parseWebhookEvent } = require('./jira-webhooks');
+const InvalidRequestError = require('./invalid-request-error');
+const { ResponseCache } = require('./response-cache');
 
 // Test configuration
 const TEST_CONFIG = {
-  projectKey: process.env.PROJECT_KEY || 'TEST',
+  get projectKey() {
+    return process.env.PROJECT_KEY || 'TEST';
+  },
   issueType: 'Task',
   summary: 'Migration Test Issue',
   description: 'This issue was created to test the API v3 migration',
@@ -47,6 +62,283 @@ const separator = () => {
   console.log('\n' + '='.repeat(60));
 };
 
+// Module tests - pure functions checked without JIRA
+async function testJqlBuilder() {
+  separator();
+  log('Testing JQL Builder Escaping...');
+
+  try {
+    assert.strictEqual(quoteJqlValue('say "hi" \\o/'), '"say \\"hi\\" \\\\o/"');
+    assert.strictEqual(
+      buildIssueSearchJql({ project: 'PROJ', status: 'In Progress,Done', assignee: 'unassigned', orderBy: '-created' }),
+      'project = "PROJ" AND status in ("In Progress", "Done") AND assignee is EMPTY ORDER BY created DESC'
+    );
+    assert.strictEqual(
+      buildIssueSearchJql({ text: 'x" OR project = SECRET' }),
+      'text ~ "x\\" OR project = SECRET"'
+    );
+    assert.throws(() => buildIssueSearchJql({ orderBy: 'summary; DROP' }), /Cannot order by/);
+    assert.throws(() => buildIssueSearchJql({ createdFrom: '2024-01-01" OR 1=1' }), /Invalid date/);
+    success('JQL values are quoted and escaped');
+    return true;
+  } catch (err) {
+    error('JQL builder test failed', err);
+    return false;
+  }
+}
+
+async function testMarkdownToADF() {
+  separator();
+  log('Testing Markdown to ADF...');
+
+  try {
+    const paragraph = markdownToADF('**b** [x](https://example.com/p_(1)) \\*lit\\*').content[0].content;
+    assert.deepStrictEqual(paragraph, [
+      { type: 'text', text: 'b', marks: [{ type: 'strong' }] },
+      { type: 'text', text: ' ' },
+      { type: 'text', text: 'x', marks: [{ type: 'link', attrs: { href: 'https://example.com/p_(1)' } }] },
+      { type: 'text', text: ' *lit*' }
+    ]);
+
+    // Script links keep their label only, however the scheme is disguised
+    ['javascript:alert(1)', '<java\tscript:alert(1)>', '<java\nscript:alert(1)>', '\u0001javascript:alert(1)'].forEach(href => {
+      assert.deepStrictEqual(markdownToADF(`[a](${href})`).content[0].content, [{ type: 'text', text: 'a' }], href);
+    });
+
+    // A quote without text is still valid ADF
+    ['> ', '>'].forEach(markdown => {
+      const adf = markdownToADF(markdown);
+      assert.deepStrictEqual(adf.content, [{ type: 'blockquote', content: [{ type: 'paragraph', content: [] }] }]);
+      assert.deepStrictEqual(validateADF(adf), []);
+    });
+    success('Markdown converts to valid ADF without script links');
+    return true;
+  } catch (err) {
+    error('Markdown to ADF test failed', err);
+    return false;
+  }
+}
+
+async function testADFToHTML() {
+  separator();
+  log('Testing ADF to HTML...');
+
+  const linked = href => ({
+    type: 'doc',
+    version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text: 'x', marks: [{ type: 'link', attrs: { href } }] }] }]
+  });
+
+  try {
+    assert.strictEqual(
+      adfToHTML({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: '<b>"&"</b>' }] }] }),
+      '<p>&lt;b&gt;&quot;&amp;&quot;&lt;/b&gt;</p>'
+    );
+    ['https://example.com/?a=1&b=2', 'mailto:jane@example.com', '/browse/PROJ-1', '#top'].forEach(href => {
+      assert.strictEqual(adfToHTML(linked(href)), `<p><a href="${href.replace(/&/g, '&amp;')}">x</a></p>`);
+    });
+    ['javascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)', '\u0001javascript:alert(1)',
+      ' JAVASCRIPT:alert(1)', 'data:text/html,x', 'vbscript:x', 'ftp://example.com'].forEach(href => {
+      assert.strictEqual(adfToHTML(linked(href)), '<p><a href="#">x</a></p>', JSON.stringify(href));
+    });
+    success('HTML is escaped and links only to http, https, mailto and relative URLs');
+    return true;
+  } catch (err) {
+    error('ADF to HTML test failed', err);
+    return false;
+  }
+}
+
+async function testADFBuilder() {
+  separator();
+  log('Testing ADF Builder and Schema Validation...');
+
+  try {
+    const adf = doc()
+      .heading(9, 'Title')
+      .paragraph('a ', strong('b'), link('x', 'https://example.com'))
+      .bulletList(['one', 'two'])
+      .codeBlock('x = 1', 'js')
+      .build();
+    assert.deepStrictEqual(adf.content[0], { type: 'heading', attrs: { level: 6 }, content: [{ type: 'text', text: 'Title' }] });
+    assert.strictEqual(adf.content[2].content.length, 2);
+    assert.deepStrictEqual(validateADF(adf), []);
+
+    assert.deepStrictEqual(
+      validateADF({
+        type: 'doc',
+        version: 1,
+        content: [
+          { type: 'blockquote', content: [] },
+          { type: 'paragraph', content: [{ type: 'text', text: '' }] },
+          { type: 'bogus' }
+        ]
+      }).map(({ path }) => path),
+      ['$.content[0].content', '$.content[1].content[0].text', '$.content[2].type']
+    );
+    success('Built documents are valid and invalid nodes are reported by path');
+    return true;
+  } catch (err) {
+    error('ADF builder test failed', err);
+    return false;
+  }
+}
+
+async function testTextToADF() {
+  separator();
+  log('Testing Plain Text to ADF...');
+
+  try {
+    const adf = textToADF('See PROJ-1, UTF-8 and OTHER-2 at https://example.com/a).\n- x\n- y', {
+      siteUrl: 'https://your-domain.atlassian.net',
+      projectKeys: ['PROJ'],
+      issueKeys: 'link'
+    });
+    assert.deepStrictEqual(adf.content[0].content, [
+      { type: 'text', text: 'See ' },
+      { type: 'text', text: 'PROJ-1', marks: [{ type: 'link', attrs: { href: 'https://your-domain.atlassian.net/browse/PROJ-1' } }] },
+      { type: 'text', text: ', UTF-8 and OTHER-2 at ' },
+      { type: 'text', text: 'https://example.com/a', marks: [{ type: 'link', attrs: { href: 'https://example.com/a' } }] },
+      { type: 'text', text: ').' }
+    ]);
+    assert.strictEqual(adf.content[1].type, 'bulletList');
+    assert.deepStrictEqual(validateADF(adf), []);
+
+    // Without projectKeys no issue key is linked
+    assert.deepStrictEqual(textToADF('PROJ-1', { siteUrl: 'https://your-domain.atlassian.net' }).content[0].content, [
+      { type: 'text', text: 'PROJ-1' }
+    ]);
+    success('Plain text keeps its layout and links only URLs and the given projects\' issue keys');
+    return true;
+  } catch (err) {
+    error('Plain text to ADF test failed', err);
+    return false;
+  }
+}
+
+async function testCSVExport() {
+  separator();
+  log('Testing CSV Export Quoting...');
+
+  try {
+    const { columns } = resolveColumns(['key', 'summary', 'labels']);
+    const issues = (async function* () {
+      yield { key: 'PROJ-1', fields: { summary: 'Say "hi", then leave', labels: ['a', 'b'] } };
+      yield { key: 'PROJ-2', fields: { summary: '=HYPERLINK("https://example.com")', labels: [] } };
+      yield { key: 'PROJ-3', fields: { summary: '-1', labels: ['@team'] } };
+      yield { key: 'PROJ-4', fields: { summary: '\tTabbed\r\nline', labels: [] } };
+    })();
+    const output = new PassThrough();
+    let csv = '';
+    output.on('data', chunk => { csv += chunk; });
+
+    assert.strictEqual(await writeExport(issues, output, 'csv', columns), 4);
+    assert.strictEqual(csv, [
+      'key,summary,labels',
+      'PROJ-1,"Say ""hi"", then leave","a, b"',
+      'PROJ-2,"\'=HYPERLINK(""https://example.com"")",',
+      'PROJ-3,"\'-1","\'@team"',
+      'PROJ-4,"\'\tTabbed\r\nline",',
+      ''
+    ].join('\r\n'));
+    success('CSV cells are quoted and formulas are not run');
+    return true;
+  } catch (err) {
+    error('CSV export test failed', err);
+    return false;
+  }
+}
+
+async function testWebhookEvents() {
+  separator();
+  log('Testing Webhook Signatures and Events...');
+
+  try {
+    const body = Buffer.from('{"webhookEvent":"jira:issue_updated"}');
+    const signature = 'sha256=' + crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+    assert.strictEqual(verifySignature(body, signature, 'secret'), true);
+    assert.strictEqual(verifySignature(body, signature, 'other'), false);
+    assert.strictEqual(verifySignature(body, 'sha256=nothex', 'secret'), false);
+
+    const payload = {
+      webhookEvent: 'jira:issue_updated',
+      timestamp: 1700000000000,
+      issue: { id: '10001', key: 'PROJ-1', fields: { summary: 'Fix login' } },
+      changelog: { items: [{ field: 'status', fromString: 'To Do', toString: 'Done' }, { field: 'labels', fromString: 'a' }] }
+    };
+    const event = parseWebhookEvent(payload, 'delivery-1', new Date('2024-02-01T09:30:00Z'));
+    assert.strictEqual(event.timestamp, '2023-11-14T22:13:20.000Z');
+    assert.deepStrictEqual(event.changes, [
+      { field: 'status', from: 'To Do', to: 'Done' },
+      { field: 'labels', from: 'a', to: null }
+    ]);
+    assert.strictEqual(parseWebhookEvent({ ...payload, webhookEvent: 'sprint_started' }, 'delivery-2'), null);
+    assert.throws(() => parseWebhookEvent({ ...payload, timestamp: 'yesterday' }, 'delivery-3'), InvalidRequestError);
+    success('Signatures are checked and payloads are read safely');
+    return true;
+  } catch (err) {
+    error('Webhook test failed', err);
+    return false;
+  }
+}
+
+async function testResponseCache() {
+  separator();
+  log('Testing Response Cache...');
+
+  try {
+    const cache = new ResponseCache({ ttls: { transitions: 60000 } });
+    let loads = 0;
+    const load = async () => ({ loads: ++loads });
+
+    const first = await cache.read('transitions', 'PROJ-1', load);
+    const second = await cache.read('transitions', 'PROJ-1', load);
+    assert.deepStrictEqual([first.hit, second.hit, second.value.loads], [false, true, 1]);
+    assert.strictEqual(second.etag, first.etag);
+
+    // Misses at the same time ask JIRA once
+    await cache.invalidate('transitions', 'PROJ-1');
+    const together = await Promise.all([cache.read('transitions', 'PROJ-1', load), cache.read('transitions', 'PROJ-1', load)]);
+    assert.deepStrictEqual(together.map(({ value }) => value.loads), [2, 2]);
+
+    // A load that an invalidate overtakes is neither stored nor shared
+    let release;
+    const slow = cache.read('transitions', 'PROJ-2', () => new Promise(resolve => { release = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+    await cache.invalidate('transitions');
+    const fresh = cache.read('transitions', 'PROJ-2', load);
+    release({ stale: true });
+    assert.deepStrictEqual((await slow).value, { stale: true });
+    assert.deepStrictEqual((await fresh).value, { loads: 3 });
+    assert.deepStrictEqual((await cache.read('transitions', 'PROJ-2', load)).value, { loads: 3 });
+
+    // Dropping every read of a kind also drops entries stored before
+    await cache.invalidate('transitions');
+    assert.strictEqual((await cache.read('transitions', 'PROJ-1', load)).hit, false);
+
+    // A null id is never cached
+    await cache.read('transitions', null, load);
+    assert.strictEqual((await cache.read('transitions', null, load)).hit, false);
+    success('Reads are cached, shared and invalidated');
+    return true;
+  } catch (err) {
+    error('Response cache test failed', err);
+    return false;
+  }
+}
+
+// Run first, whatever JIRA site the suite is pointed at
+const MODULE_TESTS = [
+  testJqlBuilder,
+  testMarkdownToADF,
+  testADFToHTML,
+  testADFBuilder,
+  testTextToADF,
+  testCSVExport,
+  testWebhookEvents,
+  testResponseCache
+];
+
 // Test functions
 async function testEnvironmentSetup() {
   separator();
@@ -77,13 +369,7 @@ async function testAPIConnectivity() {
   log('Testing API Connectivity...');
 
   try {
-    const baseUrl = `https://${process.env.DOMAIN}.atlassian.net`;
-    const response = await axios.get(`${baseUrl}/rest/api/3/serverInfo`, {
-      auth: {
-        username: process.env.ATLASSIAN_USERNAME,
-        password: process.env.ATLASSIAN_API_KEY
-      }
-    });
+    const response = await getJiraClient().get('/rest/api/3/serverInfo');
 
     success('Successfully connected to JIRA Cloud');
     log('Server Info:', {
@@ -133,13 +419,12 @@ async function testGetIssues() {
   log('Testing Get Issues (API v3)...');
 
   try {
-    const issues = await getIssues();
+    const issues = await getIssues(TEST_CONFIG.projectKey);
     success('Successfully retrieved issues');
     log('Issues response:', {
-      total: issues?.total || 0,
-      maxResults: issues?.maxResults || 0,
-      startAt: issues?.startAt || 0,
-      issuesCount: issues?.issues?.length || 0
+      issuesCount: issues?.issues?.length || 0,
+      isLast: issues?.isLast,
+      nextPageToken: issues?.nextPageToken || null
     });
     return true;
   } catch (err) {
@@ -275,6 +560,11 @@ async function runMigrationTests() {
   let createdIssueKey = null;
   let transitionId = null;
 
+  for (const test of MODULE_TESTS) {
+    testsTotal++;
+    if (await test()) testsPassed++;
+  }
+
   // Environment setup test
   testsTotal++;
   if (await testEnvironmentSetup()) {
@@ -347,11 +637,20 @@ async function runMigrationTests() {
 
 // Run tests if called directly
 if (require.main === module) {
-  runMigrationTests().catch(console.error);
+  const run = process.argv.includes('--mock') ? () => withMockJira(runMigrationTests) : runMigrationTests;
+  run().catch(console.error);
 }
 
 module.exports = {
   runMigrationTests,
+  testJqlBuilder,
+  testMarkdownToADF,
+  testADFToHTML,
+  testADFBuilder,
+  testTextToADF,
+  testCSVExport,
+  testWebhookEvents,
+  testResponseCache,
   testEnvironmentSetup,
   testAPIConnectivity,
   testGetProjects,
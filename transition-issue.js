@@ -0,0 +1,41 @@
+const getTransitions = require("./get-transitions");
+const updateStatus = require("./update-status");
+const TransitionNotAvailableError = require("./transition-not-available-error");
+
+//Finds the transition matching target among the transitions JIRA currently
+//offers for the issue. target is one of:
+//  { transitionId: "31" }, { transitionName: "Close issue" } or { toStatus: "Done" }
+//Names are compared case-insensitively. When several transitions lead to the
+//requested status, one whose name is the status name is preferred.
+async function resolveTransition(issueKey, target) {
+  const { transitions } = await getTransitions(issueKey);
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+  let matches;
+  if (target.transitionId) {
+    matches = transitions.filter((transition) => String(transition.id) === String(target.transitionId));
+  } else if (target.transitionName) {
+    matches = transitions.filter((transition) => same(transition.name, target.transitionName));
+  } else {
+    matches = transitions.filter((transition) => transition.to && same(transition.to.name, target.toStatus));
+    matches.sort((a, b) => same(b.name, target.toStatus) - same(a.name, target.toStatus));
+  }
+
+  if (matches.length === 0) {
+    throw new TransitionNotAvailableError(issueKey, target, transitions);
+  }
+  return matches[0];
+}
+
+//Transitions an issue by target status name, transition name or transition id
+//and returns the transition that was applied. options are passed on to
+//updateStatus (resolution, fields, comment).
+//throws a TransitionNotAvailableError when the target is not reachable
+async function transitionIssue(issueKey, target, options = {}) {
+  const transition = await resolveTransition(issueKey, target);
+  await updateStatus(issueKey, transition.id, options);
+  return transition;
+}
+
+module.exports = transitionIssue;
+module.exports.resolveTransition = resolveTransition;
@@ -0,0 +1,34 @@
+/**
+ * Error thrown when an issue cannot be moved to the requested status
+ *
+ * Raised by transition-issue.js before anything is sent to JIRA, when none of
+ * the transitions currently available for the issue matches the requested
+ * target status or transition name. It lists the transitions that are
+ * available so callers can pick a valid one.
+ */
+
+class TransitionNotAvailableError extends Error {
+  /**
+   * @param {string} issueKey - Issue that was to be transitioned
+   * @param {object} target - What was requested: { toStatus } or { transitionName } or { transitionId }
+   * @param {Array<object>} availableTransitions - Transitions JIRA offers for the issue
+   */
+  constructor(issueKey, target, availableTransitions) {
+    const requested = target.toStatus
+      ? `status '${target.toStatus}'`
+      : target.transitionName
+        ? `transition '${target.transitionName}'`
+        : `transition id '${target.transitionId}'`;
+    super(`Issue ${issueKey} cannot be moved using ${requested} from its current status`);
+    this.name = "TransitionNotAvailableError";
+    this.issueKey = issueKey;
+    this.target = target;
+    this.availableTransitions = availableTransitions.map((transition) => ({
+      id: transition.id,
+      name: transition.name,
+      toStatus: transition.to ? transition.to.name : undefined,
+    }));
+  }
+}
+
+module.exports = TransitionNotAvailableError;
@@ -0,0 +1,26 @@
+const { getJiraClient } = require("./jira-client");
+const { textToADF, projectKeysOf } = require("./adf-utils");
+
+//Replaces the body (and optionally the visibility) of a comment using the
+//Jira Cloud REST API. body can be either plain text (string) or ADF.
+//options.notifyUsers = false edits the comment without emailing watchers
+async function updateComment(issueKey, commentId, body, visibility, options = {}) {
+  const client = getJiraClient();
+  const data = {
+    body: typeof body === "string" ? textToADF(body, { siteUrl: client.baseUrl, projectKeys: projectKeysOf(issueKey) }) : body,
+  };
+  if (visibility) {
+    data.visibility = visibility;
+  }
+
+  const params = {};
+  if (options.notifyUsers !== undefined) {
+    params.notifyUsers = options.notifyUsers;
+  }
+
+  const response = await client.put(`/rest/api/3/issue/${issueKey}/comment/${commentId}`, data, { params });
+  console.log(response.data);
+  return response.data;
+}
+
+module.exports = updateComment;
@@ -0,0 +1,78 @@
+const { getJiraClient } = require("./jira-client");
+const { descriptionToADF, projectKeysOf } = require("./adf-utils");
+const { validateADF } = require("./adf-schema");
+const ADFValidationError = require("./adf-validation-error");
+
+//Edits an existing issue using the Jira Cloud REST API
+//changes can contain:
+//  summary     - new summary
+//  description - plain text or ADF, converted like createIssue does
+//  labels      - array to replace all labels, or { add: [...], remove: [...] }
+//  priority    - priority name, e.g. "High"
+//  assignee    - account ID, or null to unassign
+//  dueDate     - "YYYY-MM-DD", or null to clear it
+//  fields      - any other fields, sent to Jira as is (e.g. custom fields)
+//  update      - raw Jira update operations, e.g. { components: [{ add: { name: "UI" } }] }
+//options.notifyUsers = false edits the issue without emailing watchers
+//throws an ADFValidationError if the description is not valid ADF, before anything is sent,
+//and a JiraApiError if Jira rejects the changes
+async function updateIssue(issueKey, changes, options = {}) {
+  const client = getJiraClient();
+  const fields = { ...changes.fields };
+  const update = { ...changes.update };
+
+  if (changes.summary !== undefined) {
+    fields.summary = changes.summary;
+  }
+  if (changes.description !== undefined) {
+    fields.description =
+      changes.description === null
+        ? null
+        : descriptionToADF(changes.description, "text", { siteUrl: client.baseUrl, projectKeys: projectKeysOf(issueKey) });
+    const adfErrors = fields.description === null ? [] : validateADF(fields.description);
+    if (adfErrors.length > 0) {
+      throw new ADFValidationError("description", adfErrors);
+    }
+  }
+  if (changes.priority !== undefined) {
+    fields.priority = { name: changes.priority };
+  }
+  if (changes.assignee !== undefined) {
+    fields.assignee = changes.assignee === null ? null : { accountId: changes.assignee };
+  }
+  if (changes.dueDate !== undefined) {
+    fields.duedate = changes.dueDate;
+  }
+
+  if (Array.isArray(changes.labels)) {
+    fields.labels = changes.labels;
+  } else if (changes.labels) {
+    //add/remove keep the labels that are already on the issue
+    update.labels = [
+      ...(update.labels || []),
+      ...(changes.labels.add || []).map((label) => ({ add: label })),
+      ...(changes.labels.remove || []).map((label) => ({ remove: label })),
+    ];
+  }
+
+  const data = {};
+  if (Object.keys(fields).length > 0) {
+    data.fields = fields;
+  }
+  if (Object.keys(update).length > 0) {
+    data.update = update;
+  }
+
+  const params = {};
+  if (options.notifyUsers !== undefined) {
+    params.notifyUsers = options.notifyUsers;
+  }
+
+  const response = await client.put("/rest/api/3/issue/" + issueKey, data, { params });
+
+  //Jira answers 204 No Content when the issue was updated
+  console.log(response.status);
+  return response.status;
+}
+
+module.exports = updateIssue;
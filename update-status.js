@@ -1,46 +1,45 @@
-var axios = require("axios");
-require("dotenv").config();
-
-const username = process.env.ATLASSIAN_USERNAME;
-const password = process.env.ATLASSIAN_API_KEY;
-const domain = process.env.DOMAIN;
-
-const auth = {
-  username: username,
-  password: password,
-};
-
-//List the transitions of a given issue using the Jira Cloud REST API
-async function updateStatus(issueKey, statusID) {
-  try {
-    const baseUrl = "https://" + domain + ".atlassian.net";
-
-    const config = {
-      headers: { "Content-Type": "application/json" },
-      auth: auth,
-    };
-
-    //Body to pass into POST REST API Request
-    const data = {
-      transition: {
-        id: statusID,
-      },
-    };
+const { getJiraClient } = require("./jira-client");
+const { textToADF, projectKeysOf } = require("./adf-utils");
+
+//Transitions an issue using the Jira Cloud REST API
+//options can set fields on the transition screen and add a comment:
+//  resolution - resolution name, e.g. "Done" or "Won't Do"
+//  fields     - any other fields to set during the transition
+//  comment    - plain text or ADF comment added with the transition
+async function updateStatus(issueKey, statusID, options = {}) {
+  const client = getJiraClient();
+
+  //Body to pass into POST REST API Request
+  const data = {
+    transition: {
+      id: statusID,
+    },
+  };
+
+  const fields = { ...options.fields };
+  if (options.resolution) {
+    fields.resolution = { name: options.resolution };
+  }
+  if (Object.keys(fields).length > 0) {
+    data.fields = fields;
+  }
+  if (options.comment) {
+    const body =
+      typeof options.comment === "string"
+        ? textToADF(options.comment, { siteUrl: client.baseUrl, projectKeys: projectKeysOf(issueKey) })
+        : options.comment;
+    data.update = { comment: [{ add: { body } }] };
+  }
 
-    //use axios to make post request
-    const response = await axios.post(
-      `${baseUrl}/rest/api/3/issue/${issueKey}/transitions`,
-      data,
-      config,
-    );
+  //use the shared client to make post request. Transitions are not idempotent,
+  //so they are only retried when JIRA_RETRY_TRANSITIONS is enabled
+  const response = await client.post(`/rest/api/3/issue/${issueKey}/transitions`, data, {
+    retry: client.retry.transitions,
+  });
 
-    //if you see that you get status of 204, that means the update worked!
-    console.log(response.status);
-    return response.status;
-  } catch (error) {
-    console.log("error: ");
-    console.log(error.response.data.errors);
-  }
+  //if you see that you get status of 204, that means the update worked!
+  console.log(response.status);
+  return response.status;
 }
 
 module.exports = updateStatus;
@@ -0,0 +1,16 @@
+const { getJiraClient } = require("./jira-client");
+
+//Validates a JQL query with the Jira Cloud JQL parse endpoint. Returns the list
+//of error messages Jira reports, which is empty when the query is valid.
+async function validateJql(jql) {
+  //parsing has no side effects, so it is safe to retry like a GET
+  const response = await getJiraClient().post(
+    "/rest/api/3/jql/parse",
+    { queries: [jql] },
+    { params: { validation: "strict" }, retry: true },
+  );
+  const [result] = response.data.queries;
+  return result.errors || [];
+}
+
+module.exports = validateJql;
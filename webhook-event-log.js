@@ -0,0 +1,211 @@
+/**
+ * Local log of received Jira webhook events
+ *
+ * Events are appended to an NDJSON file, one event per line, so they outlive
+ * restarts. The ids of recent events are kept in memory to drop the
+ * deliveries JIRA retries, together with the most recent events for
+ * GET /webhooks/jira/events. Ids are forgotten once they are older than the
+ * dedup window or when there are too many, as JIRA stops retrying long before.
+ *
+ * The file is rotated when it grows past its size limit: it is renamed to
+ * "<file>.1", replacing the previous one, and a new file is started. Only
+ * those two files are read at startup.
+ *
+ * Settings are read from env variables:
+ *
+ *   WEBHOOK_EVENT_LOG           - Log file (default data/webhook-events.ndjson)
+ *   WEBHOOK_EVENT_LOG_MAX_BYTES - Size at which the file is rotated (default 10 MB)
+ *   WEBHOOK_DEDUP_WINDOW_MS     - How long an event id is remembered (default 3 days)
+ *   WEBHOOK_DEDUP_MAX_IDS       - Most event ids remembered (default 100000)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const DEFAULT_EVENT_LOG = path.join(__dirname, "data", "webhook-events.ndjson");
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_DEDUP_WINDOW = 3 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_IDS = 100000;
+
+// Events kept in memory for listing
+const DEFAULT_MAX_RECENT = 1000;
+
+/**
+ * Reads the log settings from the env variables
+ * @returns {{file: string, maxBytes: number, dedupWindow: number, maxIds: number}}
+ */
+function eventLogSettingsFromEnv() {
+  return {
+    file: process.env.WEBHOOK_EVENT_LOG || DEFAULT_EVENT_LOG,
+    maxBytes: Number(process.env.WEBHOOK_EVENT_LOG_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    dedupWindow: Number(process.env.WEBHOOK_DEDUP_WINDOW_MS) || DEFAULT_DEDUP_WINDOW,
+    maxIds: Number(process.env.WEBHOOK_DEDUP_MAX_IDS) || DEFAULT_MAX_IDS,
+  };
+}
+
+class WebhookEventLog {
+  /**
+   * @param {string} [file] - Path of the log file
+   * @param {object} [options] - Defaults to the env settings, see eventLogSettingsFromEnv
+   * @param {number} [options.maxRecent] - Events kept in memory for listing
+   * @param {number} [options.maxBytes] - Size at which the file is rotated
+   * @param {number} [options.dedupWindow] - Milliseconds an event id is remembered
+   * @param {number} [options.maxIds] - Most event ids remembered
+   */
+  constructor(file, options = {}) {
+    const settings = eventLogSettingsFromEnv();
+    this.file = file || settings.file;
+    this.maxRecent = options.maxRecent || DEFAULT_MAX_RECENT;
+    this.maxBytes = options.maxBytes || settings.maxBytes;
+    this.dedupWindow = options.dedupWindow || settings.dedupWindow;
+    this.maxIds = options.maxIds || settings.maxIds;
+    // Event id => when it was received, oldest first
+    this.ids = new Map();
+    this.recent = [];
+    this.size = 0;
+    this.loaded = Promise.resolve();
+  }
+
+  /**
+   * Reads the events logged before, line by line. Lines that cannot be
+   * parsed, e.g. one cut off by a crash, are skipped. Events appended while
+   * loading wait for it, so their duplicates are still recognised.
+   * @returns {Promise<number>} Number of events read
+   */
+  load() {
+    const loading = (async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      let count = 0;
+      for (const file of [`${this.file}.1`, this.file]) {
+        count += await this.readFile(file);
+      }
+      this.size = await fs.promises.stat(this.file).then(
+        (stats) => stats.size,
+        () => 0,
+      );
+      return count;
+    })();
+    // A log that cannot be read does not stop new events from being logged
+    this.loaded = loading.catch(() => {});
+    return loading;
+  }
+
+  /**
+   * @param {string} file
+   * @returns {Promise<number>} Number of events read, 0 when the file does not exist
+   */
+  async readFile(file) {
+    if (!fs.existsSync(file)) {
+      return 0;
+    }
+    let count = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim() === "") {
+        continue;
+      }
+      try {
+        this.remember(JSON.parse(line));
+        count++;
+      } catch (error) {
+        // Not a complete event
+      }
+    }
+    return count;
+  }
+
+  /**
+   * @param {object} event
+   */
+  remember(event) {
+    this.ids.delete(event.id);
+    this.ids.set(event.id, Date.parse(event.receivedAt) || Date.now());
+    this.forgetOldIds();
+    this.recent.push(event);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+  }
+
+  // Drops the ids that are older than the dedup window, or beyond the most kept
+  forgetOldIds() {
+    const oldest = Date.now() - this.dedupWindow;
+    for (const [id, receivedAt] of this.ids) {
+      if (this.ids.size <= this.maxIds && receivedAt >= oldest) {
+        break;
+      }
+      this.ids.delete(id);
+    }
+  }
+
+  /**
+   * Tells whether an event with this id was received within the dedup window
+   * @param {string} id
+   * @returns {boolean}
+   */
+  seen(id) {
+    const receivedAt = this.ids.get(id);
+    return receivedAt !== undefined && receivedAt >= Date.now() - this.dedupWindow;
+  }
+
+  // Starts a new file once the current one is full, keeping the previous one as <file>.1
+  async rotate() {
+    if (this.size < this.maxBytes) {
+      return;
+    }
+    this.size = 0;
+    await fs.promises.rename(this.file, `${this.file}.1`).catch((error) => {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Appends an event unless one with the same id was logged before
+   * @param {object} event - Event from parseWebhookEvent
+   * @returns {Promise<boolean>} False for a duplicate
+   */
+  async append(event) {
+    await this.loaded;
+    if (this.seen(event.id)) {
+      return false;
+    }
+    // Claimed before writing, so a retry arriving meanwhile counts as a duplicate
+    this.ids.set(event.id, Date.now());
+    const line = JSON.stringify(event) + "\n";
+    try {
+      await this.rotate();
+      await fs.promises.appendFile(this.file, line);
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      // Not logged, so JIRA's next retry must be accepted
+      this.ids.delete(event.id);
+      throw error;
+    }
+    this.remember(event);
+    return true;
+  }
+
+  /**
+   * Lists recent events, newest first
+   * @param {object} [filters]
+   * @param {number} [filters.limit] - Most events returned (default 50)
+   * @param {string} [filters.type] - Event type, e.g. "jira:issue_updated"
+   * @param {string} [filters.issueKey] - Only events of this issue
+   * @returns {Array<object>}
+   */
+  list({ limit = 50, type, issueKey } = {}) {
+    const events = [];
+    for (let index = this.recent.length - 1; index >= 0 && events.length < limit; index--) {
+      const event = this.recent[index];
+      if ((!type || event.type === type) && (!issueKey || (event.issue && event.issue.key === issueKey))) {
+        events.push(event);
+      }
+    }
+    return events;
+  }
+}
+
+module.exports = WebhookEventLog;
@@ -0,0 +1,92 @@
+/**
+ * Webhook Event Handlers
+ *
+ * Handlers react to the Jira webhook events the app receives. Each one is a
+ * module in the webhook-handlers directory (or the directory in the
+ * WEBHOOK_HANDLERS_DIR env variable), loaded once at startup, that exports:
+ *
+ *   events - Event types it handles, e.g. ["jira:issue_created"]; every event when left out
+ *   handle - async (event, payload) => {...}, called with the event from
+ *            parseWebhookEvent and the payload JIRA sent
+ *
+ * Handlers run after the event has been logged and JIRA answered, so a slow or
+ * failing handler never makes JIRA send the event again. Failures are logged.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_HANDLERS_DIR = path.join(__dirname, "webhook-handlers");
+
+// Loaded handlers, in file name order
+let handlers = [];
+
+/**
+ * Loads every handler module from a directory, replacing the ones loaded
+ * before. Modules that cannot be loaded are reported and skipped.
+ * @param {string} [directory] - Defaults to WEBHOOK_HANDLERS_DIR or ./webhook-handlers
+ * @returns {Array<{name: string, events: Array<string>|null}>} Loaded handlers
+ */
+function loadWebhookHandlers(directory = process.env.WEBHOOK_HANDLERS_DIR || DEFAULT_HANDLERS_DIR) {
+  const loaded = [];
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).sort() : [];
+
+  files
+    .filter((file) => file.endsWith(".js"))
+    .forEach((file) => {
+      try {
+        const handler = require(path.resolve(directory, file));
+        if (typeof handler.handle !== "function") {
+          throw new Error("it does not export a handle function");
+        }
+        loaded.push({
+          name: path.basename(file, ".js"),
+          events: Array.isArray(handler.events) ? handler.events : null,
+          handle: handler.handle,
+        });
+      } catch (error) {
+        console.error(`Skipping webhook handler ${file}:`, error.message);
+      }
+    });
+
+  handlers = loaded;
+  return listWebhookHandlers();
+}
+
+/**
+ * @returns {Array<{name: string, events: Array<string>|null}>} All loaded handlers
+ */
+function listWebhookHandlers() {
+  return handlers.map(({ name, events }) => ({ name, events }));
+}
+
+/**
+ * Runs the handlers of an event
+ * @param {object} event - Event from parseWebhookEvent
+ * @param {object} payload - Payload JIRA sent
+ * @returns {Promise<{handled: Array<string>, failed: Array<string>}>} Names of the handlers that ran
+ */
+async function dispatchWebhookEvent(event, payload) {
+  const matching = handlers.filter((handler) => !handler.events || handler.events.includes(event.type));
+  const results = await Promise.allSettled(
+    matching.map((handler) => Promise.resolve().then(() => handler.handle(event, payload))),
+  );
+
+  const outcome = { handled: [], failed: [] };
+  results.forEach((result, index) => {
+    const { name } = matching[index];
+    if (result.status === "rejected") {
+      console.error(`Webhook handler ${name} failed on ${event.type} ${event.id}:`, result.reason);
+      outcome.failed.push(name);
+    } else {
+      outcome.handled.push(name);
+    }
+  });
+  return outcome;
+}
+
+module.exports = {
+  loadWebhookHandlers,
+  listWebhookHandlers,
+  dispatchWebhookEvent,
+};
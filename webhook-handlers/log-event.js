@@ -0,0 +1,16 @@
+// log-event.js
+// Example webhook handler: logs one line per Jira event, e.g.
+// "🪝 jira:issue_updated PROJ-123 by Jane Doe (status: To Do → In Progress)"
+// Copy this file to react to events in your own way.
+
+module.exports = {
+  // Leave events out to receive every event type
+  events: ["jira:issue_created", "jira:issue_updated", "jira:issue_deleted", "comment_created", "comment_updated", "comment_deleted"],
+
+  async handle(event) {
+    const changes = event.changes.map((change) => `${change.field}: ${change.from || "none"} → ${change.to || "none"}`);
+    const who = event.user ? ` by ${event.user.displayName}` : "";
+    const what = changes.length > 0 ? ` (${changes.join(", ")})` : "";
+    console.log(`🪝 ${event.type} ${event.issue ? event.issue.key : ""}${who}${what}`);
+  },
+};